@@ -1,35 +1,259 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { BarChart3 } from 'lucide-react';
 import WeeklyUploader from './components/WeeklyUploader';
 import TrendAnalysisView from './components/TrendAnalysisView';
+import PeriodConflictDialog from './components/PeriodConflictDialog';
+import CalendarSettings from './components/CalendarSettings';
+import DerivedMetricsEditor from './components/DerivedMetricsEditor';
+import PageRegistryPanel from './components/PageRegistryPanel';
+import StoredWeeksPanel from './components/StoredWeeksPanel';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
+import BackupRestorePanel from './components/BackupRestorePanel';
+import { findPeriodConflicts, applyConflictResolutions } from './services/conflict_resolver';
+import { loadCalendarSetting, saveCalendarSetting, normalizeCalendar } from './utils/fiscal_calendar';
+import { getDerivedMetrics, loadDerivedMetrics, loadRegisteredMetrics } from './utils/metric_categorizer';
+import { getPageRegistry, loadPageRegistry } from './services/page_registry';
+import {
+  loadStoredPeriods,
+  syncStoredPeriods,
+  removeWeekData,
+  clearAllWeekData,
+  getAllStoredWeeks,
+  checkStorageSpace,
+  exportAllData,
+  importData,
+  deleteWorkspaceData
+} from './utils/indexed_db_storage';
+import {
+  getWorkspaces,
+  getActiveWorkspace,
+  getActiveWorkspaceId,
+  setActiveWorkspace,
+  createWorkspace,
+  renameWorkspace,
+  removeWorkspace,
+  exportWorkspace,
+  importWorkspace
+} from './utils/workspace_storage';
+import { createBackup } from './utils/backup_restore';
+
+// Laddar ner JSON som fil, t.ex. "arbetsyta_kund_a_2025-10-19.json"
+const downloadJSON = (json, prefix, name) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9åäö]+/g, '_').replace(/^_+|_+$/g, '');
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = `${prefix}_${slug || 'standard'}_${new Date().toISOString().split('T')[0]}.json`;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 function App() {
+  // Uppladdade veckor sparas i IndexedDB och läses tillbaka vid start
   const [uploadedPeriods, setUploadedPeriods] = useState([]);
+  const [storedWeeks, setStoredWeeks] = useState([]);
+  const [failedWeeks, setFailedWeeks] = useState([]);
+  // Sparade veckor som inte kunde migreras till aktuell version
+  const [unreadableWeeks, setUnreadableWeeks] = useState([]);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const syncedPeriods = useRef(uploadedPeriods);
+  const syncQueue = useRef(Promise.resolve());
+
+  const refreshStorageInfo = async () => {
+    setStoredWeeks(await getAllStoredWeeks());
+    setStorageUsage(await checkStorageSpace());
+  };
+
+  useEffect(() => {
+    syncQueue.current = syncQueue.current.then(async () => {
+      const { periods: stored, failed } = await loadStoredPeriods();
+      syncedPeriods.current = stored;
+      setUnreadableWeeks(failed);
+      // Veckor som laddats upp innan lagringen hunnit läsas behålls
+      setUploadedPeriods(prev => {
+        if (prev.length === 0) return stored;
+        const keys = new Set(prev.map(period => `${period.year}_${period.week}`));
+        return [...stored.filter(period => !keys.has(`${period.year}_${period.week}`)), ...prev]
+          .sort((a, b) => a.startDate.localeCompare(b.startDate));
+      });
+      await refreshStorageInfo();
+    });
+  }, []);
+
+  useEffect(() => {
+    if (syncedPeriods.current === uploadedPeriods) return;
+
+    const previous = syncedPeriods.current;
+    syncedPeriods.current = uploadedPeriods;
+
+    // Synkningar körs i tur och ordning så att en borttagning inte korsar en sparning
+    syncQueue.current = syncQueue.current.then(async () => {
+      const result = await syncStoredPeriods(uploadedPeriods, previous);
+      setFailedWeeks(result.failed);
+      setUnreadableWeeks(prev => prev.filter(entry => !result.saved.includes(entry.key)));
+      await refreshStorageInfo();
+    });
+  }, [uploadedPeriods]);
+
+  const handleDeleteWeek = (year, week) => {
+    setUploadedPeriods(prev => prev.filter(period => period.year !== year || period.week !== week));
+
+    // Olästa veckor finns bara i lagringen och tas bort direkt
+    syncQueue.current = syncQueue.current.then(async () => {
+      await removeWeekData(year, week);
+      setUnreadableWeeks(prev => prev.filter(entry => entry.year !== year || entry.week !== week));
+      await refreshStorageInfo();
+    });
+  };
+
+  const handleClearAllWeeks = () => {
+    setUploadedPeriods([]);
+
+    syncQueue.current = syncQueue.current.then(async () => {
+      await clearAllWeekData();
+      setUnreadableWeeks([]);
+      await refreshStorageInfo();
+    });
+  };
+
+  const [pendingUpload, setPendingUpload] = useState(null);
+
+  // Kalender för månads- och kvartalsgruppering (sparas mellan sessioner)
+  const [calendar, setCalendar] = useState(loadCalendarSetting);
+
+  const handleCalendarChange = (nextCalendar) => {
+    const normalized = normalizeCalendar(nextCalendar);
+    setCalendar(normalized);
+    saveCalendarSetting(normalized);
+  };
+
+  // Härledda metrics registreras i METRIC_DEFINITIONS; state håller vyerna uppdaterade
+  const [derivedMetrics, setDerivedMetrics] = useState(getDerivedMetrics);
+
+  // Sidregistret (namn och sammanslagningar) sparas i page_registry; state håller vyerna uppdaterade
+  const [pageRegistry, setPageRegistry] = useState(getPageRegistry);
+
+  // Arbetsytor: egna veckor, inställningar och sparade vyer, t.ex. en per kund
+  const [workspaces, setWorkspaces] = useState(getWorkspaces);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(getActiveWorkspaceId);
+
+  // Läser om aktiv arbetsyta efter prepare (byte, import, återställning).
+  // Körs i synkkön så att väntande sparningar hamnar i rätt arbetsyta
+  const reloadWorkspace = (prepare) => {
+    setPendingUpload(null);
+
+    syncQueue.current = syncQueue.current
+      .then(async () => {
+        await prepare();
+        loadPageRegistry();
+        loadRegisteredMetrics();
+        loadDerivedMetrics();
+        const { periods, failed } = await loadStoredPeriods();
+
+        syncedPeriods.current = periods;
+        setUploadedPeriods(periods);
+        setUnreadableWeeks(failed);
+        setFailedWeeks([]);
+        setWorkspaces(getWorkspaces());
+        setActiveWorkspaceId(getActiveWorkspaceId());
+        setCalendar(loadCalendarSetting());
+        setDerivedMetrics(getDerivedMetrics());
+        setPageRegistry(getPageRegistry());
+        await refreshStorageInfo();
+      })
+      .catch(error => console.error('Kunde inte öppna arbetsytan:', error));
+
+    return syncQueue.current;
+  };
+
+  const handleCreateWorkspace = (name) => {
+    const result = createWorkspace(name);
+    if (result.success) {
+      reloadWorkspace(() => setActiveWorkspace(result.workspace.id));
+    }
+    return result;
+  };
+
+  const handleRenameWorkspace = (workspaceId, name) => {
+    const result = renameWorkspace(workspaceId, name);
+    setWorkspaces(getWorkspaces());
+    return result;
+  };
+
+  const handleDeleteWorkspace = (workspaceId) => {
+    reloadWorkspace(async () => {
+      removeWorkspace(workspaceId);
+      await deleteWorkspaceData(workspaceId);
+    });
+  };
+
+  const handleExportWorkspace = () => {
+    syncQueue.current = syncQueue.current.then(async () => {
+      downloadJSON(exportWorkspace(await exportAllData()), 'arbetsyta', getActiveWorkspace().name);
+    });
+  };
+
+  const handleImportWorkspace = async (file) => {
+    const created = importWorkspace(await file.text());
+    if (!created.success) {
+      return { ...created, imported: [], rejected: [] };
+    }
+
+    const previousId = getActiveWorkspaceId();
+    let result = { success: false, imported: [], rejected: [], errors: ['Importen avbröts'] };
+
+    await reloadWorkspace(async () => {
+      setActiveWorkspace(created.workspace.id);
+      result = await importData(created.weeksJson);
+
+      // Inga veckor kunde sparas: ta bort den halvfärdiga arbetsytan igen
+      if (!result.success && result.imported.length === 0) {
+        setActiveWorkspace(previousId);
+        removeWorkspace(created.workspace.id);
+        await deleteWorkspaceData(created.workspace.id);
+      }
+    });
+
+    return { ...result, workspace: created.workspace };
+  };
+
+  const handleDownloadBackup = () => {
+    syncQueue.current = syncQueue.current.then(async () => {
+      const name = getActiveWorkspace().name;
+      downloadJSON(createBackup(await exportAllData(), name), 'sakerhetskopia', name);
+    });
+  };
+
+  const handleRestoreBackup = async (plan) => {
+    let result = { success: false, imported: [], rejected: [], errors: ['Återställningen avbröts'] };
+
+    // Ersätt: rensning och skrivning i samma import så att ett fel inte lämnar en tom arbetsyta
+    await reloadWorkspace(async () => {
+      result = await importData(JSON.stringify(plan.records), { replace: plan.clearFirst });
+    });
+
+    return result;
+  };
 
   const handleDataUploaded = (periods) => {
     console.log('Data uploaded:', periods);
     
-    // Merge med befintliga perioder, undvik dubbletter
-    const mergedPeriods = [...uploadedPeriods];
+    // Veckor som redan finns kräver ett val: ersätt, behåll eller slå ihop
+    const uploadPlan = findPeriodConflicts(uploadedPeriods, periods);
     
-    periods.forEach(newPeriod => {
-      const exists = mergedPeriods.some(existing => 
-        existing.year === newPeriod.year && existing.week === newPeriod.week
-      );
-      
-      if (!exists) {
-        mergedPeriods.push(newPeriod);
-      } else {
-        console.log(`Vecka ${newPeriod.week} finns redan, hoppar över dubblett`);
-      }
-    });
-    
-    // Sortera perioder efter startDate för korrekt ordning över årsskifte
-    mergedPeriods.sort((a, b) => {
-      return a.startDate.localeCompare(b.startDate);
-    });
+    if (uploadPlan.conflicts.length > 0) {
+      setPendingUpload(uploadPlan);
+      return;
+    }
     
-    setUploadedPeriods(mergedPeriods);
+    setUploadedPeriods(prev => applyConflictResolutions(prev, uploadPlan));
+  };
+
+  const handleConflictsResolved = (resolutions) => {
+    const uploadPlan = pendingUpload;
+    setPendingUpload(null);
+    setUploadedPeriods(prev => applyConflictResolutions(prev, uploadPlan, resolutions));
   };
 
   return (
@@ -37,11 +261,23 @@ function App() {
       {/* Header */}
       <header className="bg-white border-b border-gray-200 shadow-sm sticky top-0 z-50">
         <div className="container mx-auto px-6 py-4">
-          <div className="flex items-center gap-3">
-            <BarChart3 className="h-8 w-8 text-blue-600" />
-            <h1 className="text-2xl font-bold text-gray-900">
-              Facebook Weekly Trend Analyzer
-            </h1>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <BarChart3 className="h-8 w-8 text-blue-600" />
+              <h1 className="text-2xl font-bold text-gray-900">
+                Facebook Weekly Trend Analyzer
+              </h1>
+            </div>
+            <WorkspaceSwitcher
+              workspaces={workspaces}
+              activeWorkspaceId={activeWorkspaceId}
+              onSwitch={(workspaceId) => reloadWorkspace(() => setActiveWorkspace(workspaceId))}
+              onCreate={handleCreateWorkspace}
+              onRename={handleRenameWorkspace}
+              onDelete={handleDeleteWorkspace}
+              onExport={handleExportWorkspace}
+              onImport={handleImportWorkspace}
+            />
           </div>
         </div>
       </header>
@@ -50,11 +286,56 @@ function App() {
       <main className="container mx-auto px-6 py-8">
         <div className="space-y-8">
           {/* Upload Section */}
-          <WeeklyUploader onDataUploaded={handleDataUploaded} />
+          <WeeklyUploader
+            onDataUploaded={handleDataUploaded}
+            existingPeriods={uploadedPeriods}
+          />
+
+          {/* Weeks kept in the browser between sessions */}
+          {(storedWeeks.length > 0 || failedWeeks.length > 0) && (
+            <StoredWeeksPanel
+              storedWeeks={storedWeeks}
+              failedWeeks={failedWeeks}
+              unreadableWeeks={unreadableWeeks}
+              storageUsage={storageUsage}
+              onDelete={handleDeleteWeek}
+              onClearAll={handleClearAllWeeks}
+            />
+          )}
+
+          {/* Backup and restore of the stored weeks */}
+          <BackupRestorePanel
+            storedWeeks={storedWeeks}
+            onDownload={handleDownloadBackup}
+            onRestore={handleRestoreBackup}
+          />
+
+          {/* Conflict resolution for weeks that already exist */}
+          {pendingUpload && (
+            <PeriodConflictDialog
+              conflicts={pendingUpload.conflicts}
+              onResolve={handleConflictsResolved}
+            />
+          )}
 
           {/* Trend Analysis Section */}
           {uploadedPeriods.length > 0 ? (
-            <TrendAnalysisView uploadedPeriods={uploadedPeriods} />
+            <div className="space-y-4">
+              <CalendarSettings calendar={calendar} onChange={handleCalendarChange} />
+              <DerivedMetricsEditor derivedMetrics={derivedMetrics} onChange={setDerivedMetrics} />
+              <PageRegistryPanel
+                uploadedPeriods={uploadedPeriods}
+                pageRegistry={pageRegistry}
+                onChange={setPageRegistry}
+              />
+              <TrendAnalysisView
+                key={activeWorkspaceId}
+                uploadedPeriods={uploadedPeriods}
+                calendar={calendar}
+                derivedMetrics={derivedMetrics}
+                pageRegistry={pageRegistry}
+              />
+            </div>
           ) : (
             <div className="text-center py-12 text-gray-500 bg-white rounded-lg border">
               <BarChart3 className="h-16 w-16 mx-auto mb-4 opacity-30" />
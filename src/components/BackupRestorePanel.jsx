@@ -0,0 +1,173 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Archive, Download, Upload, AlertTriangle } from 'lucide-react';
+import { Button } from './ui/button';
+import {
+  RESTORE_STRATEGIES,
+  RESTORE_STRATEGY_LABELS,
+  parseBackup,
+  planRestore
+} from '../utils/backup_restore';
+
+const formatWeeks = (weeks) => weeks.map(week => `V${week.week} ${week.year}`).join(', ');
+
+const PREVIEW_GROUPS = [
+  { key: 'added', label: 'Läggs till', className: 'text-green-700' },
+  { key: 'overwritten', label: 'Skrivs över', className: 'text-amber-700' },
+  { key: 'untouched', label: 'Lämnas orörda', className: 'text-gray-600' },
+  { key: 'removed', label: 'Tas bort', className: 'text-red-700' }
+];
+
+/**
+ * Säkerhetskopiering och återställning av veckorna i aktiv arbetsyta
+ * storedWeeks: från getAllStoredWeeks, onDownload: laddar ner en säkerhetskopia,
+ * onRestore(plan): skriver planen (planRestore) och returnerar ett Promise med importresultatet
+ */
+const BackupRestorePanel = ({ storedWeeks, onDownload, onRestore }) => {
+  const [backup, setBackup] = useState(null);
+  const [filename, setFilename] = useState('');
+  const [strategy, setStrategy] = useState(RESTORE_STRATEGIES.MERGE);
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+  const [restoring, setRestoring] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Förhandsvisning mot det som finns sparat nu
+  const plan = useMemo(
+    () => (backup ? planRestore(backup.records, storedWeeks, strategy) : null),
+    [backup, storedWeeks, strategy]
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const result = parseBackup(await file.text());
+    setMessage('');
+    setFilename(file.name);
+    setErrors(result.errors);
+    setBackup(result.success ? result : null);
+  };
+
+  const handleRestore = async () => {
+    if (plan.removed.length > 0 &&
+        !window.confirm(`${plan.removed.length} sparade veckor tas bort. Fortsätta?`)) {
+      return;
+    }
+
+    setRestoring(true);
+    const result = await onRestore(plan);
+    setRestoring(false);
+
+    if (!result.success && result.imported.length === 0) {
+      setErrors(result.errors.length > 0 ? result.errors : ['Inga veckor kunde återställas']);
+      return;
+    }
+
+    setBackup(null);
+    setErrors(result.rejected.map(({ key, errors: recordErrors }) => `${key}: ${recordErrors.join('; ')}`));
+    setMessage(`Återställde ${result.imported.length} veckor från ${filename}`);
+  };
+
+  const writeCount = plan ? Object.keys(plan.records).length : 0;
+
+  return (
+    <div className="bg-white border rounded-lg px-4 py-3 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Archive className="h-4 w-4 text-gray-500" />
+          <span className="text-sm font-medium text-gray-700">Säkerhetskopia</span>
+          <span className="text-xs text-gray-500">
+            Ladda ner alla sparade veckor eller återställ från en fil
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="sm" onClick={onDownload} disabled={storedWeeks.length === 0}>
+            <Download className="h-4 w-4 mr-2" />
+            Ladda ner
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => fileInputRef.current?.click()}>
+            <Upload className="h-4 w-4 mr-2" />
+            Återställ från fil
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {message && <p className="text-xs text-green-700">{message}</p>}
+
+      {errors.length > 0 && (
+        <div className="flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-200 rounded p-2">
+          <AlertTriangle className="h-4 w-4 mt-0.5" />
+          <ul className="space-y-1">
+            {errors.map(error => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {plan && (
+        <div className="border rounded-lg p-3 space-y-3">
+          <p className="text-xs text-gray-500">
+            {filename}
+            {backup.workspace ? ` · arbetsyta "${backup.workspace}"` : ''}
+            {backup.exportedAt ? ` · exporterad ${new Date(backup.exportedAt).toLocaleString('sv-SE')}` : ''}
+          </p>
+
+          <div className="space-y-1">
+            {Object.values(RESTORE_STRATEGIES).map(option => (
+              <label key={option} className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name="restore-strategy"
+                  value={option}
+                  checked={strategy === option}
+                  onChange={() => setStrategy(option)}
+                  className="cursor-pointer"
+                />
+                {RESTORE_STRATEGY_LABELS[option]}
+              </label>
+            ))}
+          </div>
+
+          <ul className="text-xs space-y-1">
+            {PREVIEW_GROUPS.filter(group => plan[group.key].length > 0).map(group => (
+              <li key={group.key} className={group.className}>
+                <span className="font-medium">{group.label} ({plan[group.key].length}):</span>{' '}
+                {formatWeeks(plan[group.key])}
+              </li>
+            ))}
+            {backup.rejected.length > 0 && (
+              <li className="text-red-700">
+                <span className="font-medium">Ogiltiga i filen, hoppas över ({backup.rejected.length}):</span>
+                <ul className="pl-3">
+                  {backup.rejected.map(({ key, errors: recordErrors }) => (
+                    <li key={key}>{key}: {recordErrors.join('; ')}</li>
+                  ))}
+                </ul>
+              </li>
+            )}
+          </ul>
+
+          <div className="flex items-center gap-2">
+            <Button size="sm" onClick={handleRestore} disabled={restoring || (writeCount === 0 && !plan.clearFirst)}>
+              Återställ {writeCount} veckor
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setBackup(null)} disabled={restoring}>
+              Avbryt
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupRestorePanel;
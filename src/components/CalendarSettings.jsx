@@ -0,0 +1,81 @@
+import React from 'react';
+import { CalendarDays } from 'lucide-react';
+import {
+  CALENDAR_OPTIONS,
+  CALENDAR_TYPES,
+  RETAIL_PATTERNS,
+  describeCalendar
+} from '../utils/fiscal_calendar';
+import { MONTH_NAMES } from '../utils/iso_week';
+
+/**
+ * Val av kalender för månads- och kvartalsgruppering
+ * calendar: {type, fiscalYearStartMonth, retailPattern}
+ */
+const CalendarSettings = ({ calendar, onChange }) => {
+  const update = (changes) => onChange({ ...calendar, ...changes });
+  const hasFiscalYear = calendar.type === CALENDAR_TYPES.FISCAL || calendar.type === CALENDAR_TYPES.RETAIL;
+  const selectedOption = CALENDAR_OPTIONS.find(option => option.value === calendar.type);
+
+  return (
+    <div className="bg-white border rounded-lg px-4 py-3 flex flex-wrap items-center gap-4">
+      <div className="flex items-center gap-2">
+        <CalendarDays className="h-4 w-4 text-gray-500" />
+        <span className="text-sm font-medium text-gray-700">Kalender</span>
+      </div>
+
+      <select
+        value={calendar.type}
+        onChange={(e) => update({ type: e.target.value })}
+        className="text-sm border rounded px-2 py-1 bg-white"
+        title={selectedOption?.description}
+      >
+        {CALENDAR_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {hasFiscalYear && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Året börjar
+          <select
+            value={calendar.fiscalYearStartMonth}
+            onChange={(e) => update({ fiscalYearStartMonth: parseInt(e.target.value, 10) })}
+            className="text-sm border rounded px-2 py-1 bg-white"
+          >
+            {MONTH_NAMES.map((name, index) => (
+              <option key={name} value={index + 1}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {calendar.type === CALENDAR_TYPES.RETAIL && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Veckor per period
+          <select
+            value={calendar.retailPattern}
+            onChange={(e) => update({ retailPattern: e.target.value })}
+            className="text-sm border rounded px-2 py-1 bg-white"
+          >
+            {Object.keys(RETAIL_PATTERNS).map(pattern => (
+              <option key={pattern} value={pattern}>
+                {pattern}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <span className="text-xs text-gray-500">
+        {describeCalendar(calendar)}
+      </span>
+    </div>
+  );
+};
+
+export default CalendarSettings;
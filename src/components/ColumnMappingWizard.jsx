@@ -0,0 +1,73 @@
+import React from 'react';
+import { Button } from './ui/button';
+import { Columns, X } from 'lucide-react';
+import { MAPPABLE_FIELDS, isMappingComplete } from '../core/column_mapper';
+
+/**
+ * Mappningssteg för filer vars rubriker inte matchar EXPECTED_COLUMNS
+ * pendingMappings: [{source, headers, mapping: {fält: rubrik|null}}], source = källsökväg
+ */
+const ColumnMappingWizard = ({ pendingMappings, onMappingChange, onConfirm, onCancel }) => {
+  const allComplete = pendingMappings.every(item => isMappingComplete(item.mapping));
+
+  return (
+    <div className="border border-amber-300 bg-amber-50 rounded-lg p-4 space-y-4">
+      <div className="flex items-start gap-3">
+        <Columns className="h-5 w-5 text-amber-700 mt-0.5" />
+        <div>
+          <h4 className="font-medium text-sm text-amber-900">
+            Kolumnmappning krävs
+          </h4>
+          <p className="text-xs text-amber-800 mt-1">
+            Rubrikerna i filerna nedan matchar inte standardformatet. Välj vilken kolumn som
+            motsvarar varje fält. Mappningen sparas och används automatiskt nästa gång samma
+            rubriker laddas upp.
+          </p>
+        </div>
+      </div>
+
+      {pendingMappings.map(item => (
+        <div key={item.source} className="bg-white border rounded-lg p-3 space-y-2">
+          <p className="text-sm font-medium text-gray-700">{item.source}</p>
+          <div className="grid grid-cols-2 gap-x-6 gap-y-2">
+            {MAPPABLE_FIELDS.map(field => (
+              <div key={field.key} className="flex items-center justify-between gap-2">
+                <label className="text-xs text-gray-600">
+                  {field.label}
+                  {field.required && <span className="text-red-600"> *</span>}
+                  <span className="text-gray-400 ml-1">({field.key})</span>
+                </label>
+                <select
+                  value={item.mapping[field.key] || ''}
+                  onChange={(e) => onMappingChange(item.source, field.key, e.target.value || null)}
+                  className={`text-xs border rounded px-2 py-1 bg-white w-40 ${
+                    field.required && !item.mapping[field.key] ? 'border-red-400' : ''
+                  }`}
+                >
+                  <option value="">{field.required ? 'Välj kolumn…' : 'Ingen'}</option>
+                  {item.headers.map(header => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <Button onClick={onConfirm} disabled={!allComplete} className="flex-1">
+          Spara mappning och fortsätt
+        </Button>
+        <Button variant="outline" onClick={onCancel}>
+          <X className="h-4 w-4 mr-2" />
+          Avbryt
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
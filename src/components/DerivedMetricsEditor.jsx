@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Calculator, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import {
+  METRIC_DEFINITIONS,
+  DERIVED_AGGREGATIONS,
+  DERIVED_AGGREGATION_LABELS,
+  registerDerivedMetric,
+  unregisterDerivedMetric,
+  getNumericMetrics,
+  createMetricKey
+} from '../utils/metric_categorizer';
+
+/**
+ * Skapa och ta bort härledda metrics, t.ex. engagemangsgrad = engagements / reach * 100
+ * derivedMetrics: registrerade nycklar, onChange anropas med uppdaterad lista
+ */
+const DerivedMetricsEditor = ({ derivedMetrics, onChange }) => {
+  const [displayName, setDisplayName] = useState('');
+  const [formula, setFormula] = useState('');
+  const [aggregation, setAggregation] = useState(DERIVED_AGGREGATIONS.RECOMPUTE);
+  const [errors, setErrors] = useState([]);
+
+  // Derived metrics can only reference stored values, not other derived metrics
+  const variables = getNumericMetrics().filter(key => !METRIC_DEFINITIONS[key].derived);
+
+  const handleAdd = () => {
+    const result = registerDerivedMetric({
+      key: createMetricKey(displayName),
+      displayName: displayName.trim(),
+      formula,
+      aggregation
+    });
+
+    if (!result.success) {
+      setErrors(result.errors);
+      return;
+    }
+
+    setDisplayName('');
+    setFormula('');
+    setErrors([]);
+    onChange([...new Set([...derivedMetrics, result.metric.key])]);
+  };
+
+  const handleRemove = (key) => {
+    unregisterDerivedMetric(key);
+    onChange(derivedMetrics.filter(existing => existing !== key));
+  };
+
+  return (
+    <div className="bg-white border rounded-lg px-4 py-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <Calculator className="h-4 w-4 text-gray-500" />
+        <span className="text-sm font-medium text-gray-700">Härledda metrics</span>
+        <span className="text-xs text-gray-500">
+          Tillgängliga: {variables.join(', ')}
+        </span>
+      </div>
+
+      {derivedMetrics.length > 0 && (
+        <div className="border rounded-lg divide-y">
+          {derivedMetrics.map(key => (
+            <div key={key} className="flex flex-wrap items-center justify-between gap-3 px-3 py-2">
+              <div className="text-sm">
+                <span className="font-medium text-gray-700">{METRIC_DEFINITIONS[key]?.displayName}</span>
+                <span className="text-gray-500 ml-2 font-mono">{METRIC_DEFINITIONS[key]?.formula}</span>
+                <span className="text-xs text-gray-400 ml-2">
+                  ({DERIVED_AGGREGATION_LABELS[METRIC_DEFINITIONS[key]?.aggregationMethod]})
+                </span>
+              </div>
+              <Button variant="ghost" size="sm" onClick={() => handleRemove(key)} title="Ta bort">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          placeholder="Namn, t.ex. Engagemangsgrad"
+          className="text-sm border rounded px-2 py-1"
+        />
+        <input
+          type="text"
+          value={formula}
+          onChange={(e) => setFormula(e.target.value)}
+          placeholder="engagements / reach * 100"
+          className="text-sm border rounded px-2 py-1 font-mono flex-1 min-w-[12rem]"
+        />
+        <select
+          value={aggregation}
+          onChange={(e) => setAggregation(e.target.value)}
+          className="text-sm border rounded px-2 py-1 bg-white"
+        >
+          {Object.values(DERIVED_AGGREGATIONS).map(value => (
+            <option key={value} value={value}>
+              {DERIVED_AGGREGATION_LABELS[value]}
+            </option>
+          ))}
+        </select>
+        <Button size="sm" onClick={handleAdd} disabled={!displayName.trim() || !formula.trim()}>
+          Lägg till
+        </Button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 space-y-1">
+          {errors.map(error => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DerivedMetricsEditor;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { PlusCircle } from 'lucide-react';
+import { METRIC_CATEGORIES } from '../utils/metric_categorizer';
+
+const CATEGORY_OPTIONS = [
+  {
+    value: METRIC_CATEGORIES.SUMMABLE,
+    label: 'Summerbar',
+    description: 'Summeras över veckor, som engagemang'
+  },
+  {
+    value: METRIC_CATEGORIES.NON_SUMMABLE,
+    label: 'Icke-summerbar',
+    description: 'Genomsnitt över veckor, som räckvidd'
+  },
+  {
+    value: METRIC_CATEGORIES.METADATA,
+    label: 'Ignorera',
+    description: 'Kolumnen läses inte in som metric'
+  }
+];
+
+/**
+ * Val av kategori för extra numeriska kolumner som inte registrerats tidigare
+ * metrics: [{key, category}] där category är ett förslag från suggestMetricCategory
+ */
+const NewMetricsPanel = ({ metrics, onCategoryChange }) => (
+  <div className="border border-amber-200 bg-amber-50 rounded-lg p-4 space-y-3">
+    <div className="flex items-start gap-3">
+      <PlusCircle className="h-5 w-5 text-amber-700 mt-0.5" />
+      <div>
+        <h4 className="font-medium text-sm text-amber-900">
+          Nya metrics i filerna ({metrics.length})
+        </h4>
+        <p className="text-xs text-amber-800 mt-1">
+          Välj om varje kolumn kan summeras över veckor. Valet sparas och används för
+          framtida uppladdningar.
+        </p>
+      </div>
+    </div>
+
+    <div className="bg-white border rounded-lg divide-y">
+      {metrics.map(metric => (
+        <div key={metric.key} className="flex flex-wrap items-center justify-between gap-3 px-3 py-2">
+          <span className="text-sm font-medium text-gray-700">{metric.key}</span>
+          <div className="flex flex-wrap gap-3">
+            {CATEGORY_OPTIONS.map(option => (
+              <label
+                key={option.value}
+                className="flex items-center gap-1 text-sm text-gray-700"
+                title={option.description}
+              >
+                <input
+                  type="radio"
+                  name={`metric-category-${metric.key}`}
+                  value={option.value}
+                  checked={metric.category === option.value}
+                  onChange={() => onCategoryChange(metric.key, option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default NewMetricsPanel;
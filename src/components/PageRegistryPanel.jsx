@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react';
+import { Users, Unlink } from 'lucide-react';
+import { Button } from './ui/button';
+import {
+  mergePages,
+  unmergePage,
+  setPageDisplayName,
+  resolvePageIdentities,
+  getRenameHistory
+} from '../services/page_registry';
+
+/**
+ * Sidregister: visningsnamn, namnhistorik och sammanslagning av page_id
+ * pageRegistry: kopia av registret (getPageRegistry), onChange anropas med nytt register
+ */
+const PageRegistryPanel = ({ uploadedPeriods, pageRegistry, onChange }) => {
+  const [sourcePageId, setSourcePageId] = useState('');
+  const [targetPageId, setTargetPageId] = useState('');
+  const [cutoverDate, setCutoverDate] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  const rawData = useMemo(
+    () => uploadedPeriods.flatMap(period => period.data),
+    [uploadedPeriods]
+  );
+
+  // Logical pages with their resolved display name, sorted by name
+  const pages = useMemo(() => {
+    const pagesMap = new Map();
+    resolvePageIdentities(rawData).forEach(item => {
+      pagesMap.set(item.page.pageId, item.page);
+    });
+    return Array.from(pagesMap.values()).sort((a, b) => a.pageName.localeCompare(b.pageName));
+  }, [rawData, pageRegistry]);
+
+  const history = useMemo(() => getRenameHistory(rawData), [rawData, pageRegistry]);
+
+  const handleMerge = () => {
+    const result = mergePages(targetPageId, sourcePageId, cutoverDate || null);
+
+    if (!result.success) {
+      setErrors(result.errors);
+      return;
+    }
+
+    setSourcePageId('');
+    setCutoverDate('');
+    setErrors([]);
+    onChange(result.registry);
+  };
+
+  const handleNameChange = (pageId, name) => {
+    if ((pageRegistry[pageId]?.displayName || '') !== name.trim()) {
+      onChange(setPageDisplayName(pageId, name));
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-lg px-4 py-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <Users className="h-4 w-4 text-gray-500" />
+        <span className="text-sm font-medium text-gray-700">Sidor</span>
+        <span className="text-xs text-gray-500">
+          Visningsnamn, namnbyten och sammanslagna page_id
+        </span>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto border rounded-lg divide-y">
+        {pages.map(page => {
+          const entry = pageRegistry[page.pageId];
+          const names = history[page.pageId] || [];
+
+          return (
+            <div key={page.pageId} className="px-3 py-2 space-y-1">
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  key={`${page.pageId}_${entry?.displayName || ''}`}
+                  type="text"
+                  defaultValue={entry?.displayName || ''}
+                  placeholder={page.pageName}
+                  onBlur={(e) => handleNameChange(page.pageId, e.target.value)}
+                  className="text-sm border rounded px-2 py-1"
+                />
+                <span className="text-xs text-gray-500 font-mono">{page.pageId}</span>
+              </div>
+
+              {names.length > 1 && (
+                <ul className="text-xs text-gray-500 pl-2">
+                  {names.map(name => (
+                    <li key={`${name.pageId}_${name.pageName}`}>
+                      {name.pageName}
+                      {name.pageId !== page.pageId && <span className="font-mono"> ({name.pageId})</span>}
+                      {' '}V{name.firstWeek.week} {name.firstWeek.year} – V{name.lastWeek.week} {name.lastWeek.year}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {entry?.merges.map(merge => (
+                <div key={merge.pageId} className="flex items-center gap-2 text-xs text-gray-600 pl-2">
+                  <span>
+                    Sammanslagen: <span className="font-mono">{merge.pageId}</span>
+                    {merge.cutoverDate ? ` (används före ${merge.cutoverDate})` : ' (utan brytdatum)'}
+                  </span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onChange(unmergePage(merge.pageId))}
+                    title="Ta isär"
+                  >
+                    <Unlink className="h-3 w-3" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+        Slå ihop
+        <select
+          value={sourcePageId}
+          onChange={(e) => setSourcePageId(e.target.value)}
+          className="text-sm border rounded px-2 py-1 bg-white"
+        >
+          <option value="">Välj sida</option>
+          {pages.map(page => (
+            <option key={page.pageId} value={page.pageId}>{page.pageName}</option>
+          ))}
+        </select>
+        med
+        <select
+          value={targetPageId}
+          onChange={(e) => setTargetPageId(e.target.value)}
+          className="text-sm border rounded px-2 py-1 bg-white"
+        >
+          <option value="">Välj sida</option>
+          {pages.map(page => (
+            <option key={page.pageId} value={page.pageId}>{page.pageName}</option>
+          ))}
+        </select>
+        från
+        <input
+          type="date"
+          value={cutoverDate}
+          onChange={(e) => setCutoverDate(e.target.value)}
+          className="text-sm border rounded px-2 py-1"
+          title="Brytdatum: den första sidans data används före datumet, den andras från datumet"
+        />
+        <Button size="sm" onClick={handleMerge} disabled={!sourcePageId || !targetPageId}>
+          Slå ihop
+        </Button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-600 space-y-1">
+          {errors.map(error => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PageRegistryPanel;
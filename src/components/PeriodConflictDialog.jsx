@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from './ui/dialog';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { CONFLICT_RESOLUTIONS, PAGE_CHANGES } from '../services/conflict_resolver';
+
+const RESOLUTION_OPTIONS = [
+  {
+    value: CONFLICT_RESOLUTIONS.REPLACE,
+    label: 'Ersätt',
+    description: 'Den nya versionen ersätter hela veckan'
+  },
+  {
+    value: CONFLICT_RESOLUTIONS.KEEP,
+    label: 'Behåll befintlig',
+    description: 'Den nya versionen ignoreras'
+  },
+  {
+    value: CONFLICT_RESOLUTIONS.MERGE,
+    label: 'Slå ihop per sida',
+    description: 'Nya värden skriver över, sidor som saknas i den nya versionen behålls'
+  }
+];
+
+const CHANGE_LABELS = {
+  [PAGE_CHANGES.ADDED]: { label: 'Ny', className: 'bg-green-100 text-green-800' },
+  [PAGE_CHANGES.REMOVED]: { label: 'Saknas i ny', className: 'bg-red-100 text-red-800' },
+  [PAGE_CHANGES.CHANGED]: { label: 'Ändrad', className: 'bg-amber-100 text-amber-800' },
+  [PAGE_CHANGES.UNCHANGED]: { label: 'Oförändrad', className: 'bg-gray-100 text-gray-600' }
+};
+
+const formatNumber = (value) => (
+  value === null || value === undefined ? '–' : value.toLocaleString('sv-SE')
+);
+
+const formatDelta = (delta) => {
+  if (delta === null || delta === 0) return null;
+  return `${delta > 0 ? '+' : ''}${delta.toLocaleString('sv-SE')}`;
+};
+
+// "old → new (±delta)" for one metric
+const MetricChange = ({ before, after, delta }) => {
+  const deltaText = formatDelta(delta);
+
+  return (
+    <span className="whitespace-nowrap">
+      {formatNumber(before)} → {formatNumber(after)}
+      {deltaText && (
+        <span className={`ml-1 ${delta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+          ({deltaText})
+        </span>
+      )}
+    </span>
+  );
+};
+
+/**
+ * Dialog för veckor som redan finns vid ny uppladdning
+ * conflicts: [{key, year, week, existing, incoming, diff}] från findPeriodConflicts
+ * Stängs dialogen utan val behålls befintliga veckor
+ */
+const PeriodConflictDialog = ({ conflicts, onResolve }) => {
+  const [resolutions, setResolutions] = useState(() =>
+    Object.fromEntries(conflicts.map(conflict => [conflict.key, CONFLICT_RESOLUTIONS.REPLACE]))
+  );
+
+  const setResolution = (key, value) => {
+    setResolutions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const setAll = (value) => {
+    setResolutions(Object.fromEntries(conflicts.map(conflict => [conflict.key, value])));
+  };
+
+  const keepAll = () => {
+    onResolve(Object.fromEntries(conflicts.map(conflict => [conflict.key, CONFLICT_RESOLUTIONS.KEEP])));
+  };
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && keepAll()}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {conflicts.length} vecka(or) finns redan
+          </DialogTitle>
+          <DialogDescription>
+            Välj hur varje vecka ska hanteras. Tabellen visar skillnaden per sida mellan
+            befintlig och ny version.
+          </DialogDescription>
+        </DialogHeader>
+
+        {conflicts.length > 1 && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+            <span>Alla veckor:</span>
+            {RESOLUTION_OPTIONS.map(option => (
+              <Button key={option.value} variant="outline" size="sm" onClick={() => setAll(option.value)}>
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-6">
+          {conflicts.map(conflict => {
+            const counts = Object.values(PAGE_CHANGES).reduce((acc, change) => ({
+              ...acc,
+              [change]: conflict.diff.filter(row => row.change === change).length
+            }), {});
+
+            return (
+              <div key={conflict.key} className="border rounded-lg p-4 space-y-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <h4 className="font-medium text-gray-900">
+                      Vecka {conflict.week} {conflict.year}
+                    </h4>
+                    <p className="text-xs text-gray-500">
+                      {conflict.existing.filename} → {conflict.incoming.filename} ·{' '}
+                      {counts[PAGE_CHANGES.CHANGED]} ändrade, {counts[PAGE_CHANGES.ADDED]} nya,{' '}
+                      {counts[PAGE_CHANGES.REMOVED]} saknas i ny version
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap gap-3">
+                    {RESOLUTION_OPTIONS.map(option => (
+                      <label
+                        key={option.value}
+                        className="flex items-center gap-1 text-sm text-gray-700"
+                        title={option.description}
+                      >
+                        <input
+                          type="radio"
+                          name={`resolution-${conflict.key}`}
+                          value={option.value}
+                          checked={resolutions[conflict.key] === option.value}
+                          onChange={() => setResolution(conflict.key, option.value)}
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="max-h-64 overflow-y-auto border rounded">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Sida</TableHead>
+                        <TableHead>Räckvidd</TableHead>
+                        <TableHead>Engagemang</TableHead>
+                        <TableHead>Ändring</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {conflict.diff.map(row => (
+                        <TableRow
+                          key={row.pageId}
+                          className={row.change === PAGE_CHANGES.UNCHANGED ? 'text-gray-400' : ''}
+                        >
+                          <TableCell className="py-1 text-sm">{row.pageName}</TableCell>
+                          <TableCell className="py-1 text-sm">
+                            <MetricChange
+                              before={row.before?.reach}
+                              after={row.after?.reach}
+                              delta={row.reachDelta}
+                            />
+                          </TableCell>
+                          <TableCell className="py-1 text-sm">
+                            <MetricChange
+                              before={row.before?.engagements}
+                              after={row.after?.engagements}
+                              delta={row.engagementsDelta}
+                            />
+                          </TableCell>
+                          <TableCell className="py-1">
+                            <Badge variant="outline" className={CHANGE_LABELS[row.change].className}>
+                              {CHANGE_LABELS[row.change].label}
+                            </Badge>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={keepAll}>
+            Behåll alla befintliga
+          </Button>
+          <Button onClick={() => onResolve(resolutions)}>
+            Verkställ
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PeriodConflictDialog;
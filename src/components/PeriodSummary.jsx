@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Download } from 'lucide-react';
+import {
+  ALLOCATION_METHODS,
+  ALLOCATION_LABELS,
+  aggregateByMonth,
+  aggregateByQuarter
+} from '../services/aggregation_service';
+import { exportAggregatedToCSV } from '../core/csv_processor';
+import { METRIC_DEFINITIONS } from '../utils/metric_categorizer';
+
+const GROUPINGS = {
+  month: { label: 'Månad', aggregate: aggregateByMonth, filePrefix: 'manader' },
+  quarter: { label: 'Kvartal', aggregate: aggregateByQuarter, filePrefix: 'kvartal' }
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '–' : value.toLocaleString('sv-SE'));
+
+/**
+ * Månads- och kvartalssammanställning av valda sid-veckor
+ * data: WeeklyPageData för valda sidor och perioder, metric: vald metric i trendvyn
+ * Veckor som korsar ett månadsskifte fördelas enligt vald metod (ALLOCATION_METHODS)
+ */
+const PeriodSummary = ({ data, calendar, includeGaps, metric }) => {
+  const [grouping, setGrouping] = useState('month');
+  const [allocation, setAllocation] = useState(ALLOCATION_METHODS.START_DATE);
+
+  const groups = useMemo(() => {
+    const aggregated = GROUPINGS[grouping].aggregate(data, calendar, allocation, { includeGaps });
+    return Object.keys(aggregated).sort().map(key => aggregated[key]);
+  }, [data, calendar, allocation, grouping, includeGaps]);
+
+  // Reach och engagements har egna kolumner; övriga metrics läses från metrics.custom
+  const customMetric = metric === 'reach' || metric === 'engagements' ? null : metric;
+
+  const handleExport = () => {
+    const csv = exportAggregatedToCSV(groups, customMetric ? [customMetric] : []);
+
+    // BOM so Excel opens the file as UTF-8
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `${GROUPINGS[grouping].filePrefix}_${new Date().toISOString().split('T')[0]}.csv`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="border rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-700">Sammanställning per</span>
+          <select
+            value={grouping}
+            onChange={(e) => setGrouping(e.target.value)}
+            className="text-sm border rounded px-2 py-1 bg-white"
+          >
+            {Object.entries(GROUPINGS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={allocation}
+            onChange={(e) => setAllocation(e.target.value)}
+            className="text-sm border rounded px-2 py-1 bg-white"
+            title="Fördelning av veckor som korsar ett månadsskifte"
+          >
+            {Object.values(ALLOCATION_METHODS).map(method => (
+              <option key={method} value={method}>{ALLOCATION_LABELS[method]}</option>
+            ))}
+          </select>
+        </div>
+        <Button variant="outline" size="sm" onClick={handleExport} disabled={groups.length === 0}>
+          <Download className="h-4 w-4 mr-2" />
+          Exportera CSV
+        </Button>
+      </div>
+
+      {groups.length > 0 ? (
+        <>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{GROUPINGS[grouping].label}</TableHead>
+                <TableHead className="text-right">Veckor</TableHead>
+                <TableHead className="text-right">Dagar</TableHead>
+                <TableHead className="text-right">Engagemang</TableHead>
+                <TableHead className="text-right">Genomsnittlig reach</TableHead>
+                {customMetric && (
+                  <TableHead className="text-right">{METRIC_DEFINITIONS[customMetric]?.displayName || customMetric}</TableHead>
+                )}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {groups.map(group => (
+                <TableRow key={group.label}>
+                  <TableCell className="py-1 text-xs">{group.label}</TableCell>
+                  <TableCell className="py-1 text-xs text-right">{formatValue(group.metrics.weekCount)}</TableCell>
+                  <TableCell className="py-1 text-xs text-right">{group.metrics.dayCount}</TableCell>
+                  <TableCell className="py-1 text-xs text-right">{formatValue(group.metrics.totalEngagements)}</TableCell>
+                  <TableCell className="py-1 text-xs text-right">
+                    {group.metrics.averageReach === null ? 'Ingen reach' : formatValue(group.metrics.averageReach)}
+                  </TableCell>
+                  {customMetric && (
+                    <TableCell className="py-1 text-xs text-right">{formatValue(group.metrics.custom?.[customMetric])}</TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <p className="text-xs text-gray-500">Fördelning: {groups[0].allocationLabel}</p>
+        </>
+      ) : (
+        <p className="text-xs text-gray-500">Inga veckor med giltig mätning i urvalet</p>
+      )}
+    </div>
+  );
+};
+
+export default PeriodSummary;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { Database, Trash2, AlertTriangle } from 'lucide-react';
+import { Button } from './ui/button';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toLocaleString('sv-SE', { maximumFractionDigits: 1 })} MB`;
+
+/**
+ * Sparade veckor i webbläsaren: lista, ta bort en vecka eller alla
+ * storedWeeks: från getAllStoredWeeks, failedWeeks: periodnycklar som inte gick att spara
+ * unreadableWeeks: från loadStoredPeriods().failed ({key, year, week, version, errors})
+ * storageUsage: från checkStorageSpace ({used, available, percentage, quota})
+ */
+const StoredWeeksPanel = ({ storedWeeks, failedWeeks = [], unreadableWeeks = [], storageUsage, onDelete, onClearAll }) => {
+  const unreadableByKey = new Map(unreadableWeeks.map(entry => [`${entry.year}_${entry.week}`, entry]));
+
+  const handleClearAll = () => {
+    if (window.confirm(`Ta bort alla ${storedWeeks.length} sparade veckor?`)) {
+      onClearAll();
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-lg px-4 py-3 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Database className="h-4 w-4 text-gray-500" />
+          <span className="text-sm font-medium text-gray-700">
+            Sparade veckor ({storedWeeks.length})
+          </span>
+          {storageUsage && storageUsage.quota > 0 && (
+            <span className="text-xs text-gray-500">
+              {formatMegabytes(storageUsage.used)} av {formatMegabytes(storageUsage.quota)} används
+              ({storageUsage.percentage}%)
+            </span>
+          )}
+        </div>
+        {storedWeeks.length > 0 && (
+          <Button variant="outline" size="sm" onClick={handleClearAll}>
+            <Trash2 className="h-4 w-4 mr-2" />
+            Ta bort alla
+          </Button>
+        )}
+      </div>
+
+      {failedWeeks.length > 0 && (
+        <div className="flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-200 rounded p-2">
+          <AlertTriangle className="h-4 w-4 mt-0.5" />
+          <span>
+            Kunde inte spara {failedWeeks.map(key => key.replace('_', ' V')).join(', ')}.
+            Lagringsutrymmet kan vara fullt – veckorna finns kvar tills sidan laddas om.
+          </span>
+        </div>
+      )}
+
+      {unreadableWeeks.length > 0 && (
+        <div className="flex items-start gap-2 text-xs text-red-700 bg-red-50 border border-red-200 rounded p-2">
+          <AlertTriangle className="h-4 w-4 mt-0.5" />
+          <span>
+            {unreadableWeeks.length} sparade veckor kunde inte läsas och visas inte i analysen.
+            De ligger kvar i lagringen tills du tar bort dem eller laddar upp veckan igen.
+          </span>
+        </div>
+      )}
+
+      {storedWeeks.length > 0 && (
+        <div className="max-h-48 overflow-y-auto border rounded-lg divide-y">
+          {storedWeeks.map(week => {
+            const unreadable = unreadableByKey.get(`${week.year}_${week.week}`);
+
+            return (
+              <div
+                key={`${week.year}_${week.week}`}
+                className="flex flex-wrap items-center justify-between gap-3 px-3 py-1.5 text-sm"
+              >
+                <span className="font-medium text-gray-700">V{week.week} {week.year}</span>
+                <span className="text-xs text-gray-500 flex-1 truncate">
+                  {week.pageCount} sidor{week.filename ? ` · ${week.filename}` : ''}
+                </span>
+                {unreadable && (
+                  <span className="basis-full text-xs text-red-600 order-last">
+                    Version {unreadable.version}: {unreadable.errors.join('; ')}
+                  </span>
+                )}
+                <span className="text-xs text-gray-400">
+                  {week.timestamp ? new Date(week.timestamp).toLocaleString('sv-SE') : ''}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onDelete(week.year, week.week)}
+                  title="Ta bort veckan"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StoredWeeksPanel;
@@ -1,15 +1,18 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Checkbox } from './ui/checkbox';
-import { TrendingUp, Download } from 'lucide-react';
-import { METRIC_DEFINITIONS } from '../utils/metric_categorizer';
-
-// Endast dessa metrics visas (reach och engagements)
-const ALLOWED_METRICS = [
-  { key: 'reach', label: 'Räckvidd', canSum: false },
-  { key: 'engagements', label: 'Engagemang', canSum: true }
-];
+import { TrendingUp, Download, AlertTriangle, Bookmark, Trash2 } from 'lucide-react';
+import { METRIC_DEFINITIONS, getMetricOptions } from '../utils/metric_categorizer';
+import { getAvailableDerivedMetrics, getMetricValue } from '../utils/derived_metrics';
+import { summarizeDataQuality } from '../services/weekly_analytics';
+import { resolveUploadedPeriods } from '../services/page_registry';
+import { getCalendarPeriod, DEFAULT_CALENDAR, CALENDAR_TYPES } from '../utils/fiscal_calendar';
+import { loadSavedViews, saveView, removeView } from '../utils/saved_views';
+import PeriodSummary from './PeriodSummary';
+
+// Alltid valbara; extra metrics visas när de finns i datan, härledda när deras komponenter finns
+const BASE_METRICS = ['reach', 'engagements'];
 
 // Färger för linjerna (distinkt åtskilda)
 const CHART_COLORS = [
@@ -17,13 +20,32 @@ const CHART_COLORS = [
   '#0891B2', '#BE185D', '#059669', '#7C2D12', '#4338CA', '#C2410C'
 ];
 
-const TrendAnalysisView = ({ uploadedPeriods }) => {
+const TrendAnalysisView = ({
+  uploadedPeriods: rawPeriods,
+  calendar = DEFAULT_CALENDAR,
+  derivedMetrics,
+  pageRegistry
+}) => {
+  // Logiska sidor enligt sidregistret: sammanslagna page_id blir en serie med ett namn
+  const uploadedPeriods = useMemo(
+    () => (rawPeriods ? resolveUploadedPeriods(rawPeriods, pageRegistry) : rawPeriods),
+    [rawPeriods, pageRegistry]
+  );
+
   const [selectedMetric, setSelectedMetric] = useState('reach');
   const [selectedPages, setSelectedPages] = useState([]);
   const [selectedPeriods, setSelectedPeriods] = useState([]);
+  // Weeks without a valid measurement (NO_ACTIVITY, errors) are gaps unless included
+  const [includeGaps, setIncludeGaps] = useState(false);
   const [hoveredDataPoint, setHoveredDataPoint] = useState(null);
   const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
 
+  // Saved selections for the active workspace (App remounts the view on workspace switch)
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [activeViewName, setActiveViewName] = useState('');
+  const [viewName, setViewName] = useState('');
+  const [viewErrors, setViewErrors] = useState([]);
+
   // Få alla unika sidor
   const availablePages = useMemo(() => {
     if (!uploadedPeriods || uploadedPeriods.length === 0) return [];
@@ -48,34 +70,99 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
     );
   }, [uploadedPeriods]);
 
-  // Få alla unika perioder (grupperade per månad)
+  // Metrics att välja mellan: reach, engagements, extra metrics som finns i datan och härledda metrics
+  const availableMetrics = useMemo(() => {
+    const presentKeys = new Set(BASE_METRICS);
+
+    (uploadedPeriods || []).forEach(period => {
+      period.data.forEach(weeklyData => {
+        (weeklyData.metrics.getCustomMetricKeys?.() || []).forEach(key => presentKeys.add(key));
+      });
+    });
+
+    getAvailableDerivedMetrics([...presentKeys], derivedMetrics).forEach(key => presentKeys.add(key));
+
+    return getMetricOptions().filter(option => presentKeys.has(option.key));
+  }, [uploadedPeriods, derivedMetrics]);
+
+  const applyView = (name) => {
+    setActiveViewName(name);
+    const view = savedViews.find(existing => existing.name === name);
+    if (!view) return;
+
+    // Pages and weeks that are no longer uploaded are skipped
+    const pageIds = new Set(availablePages.map(page => page.pageId));
+    const periodKeys = new Set((uploadedPeriods || []).map(period => `${period.year}_${period.week}`));
+
+    setSelectedMetric(view.metric);
+    setSelectedPages(view.pages.filter(pageId => pageIds.has(pageId)));
+    setSelectedPeriods(view.periods.filter(periodKey => periodKeys.has(periodKey)));
+    setIncludeGaps(view.includeGaps);
+  };
+
+  const handleSaveView = () => {
+    const result = saveView(viewName, {
+      metric: selectedMetric,
+      pages: selectedPages,
+      periods: selectedPeriods,
+      includeGaps
+    });
+
+    setSavedViews(result.views);
+    setViewErrors(result.errors);
+    if (result.success) {
+      setActiveViewName(viewName.trim());
+      setViewName('');
+    }
+  };
+
+  const handleRemoveView = () => {
+    setSavedViews(removeView(activeViewName));
+    setActiveViewName('');
+  };
+
+  // Fall back to reach when the selected metric disappears (e.g. a derived metric was removed)
+  useEffect(() => {
+    if (!availableMetrics.some(metric => metric.key === selectedMetric)) {
+      setSelectedMetric('reach');
+    }
+  }, [availableMetrics, selectedMetric]);
+
+  // Få alla unika perioder (grupperade per månad i vald kalender)
   const availablePeriods = useMemo(() => {
     if (!uploadedPeriods || uploadedPeriods.length === 0) return [];
     
-    return uploadedPeriods.map(period => ({
-      year: period.year,
-      week: period.week,
-      month: period.month,
-      startDate: period.startDate,
-      endDate: period.endDate,
-      displayString: `Vecka ${period.week} (${period.startDate})`,
-      monthKey: `${period.year}-${String(period.month).padStart(2, '0')}`
-    })).sort((a, b) => {
+    return uploadedPeriods.map(period => {
+      const calendarPeriod = getCalendarPeriod(period.startDate, calendar);
+      const isISO = calendarPeriod.type === CALENDAR_TYPES.ISO;
+
+      return {
+        year: period.year,
+        week: period.week,
+        month: period.month,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        calendarWeek: calendarPeriod.week,
+        displayString: isISO
+          ? `Vecka ${period.week} (${period.startDate})`
+          : `Vecka ${calendarPeriod.week} (${period.startDate}, ISO V${period.week})`,
+        monthKey: calendarPeriod.key,
+        monthLabel: calendarPeriod.label
+      };
+    }).sort((a, b) => {
       return a.startDate.localeCompare(b.startDate);
     });
-  }, [uploadedPeriods]);
+  }, [uploadedPeriods, calendar]);
 
   // Gruppera perioder per månad för display
   const periodsByMonth = useMemo(() => {
     const grouped = {};
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'Maj', 'Jun', 
-                        'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dec'];
     
     availablePeriods.forEach(period => {
       const key = period.monthKey;
       if (!grouped[key]) {
         grouped[key] = {
-          label: `${monthNames[period.month - 1]} ${period.year}`,
+          label: period.monthLabel,
           periods: []
         };
       }
@@ -110,35 +197,52 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
     }
 
     const points = [];
+    const calendarWeeks = new Map(
+      availablePeriods.map(p => [`${p.year}_${p.week}`, p.calendarWeek])
+    );
 
     uploadedPeriods.forEach(period => {
       const periodKey = `${period.year}_${period.week}`;
       
       if (!selectedPeriods.includes(periodKey)) return;
 
+      const calendarWeek = calendarWeeks.get(periodKey) ?? period.week;
+
       period.data.forEach(weeklyData => {
         const pageId = weeklyData.page.pageId;
         
         if (!selectedPages.includes(pageId)) return;
 
-        const value = weeklyData.metrics[selectedMetric] || 0;
+        const isGap = !weeklyData.isMeasured();
+        const value = isGap && !includeGaps ? null : getMetricValue(weeklyData, selectedMetric) ?? null;
 
         points.push({
           periodKey,
-          period: `Vecka ${period.week}`,
-          week: period.week,
+          period: `Vecka ${calendarWeek}`,
+          week: calendarWeek,
           year: period.year,
           startDate: period.startDate,
           pageId,
           pageName: weeklyData.page.pageName,
           value,
+          status: weeklyData.status,
+          isGap,
           metric: selectedMetric
         });
       });
     });
 
     return points;
-  }, [uploadedPeriods, selectedPages, selectedPeriods, selectedMetric]);
+  }, [uploadedPeriods, availablePeriods, selectedPages, selectedPeriods, selectedMetric, includeGaps]);
+
+  // Sid-veckor för valda sidor och perioder
+  const selectedData = useMemo(() => (uploadedPeriods || [])
+    .filter(period => selectedPeriods.includes(`${period.year}_${period.week}`))
+    .flatMap(period => period.data.filter(weeklyData => selectedPages.includes(weeklyData.page.pageId))),
+  [uploadedPeriods, selectedPages, selectedPeriods]);
+
+  // Datakvalitet för valda sidor och perioder
+  const dataQuality = useMemo(() => summarizeDataQuality(selectedData), [selectedData]);
 
   // Gruppera data per sida för linjer
   const chartLines = useMemo(() => {
@@ -171,8 +275,8 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
       return { min: 0, max: 100 };
     }
 
-    const values = chartData.map(d => d.value);
-    const max = Math.max(...values);
+    const values = chartData.map(d => d.value).filter(value => value !== null);
+    const max = Math.max(0, ...values);
     
     // FIX 2: Beräkna "runda" max-värden
     let roundedMax;
@@ -194,7 +298,7 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
 
     return {
       min: 0,  // ALLTID börja från 0
-      max: roundedMax
+      max: roundedMax || 10
     };
   }, [chartData]);
 
@@ -268,6 +372,41 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
         </div>
       </CardHeader>
       <CardContent className="space-y-6">
+        {/* Saved views */}
+        <div className="space-y-1">
+          <div className="flex flex-wrap items-center gap-2">
+            <Bookmark className="h-4 w-4 text-gray-500" />
+            <select
+              value={activeViewName}
+              onChange={(e) => applyView(e.target.value)}
+              className="text-sm border rounded px-2 py-1 bg-white"
+            >
+              <option value="">Sparade vyer ({savedViews.length})</option>
+              {savedViews.map(view => (
+                <option key={view.name} value={view.name}>{view.name}</option>
+              ))}
+            </select>
+            {activeViewName && (
+              <Button variant="ghost" size="sm" onClick={handleRemoveView} title="Ta bort vyn">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
+            <input
+              type="text"
+              value={viewName}
+              onChange={(e) => setViewName(e.target.value)}
+              placeholder="Namn på vyn"
+              className="text-sm border rounded px-2 py-1"
+            />
+            <Button variant="outline" size="sm" onClick={handleSaveView} disabled={!viewName.trim()}>
+              Spara vy
+            </Button>
+          </div>
+          {viewErrors.length > 0 && (
+            <p className="text-xs text-red-600">{viewErrors.join(' ')}</p>
+          )}
+        </div>
+
         {/* Selection Controls */}
         <div className="grid grid-cols-3 gap-4">
           {/* Column 1: Pages */}
@@ -317,7 +456,7 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
           <div className="space-y-2">
             <h4 className="font-medium text-sm">Välj datapunkt</h4>
             <div className="space-y-2">
-              {ALLOWED_METRICS.map(metric => (
+              {availableMetrics.map(metric => (
                 <div key={metric.key} className="flex items-center space-x-2">
                   <input
                     type="radio"
@@ -332,6 +471,9 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                     onClick={() => setSelectedMetric(metric.key)}
                   >
                     {metric.label}
+                    <span className="text-xs text-gray-400 ml-1">
+                      ({METRIC_DEFINITIONS[metric.key]?.derived ? 'härledd' : metric.canSum ? 'summerbar' : 'genomsnitt'})
+                    </span>
                   </label>
                 </div>
               ))}
@@ -399,7 +541,51 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
               Visar: {METRIC_DEFINITIONS[selectedMetric]?.displayName || selectedMetric}
             </p>
             <p className="text-xs text-blue-700 mt-1">
-              Aktuell datapunkt som visas i diagrammet
+              {METRIC_DEFINITIONS[selectedMetric]?.derived
+                ? `Beräknas per sida och vecka: ${METRIC_DEFINITIONS[selectedMetric].formula}`
+                : 'Aktuell datapunkt som visas i diagrammet'}
+            </p>
+          </div>
+        )}
+
+        {/* Data quality */}
+        {dataQuality.gapWeeks > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-2">
+            <div className="flex items-start gap-2">
+              <AlertTriangle className="h-4 w-4 text-amber-700 mt-0.5" />
+              <div className="text-sm text-amber-900">
+                <p className="font-medium">
+                  Datakvalitet: {dataQuality.gapWeeks} av {dataQuality.totalWeeks} sidveckor saknar giltig mätning
+                </p>
+                <p className="text-xs text-amber-800 mt-1">
+                  {Object.entries(dataQuality.byStatus)
+                    .map(([status, count]) => `${status}: ${count}`)
+                    .join(' · ')}
+                </p>
+              </div>
+            </div>
+            <ul className="text-xs text-amber-800 space-y-1 pl-6">
+              {dataQuality.pages.slice(0, 5).map(({ page, gaps }) => (
+                <li key={page.pageId}>
+                  <span className="font-medium">{page.pageName}:</span>{' '}
+                  {gaps.map(gap => `V${gap.period.week} (${gap.status})`).join(', ')}
+                </li>
+              ))}
+              {dataQuality.pages.length > 5 && (
+                <li>… och {dataQuality.pages.length - 5} sidor till</li>
+              )}
+            </ul>
+            <label className="flex items-center gap-2 text-sm text-amber-900 pl-6">
+              <Checkbox
+                checked={includeGaps}
+                onCheckedChange={(checked) => setIncludeGaps(Boolean(checked))}
+              />
+              Visa deras värden i diagrammet
+            </label>
+            <p className="text-xs text-amber-700 pl-6">
+              {includeGaps
+                ? 'Veckorna ritas med streckad markering och ingår i linjen.'
+                : 'Veckorna visas som luckor med streckad markering och räknas inte som 0.'}
             </p>
           </div>
         )}
@@ -474,36 +660,34 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                   const numPoints = line.points.length;
                   const xStep = 860 / (numPoints - 1 || 1);
                   
-                  // Skapa smooth path med Bézier curves
+                  const toY = (value) => 450 - ((value - yAxisRange.min) / (yAxisRange.max - yAxisRange.min)) * 380;
+                  
+                  // Skapa smooth path med Bézier curves, luckor bryter linjen
                   const createSmoothPath = () => {
-                    if (numPoints === 0) return '';
-                    if (numPoints === 1) {
-                      const xPos = 70;
-                      const yPos = 450 - ((line.points[0].value - yAxisRange.min) / (yAxisRange.max - yAxisRange.min)) * 380;
-                      return `M ${xPos} ${yPos}`;
-                    }
-
                     let path = '';
-                    for (let i = 0; i < numPoints; i++) {
+                    let previous = null;
+
+                    line.points.forEach((point, i) => {
+                      if (point.value === null) {
+                        previous = null;
+                        return;
+                      }
+
                       const xPos = 70 + i * xStep;
-                      const yPos = 450 - ((line.points[i].value - yAxisRange.min) / (yAxisRange.max - yAxisRange.min)) * 380;
+                      const yPos = toY(point.value);
 
-                      if (i === 0) {
-                        path = `M ${xPos} ${yPos}`;
+                      if (!previous) {
+                        path += ` M ${xPos} ${yPos}`;
                       } else {
-                        const prevXPos = 70 + (i - 1) * xStep;
-                        const prevYPos = 450 - ((line.points[i - 1].value - yAxisRange.min) / (yAxisRange.max - yAxisRange.min)) * 380;
-                        
                         // Beräkna control points för smooth curve
-                        const cp1x = prevXPos + (xPos - prevXPos) * 0.5;
-                        const cp1y = prevYPos;
-                        const cp2x = prevXPos + (xPos - prevXPos) * 0.5;
-                        const cp2y = yPos;
-                        
-                        path += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${xPos} ${yPos}`;
+                        const cpx = previous.xPos + (xPos - previous.xPos) * 0.5;
+                        path += ` C ${cpx} ${previous.yPos}, ${cpx} ${yPos}, ${xPos} ${yPos}`;
                       }
-                    }
-                    return path;
+
+                      previous = { xPos, yPos };
+                    });
+
+                    return path.trim();
                   };
                   
                   return (
@@ -521,12 +705,30 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                       {/* Points - STÖRRE PUNKTER */}
                       {line.points.map((point, i) => {
                         const xPos = 70 + i * xStep;
-                        const yPos = 450 - ((point.value - yAxisRange.min) / (yAxisRange.max - yAxisRange.min)) * 380;
+
+                        // Gap weeks and missing values get a hollow dashed marker (on the baseline without a value)
+                        if (point.isGap || point.value === null) {
+                          return (
+                            <circle
+                              key={i}
+                              cx={xPos}
+                              cy={point.value === null ? 450 : toY(point.value)}
+                              r="6"
+                              fill="white"
+                              stroke={point.value === null ? '#9ca3af' : line.color}
+                              strokeWidth="2"
+                              strokeDasharray="3 2"
+                              style={{ cursor: 'pointer' }}
+                              onMouseEnter={(e) => handleMouseMove(e, point)}
+                            />
+                          );
+                        }
+
                         return (
                           <circle
                             key={i}
                             cx={xPos}
-                            cy={yPos}
+                            cy={toY(point.value)}
                             r="6"
                             fill={line.color}
                             stroke="white"
@@ -545,7 +747,7 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                   <g>
                     {(() => {
                       const tooltipWidth = 200;
-                      const tooltipHeight = 70;
+                      const tooltipHeight = hoveredDataPoint.isGap ? 88 : 70;
                       let tooltipX = mousePosition.x + 15;
                       let tooltipY = mousePosition.y - tooltipHeight / 2;
 
@@ -576,8 +778,15 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                             {hoveredDataPoint.period}
                           </text>
                           <text x={tooltipX + 12} y={tooltipY + 55} fill="white" fontSize="12">
-                            {METRIC_DEFINITIONS[hoveredDataPoint.metric]?.displayName}: {hoveredDataPoint.value.toLocaleString()}
+                            {METRIC_DEFINITIONS[hoveredDataPoint.metric]?.displayName}: {hoveredDataPoint.value === null
+                              ? 'ingen giltig mätning'
+                              : hoveredDataPoint.value.toLocaleString()}
                           </text>
+                          {hoveredDataPoint.isGap && (
+                            <text x={tooltipX + 12} y={tooltipY + 73} fill="#fcd34d" fontSize="12">
+                              Status: {hoveredDataPoint.status}
+                            </text>
+                          )}
                         </>
                       );
                     })()}
@@ -585,6 +794,13 @@ const TrendAnalysisView = ({ uploadedPeriods }) => {
                 )}
               </svg>
             </div>
+
+            <PeriodSummary
+              data={selectedData}
+              calendar={calendar}
+              includeGaps={includeGaps}
+              metric={selectedMetric}
+            />
           </div>
         ) : (
           <div className="text-center py-12 text-muted-foreground">
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import { Eye, Download, ChevronDown, ChevronRight, X } from 'lucide-react';
+import {
+  excludeRowsFromResult,
+  weeklyDataToRow,
+  exportRejectedRowsToCSV
+} from '../core/csv_processor';
+
+const EXCLUDED_ROW_REASON = 'Exkluderad i förhandsgranskningen';
+const EXCLUDED_FILE_REASON = 'Filen exkluderades i förhandsgranskningen';
+
+/**
+ * Förhandsgranskning av tolkade rader innan import
+ * files: [{source, result}] där result kommer från processUploadedFile
+ * Rader och hela filer kan uteslutas; avvisade rader kan laddas ner som CSV
+ */
+const UploadPreview = ({ files, onConfirm, onCancel }) => {
+  const [excludedFiles, setExcludedFiles] = useState([]);
+  const [excludedRows, setExcludedRows] = useState({});
+  const [expandedFile, setExpandedFile] = useState(files.length === 1 ? 0 : null);
+
+  const isFileExcluded = (fileIndex) => excludedFiles.includes(fileIndex);
+  const getExcludedRows = (fileIndex) => excludedRows[fileIndex] || [];
+
+  const toggleFile = (fileIndex) => {
+    setExcludedFiles(prev =>
+      prev.includes(fileIndex) ? prev.filter(i => i !== fileIndex) : [...prev, fileIndex]
+    );
+  };
+
+  const toggleRow = (fileIndex, rowIndex) => {
+    setExcludedRows(prev => {
+      const current = prev[fileIndex] || [];
+      const next = current.includes(rowIndex)
+        ? current.filter(i => i !== rowIndex)
+        : [...current, rowIndex];
+      return { ...prev, [fileIndex]: next };
+    });
+  };
+
+  // Results with exclusions applied; files without remaining rows are dropped
+  const selectedResults = files
+    .map((file, fileIndex) => (
+      isFileExcluded(fileIndex) ? null : excludeRowsFromResult(file.result, getExcludedRows(fileIndex))
+    ))
+    .filter(result => result?.success);
+
+  const selectedRowCount = selectedResults.reduce((sum, result) => sum + result.dataset.size(), 0);
+
+  // Invalid rows from parsing plus everything excluded by the user
+  const collectRejectedRows = () => files.flatMap((file, fileIndex) => {
+    const invalid = (file.result.rejectedRows || []).map(row => ({ ...row, source: file.source }));
+    const excludedIndexes = isFileExcluded(fileIndex)
+      ? file.result.dataset.data.map((_, index) => index)
+      : getExcludedRows(fileIndex);
+
+    const excluded = excludedIndexes.map(index => ({
+      source: file.source,
+      rowNumber: null,
+      values: weeklyDataToRow(file.result.dataset.data[index]),
+      reason: isFileExcluded(fileIndex) ? EXCLUDED_FILE_REASON : EXCLUDED_ROW_REASON
+    }));
+
+    return [...invalid, ...excluded];
+  });
+
+  const rejectedRowCount = collectRejectedRows().length;
+
+  const downloadRejectedRows = () => {
+    const csv = exportRejectedRowsToCSV(collectRejectedRows());
+
+    // BOM so Excel opens the file as UTF-8
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `avvisade_rader_${new Date().toISOString().split('T')[0]}.csv`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 space-y-4">
+      <div className="flex items-start gap-3">
+        <Eye className="h-5 w-5 text-blue-700 mt-0.5" />
+        <div>
+          <h4 className="font-medium text-sm text-blue-900">
+            Förhandsgranska import
+          </h4>
+          <p className="text-xs text-blue-800 mt-1">
+            Kontrollera tolkade rader innan de importeras. Avmarkera rader eller hela filer som
+            inte ska med. Ogiltiga rader visas i rött med orsaken.
+          </p>
+        </div>
+      </div>
+
+      {files.map((file, fileIndex) => {
+        const { dataset, rejectedRows = [] } = file.result;
+        const fileExcluded = isFileExcluded(fileIndex);
+        const excludedCount = getExcludedRows(fileIndex).length;
+        const isExpanded = expandedFile === fileIndex;
+
+        return (
+          <div key={`${file.source}-${fileIndex}`} className="bg-white border rounded-lg">
+            <div className="flex items-center justify-between gap-3 px-3 py-2">
+              <button
+                type="button"
+                className="flex items-center gap-2 text-left"
+                onClick={() => setExpandedFile(isExpanded ? null : fileIndex)}
+              >
+                {isExpanded
+                  ? <ChevronDown className="h-4 w-4 text-gray-400" />
+                  : <ChevronRight className="h-4 w-4 text-gray-400" />}
+                <span className={`text-sm font-medium ${fileExcluded ? 'text-gray-400 line-through' : 'text-gray-700'}`}>
+                  {file.source}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {dataset.size() - excludedCount} av {dataset.size()} rader
+                  {rejectedRows.length > 0 && (
+                    <span className="text-red-600"> · {rejectedRows.length} ogiltiga</span>
+                  )}
+                </span>
+              </button>
+              <label className="flex items-center gap-2 text-xs text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={!fileExcluded}
+                  onChange={() => toggleFile(fileIndex)}
+                />
+                Importera filen
+              </label>
+            </div>
+
+            {isExpanded && (
+              <div className="max-h-80 overflow-y-auto border-t">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-10" />
+                      <TableHead>Rad</TableHead>
+                      <TableHead>Sida</TableHead>
+                      <TableHead>Vecka</TableHead>
+                      <TableHead className="text-right">Räckvidd</TableHead>
+                      <TableHead className="text-right">Engagemang</TableHead>
+                      <TableHead>Status</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rejectedRows.map((row, index) => (
+                      <TableRow key={`rejected-${index}`} className="bg-red-50">
+                        <TableCell className="py-1" />
+                        <TableCell className="py-1 text-xs">
+                          {row.sheet ? `${row.sheet}: ` : ''}{row.rowNumber}
+                        </TableCell>
+                        <TableCell colSpan={5} className="py-1 text-xs text-red-700">
+                          {row.reason}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                    {dataset.data.map((item, rowIndex) => {
+                      const rowExcluded = fileExcluded || getExcludedRows(fileIndex).includes(rowIndex);
+
+                      return (
+                        <TableRow key={rowIndex} className={rowExcluded ? 'opacity-40' : ''}>
+                          <TableCell className="py-1">
+                            <input
+                              type="checkbox"
+                              checked={!rowExcluded}
+                              disabled={fileExcluded}
+                              onChange={() => toggleRow(fileIndex, rowIndex)}
+                            />
+                          </TableCell>
+                          <TableCell className="py-1 text-xs text-gray-400">–</TableCell>
+                          <TableCell className="py-1 text-xs">{item.page.pageName}</TableCell>
+                          <TableCell className="py-1 text-xs">
+                            {item.period.getShortString()}
+                            <span className="block text-gray-400">
+                              {item.period.startDate} – {item.period.endDate}
+                              {item.period.datesDerived && (
+                                <span className="ml-1 text-amber-700" title="Datum saknades och har beräknats från år och vecka">
+                                  (beräknade)
+                                </span>
+                              )}
+                            </span>
+                          </TableCell>
+                          <TableCell className="py-1 text-xs text-right">
+                            {item.metrics.reach === null ? '–' : item.metrics.reach.toLocaleString('sv-SE')}
+                          </TableCell>
+                          <TableCell className="py-1 text-xs text-right">
+                            {item.metrics.engagements === null ? '–' : item.metrics.engagements.toLocaleString('sv-SE')}
+                          </TableCell>
+                          <TableCell className="py-1 text-xs">
+                            {item.status}
+                            {item.comment && <span className="text-gray-400"> · {item.comment}</span>}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex flex-wrap gap-2">
+        <Button
+          onClick={() => onConfirm(selectedResults)}
+          disabled={selectedResults.length === 0}
+          className="flex-1"
+        >
+          Importera {selectedRowCount} rader från {selectedResults.length} fil(er)
+        </Button>
+        <Button
+          variant="outline"
+          onClick={downloadRejectedRows}
+          disabled={rejectedRowCount === 0}
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Avvisade rader ({rejectedRowCount})
+        </Button>
+        <Button variant="outline" onClick={onCancel}>
+          <X className="h-4 w-4 mr-2" />
+          Avbryt
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default UploadPreview;
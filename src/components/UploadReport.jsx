@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { CheckCircle, AlertTriangle, XCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const STATUS_CONFIG = {
+  success: { icon: CheckCircle, className: 'text-green-600', label: 'OK' },
+  warning: { icon: AlertTriangle, className: 'text-amber-600', label: 'Varningar' },
+  error: { icon: XCircle, className: 'text-red-600', label: 'Fel' }
+};
+
+/**
+ * Rapport per fil efter batch-uppladdning (filer, ZIP-arkiv, mappar)
+ * report: {files: [{source, status, errors, warnings, weekCount}], summary}
+ */
+const UploadReport = ({ report }) => {
+  const [expandedRows, setExpandedRows] = useState([]);
+  const { files, summary } = report;
+
+  if (files.length === 0) return null;
+
+  const toggleRow = (index) => {
+    setExpandedRows(prev =>
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    );
+  };
+
+  return (
+    <div className="border rounded-lg">
+      <div className="flex flex-wrap gap-4 px-4 py-3 border-b bg-gray-50 text-sm">
+        <span className="font-medium">{summary.totalFiles} fil(er)</span>
+        <span className="text-green-700">{summary.successCount} OK</span>
+        <span className="text-amber-700">{summary.warningCount} med varningar</span>
+        <span className="text-red-700">{summary.errorCount} med fel</span>
+        <span className="text-gray-600">{summary.weekCount} veckor importerade</span>
+      </div>
+
+      <div className="max-h-80 overflow-y-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-8" />
+              <TableHead>Fil</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead className="text-right">Veckor</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {files.map((file, index) => {
+              const config = STATUS_CONFIG[file.status];
+              const StatusIcon = config.icon;
+              const messages = [...file.errors, ...file.warnings];
+              const isExpanded = expandedRows.includes(index);
+
+              return (
+                <React.Fragment key={`${file.source}-${index}`}>
+                  <TableRow
+                    className={messages.length > 0 ? 'cursor-pointer' : ''}
+                    onClick={() => messages.length > 0 && toggleRow(index)}
+                  >
+                    <TableCell className="py-2">
+                      {messages.length > 0 && (
+                        isExpanded
+                          ? <ChevronDown className="h-4 w-4 text-gray-400" />
+                          : <ChevronRight className="h-4 w-4 text-gray-400" />
+                      )}
+                    </TableCell>
+                    <TableCell className="py-2 font-medium text-gray-700">{file.source}</TableCell>
+                    <TableCell className="py-2">
+                      <span className={`flex items-center gap-1 ${config.className}`}>
+                        <StatusIcon className="h-4 w-4" />
+                        {config.label}
+                        {messages.length > 0 && ` (${messages.length})`}
+                      </span>
+                    </TableCell>
+                    <TableCell className="py-2 text-right">{file.weekCount}</TableCell>
+                  </TableRow>
+                  {isExpanded && (
+                    <TableRow>
+                      <TableCell />
+                      <TableCell colSpan={3} className="py-2">
+                        <ul className="text-xs space-y-1">
+                          {file.errors.map((message, i) => (
+                            <li key={`e${i}`} className="text-red-700">• {message}</li>
+                          ))}
+                          {file.warnings.map((message, i) => (
+                            <li key={`w${i}`} className="text-amber-700">⚠ {message}</li>
+                          ))}
+                        </ul>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+};
+
+export default UploadReport;
@@ -3,21 +3,62 @@ import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Alert, AlertDescription } from './ui/alert';
 import { Upload, X, CheckCircle, AlertCircle, FileText } from 'lucide-react';
-import { validateFile } from '../utils/period_validator';
-import { processMultipleFiles } from '../core/csv_processor';
+import { validateFile, createBatchReport, validateCalendarConsistency } from '../utils/period_validator';
+import { processMultipleFiles, createPeriodEntries } from '../core/csv_processor';
+import { isExcelFile, readSheetNamesFromFile } from '../core/excel_processor';
+import { saveColumnMapping } from '../core/column_mapper';
+import { METRIC_DEFINITIONS, registerMetric, suggestMetricCategory } from '../utils/metric_categorizer';
+import { expandUploadedFiles, collectFilesFromDataTransfer, getSourcePath } from '../core/archive_extractor';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import UploadReport from './UploadReport';
+import UploadPreview from './UploadPreview';
+import NewMetricsPanel from './NewMetricsPanel';
 
-const WeeklyUploader = ({ onDataUploaded }) => {
+const WeeklyUploader = ({ onDataUploaded, existingPeriods = [] }) => {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadResults, setUploadResults] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [sheetOptions, setSheetOptions] = useState({});
+  const [pendingMappings, setPendingMappings] = useState([]);
+  const [preview, setPreview] = useState(null);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
 
   // Handle file selection
   const handleFileSelect = (files) => {
     const filesArray = Array.from(files);
     setSelectedFiles(filesArray);
     setUploadResults(null);
+    setSheetOptions({});
+    setPendingMappings([]);
+    setPreview(null);
+    loadSheetNames(filesArray);
+  };
+
+  // Read sheet names from Excel workbooks so the user can pick a sheet
+  const loadSheetNames = async (files) => {
+    const excelFiles = files.filter(file => isExcelFile(file.name));
+
+    for (const file of excelFiles) {
+      try {
+        const sheetNames = await readSheetNamesFromFile(file);
+        setSheetOptions(prev => ({
+          ...prev,
+          [getSourcePath(file)]: { sheetNames, selected: '' }
+        }));
+      } catch (error) {
+        console.error(`Kunde inte läsa flikar från ${file.name}:`, error);
+      }
+    }
+  };
+
+  // Select sheet for an Excel workbook ('' = all sheets), keyed by source path
+  const selectSheet = (source, sheetName) => {
+    setSheetOptions(prev => ({
+      ...prev,
+      [source]: { ...prev[source], selected: sheetName }
+    }));
   };
 
   // Handle drag events
@@ -31,14 +72,19 @@ const WeeklyUploader = ({ onDataUploaded }) => {
     }
   };
 
-  // Handle drop
-  const handleDrop = (e) => {
+  // Handle drop (files, ZIP archives or whole folders)
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
 
-    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      handleFileSelect(e.dataTransfer.files);
+    try {
+      const files = await collectFilesFromDataTransfer(e.dataTransfer);
+      if (files.length > 0) {
+        handleFileSelect(files);
+      }
+    } catch (error) {
+      console.error('Kunde inte läsa släppta filer:', error);
     }
   };
 
@@ -55,78 +101,129 @@ const WeeklyUploader = ({ onDataUploaded }) => {
     setSelectedFiles(newFiles);
   };
 
-  // Process and upload files
-  const handleUpload = async () => {
+  // Update one field in a pending column mapping
+  const updateMapping = (source, field, header) => {
+    setPendingMappings(prev => prev.map(item =>
+      item.source === source
+        ? { ...item, mapping: { ...item.mapping, [field]: header } }
+        : item
+    ));
+  };
+
+  // Save confirmed mappings per header signature and re-run the upload with them
+  const confirmMappings = () => {
+    const columnMappings = {};
+
+    pendingMappings.forEach(item => {
+      saveColumnMapping(item.headers, item.mapping);
+      columnMappings[item.source] = item.mapping;
+    });
+
+    setPendingMappings([]);
+    handleUpload(columnMappings);
+  };
+
+  // Process files and show the preview step (nothing is imported yet)
+  const handleUpload = async (columnMappings = {}) => {
     if (selectedFiles.length === 0) return;
 
     setUploading(true);
     setUploadResults(null);
+    setPreview(null);
 
     try {
-      // 1. Validate all files first
-      const validationPromises = selectedFiles.map(file => validateFile(file, []));
-      const validations = await Promise.all(validationPromises);
+      // 1. Expand ZIP archives into their contained files
+      const expanded = await expandUploadedFiles(selectedFiles);
 
-      // Check for validation errors
-      const hasErrors = validations.some(v => !v.isValid);
-      if (hasErrors) {
-        setUploadResults({
+      // 2. Validate every file; only valid files are processed
+      const validations = await Promise.all(
+        expanded.files.map(file => validateFile(file, existingPeriods))
+      );
+      const validFiles = expanded.files.filter((_, index) => validations[index].isValid);
+
+      // 3. Process valid CSV, Excel and JSON files
+      const sheetSelections = {};
+      Object.entries(sheetOptions).forEach(([source, option]) => {
+        if (option.selected) {
+          sheetSelections[source] = option.selected;
+        }
+      });
+
+      const processed = validFiles.length > 0
+        ? await processMultipleFiles(validFiles, { sheetSelections, columnMappings })
+        : [];
+
+      // Dates must match ISO year/week, and the filename week must match the data
+      const results = processed.map((result, index) => {
+        if (!result.success) return result;
+
+        const file = validFiles[index];
+        const validation = validations[expanded.files.indexOf(file)];
+        const calendar = validateCalendarConsistency(result.dataset, validation.period, file.name);
+
+        if (calendar.isValid) {
+          return {
+            ...result,
+            warnings: [...result.warnings, ...calendar.warnings.map(warning => warning.message)]
+          };
+        }
+
+        return {
+          ...result,
           success: false,
-          message: 'Vissa filer har valideringsfel',
-          validations
-        });
+          dataset: null,
+          errors: [...result.errors, ...calendar.errors.map(error => error.message)]
+        };
+      });
+
+      // Files with non-standard headers need a mapping step before anything is imported
+      const needsMapping = results
+        .map((result, index) => ({ result, source: getSourcePath(validFiles[index]) }))
+        .filter(({ result }) => result.needsMapping);
+      if (needsMapping.length > 0) {
+        setPendingMappings(needsMapping.map(({ result, source }) => ({
+          source,
+          headers: result.headers,
+          mapping: result.suggestedMapping
+        })));
         setUploading(false);
         return;
       }
 
-      // 2. Process CSV files
-      const results = await processMultipleFiles(selectedFiles);
+      // 4. Build per-file report (results are in the same order as validFiles)
+      const report = createBatchReport(
+        expanded.files.map((file, index) => ({
+          source: getSourcePath(file),
+          validation: validations[index],
+          result: results[validFiles.indexOf(file)]
+        })),
+        expanded.errors
+      );
 
-      // Check for processing errors
       const successfulResults = results.filter(r => r.success);
-      const failedResults = results.filter(r => !r.success);
 
       if (successfulResults.length === 0) {
         setUploadResults({
           success: false,
-          message: 'Kunde inte bearbeta några filer',
-          results
+          message: 'Inga filer kunde importeras',
+          report
         });
-        setUploading(false);
         return;
       }
 
-      // 3. Prepare data for parent component
-      const periodsData = successfulResults.map(result => {
-        // Extract period info from first row of dataset
-        const firstRow = result.dataset.data[0];
-        
-        return {
-          year: firstRow.period.year,
-          week: firstRow.period.week,
-          month: firstRow.period.getMonthNumber(),
-          startDate: firstRow.period.startDate,
-          endDate: firstRow.period.endDate,
-          filename: result.filename,
-          data: result.dataset.data // Full dataset
-        };
-      });
-
-      // 4. Call parent callback
-      onDataUploaded(periodsData);
+      // Extra numeric columns that have no category yet
+      const newMetricKeys = [...new Set(successfulResults.flatMap(r => r.metricColumns || []))]
+        .filter(key => !METRIC_DEFINITIONS[key]);
 
-      // 5. Show success message
-      setUploadResults({
-        success: true,
-        message: `${successfulResults.length} fil(er) uppladdade framgångsrikt!`,
-        successCount: successfulResults.length,
-        failedCount: failedResults.length,
-        results
+      // 5. Let the user review parsed rows before anything reaches App state
+      setPreview({
+        files: results
+          .map((result, index) => ({ source: getSourcePath(validFiles[index]), result }))
+          .filter(file => file.result.success),
+        newMetrics: newMetricKeys.map(key => ({ key, category: suggestMetricCategory(key) })),
+        report
       });
 
-      // Clear selected files
-      setSelectedFiles([]);
-
     } catch (error) {
       console.error('Upload error:', error);
       setUploadResults({
@@ -139,6 +236,39 @@ const WeeklyUploader = ({ onDataUploaded }) => {
     }
   };
 
+  // Change the category chosen for a new metric
+  const updateMetricCategory = (key, category) => {
+    setPreview(prev => ({
+      ...prev,
+      newMetrics: prev.newMetrics.map(metric => (metric.key === key ? { ...metric, category } : metric))
+    }));
+  };
+
+  // Import the rows kept in the preview
+  const confirmPreview = (selectedResults) => {
+    // Register new metrics first so the trend view can offer them
+    preview.newMetrics.forEach(metric => registerMetric(metric.key, metric.category));
+
+    // One entry per week in each file
+    const periodsData = selectedResults.flatMap(result => createPeriodEntries(result));
+
+    onDataUploaded(periodsData);
+
+    setUploadResults({
+      success: true,
+      message: `${selectedResults.length} fil(er) uppladdade framgångsrikt (${periodsData.length} veckor)!`,
+      successCount: selectedResults.length,
+      failedCount: preview.report.summary.errorCount,
+      report: preview.report
+    });
+
+    // Clear selected files
+    setPreview(null);
+    setSelectedFiles([]);
+    setSheetOptions({});
+    setPendingMappings([]);
+  };
+
   return (
     <Card>
       <CardHeader>
@@ -163,20 +293,40 @@ const WeeklyUploader = ({ onDataUploaded }) => {
         >
           <Upload className="h-12 w-12 mx-auto mb-4 text-gray-400" />
           <p className="text-lg font-medium text-gray-700 mb-2">
-            Dra och släpp CSV-filer här
+            Dra och släpp filer, ZIP-arkiv eller mappar här
           </p>
           <p className="text-sm text-gray-500 mb-4">
-            eller klicka för att välja filer
+            eller klicka för att välja filer{' '}
+            <button
+              type="button"
+              className="underline hover:text-gray-700"
+              onClick={(e) => {
+                e.stopPropagation();
+                folderInputRef.current?.click();
+              }}
+            >
+              (välj mapp)
+            </button>
+          </p>
+          <p className="text-xs text-gray-400">
+            Format: week_XX.csv, 2025_week_XX.csv eller 2025-WXX.csv (även .xlsx, Graph API-JSON och .zip)
           </p>
           <p className="text-xs text-gray-400">
-            Format: week_XX.csv (t.ex. week_41.csv, week_42.csv)
+            Filer med flera veckor delas upp automatiskt, dagliga exporter rullas upp till ISO-veckor
           </p>
 
           <input
             ref={fileInputRef}
             type="file"
             multiple
-            accept=".csv"
+            accept=".csv,.xlsx,.xls,.json,.zip"
+            onChange={handleChange}
+            className="hidden"
+          />
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
             onChange={handleChange}
             className="hidden"
           />
@@ -198,11 +348,26 @@ const WeeklyUploader = ({ onDataUploaded }) => {
                     <FileText className="h-5 w-5 text-gray-400" />
                     <div>
                       <p className="text-sm font-medium text-gray-700">
-                        {file.name}
+                        {getSourcePath(file)}
                       </p>
                       <p className="text-xs text-gray-500">
                         {(file.size / 1024).toFixed(2)} KB
                       </p>
+                      {sheetOptions[getSourcePath(file)]?.sheetNames.length > 1 && (
+                        <select
+                          value={sheetOptions[getSourcePath(file)].selected}
+                          onChange={(e) => selectSheet(getSourcePath(file), e.target.value)}
+                          onClick={(e) => e.stopPropagation()}
+                          className="mt-1 text-xs border rounded px-2 py-1 bg-white"
+                        >
+                          <option value="">Alla flikar</option>
+                          {sheetOptions[getSourcePath(file)].sheetNames.map(sheetName => (
+                            <option key={sheetName} value={sheetName}>
+                              {sheetName}
+                            </option>
+                          ))}
+                        </select>
+                      )}
                     </div>
                   </div>
                   <Button
@@ -221,10 +386,20 @@ const WeeklyUploader = ({ onDataUploaded }) => {
           </div>
         )}
 
+        {/* Column Mapping Step */}
+        {pendingMappings.length > 0 && (
+          <ColumnMappingWizard
+            pendingMappings={pendingMappings}
+            onMappingChange={updateMapping}
+            onConfirm={confirmMappings}
+            onCancel={() => setPendingMappings([])}
+          />
+        )}
+
         {/* Upload Button */}
-        {selectedFiles.length > 0 && (
+        {selectedFiles.length > 0 && pendingMappings.length === 0 && !preview && (
           <Button
-            onClick={handleUpload}
+            onClick={() => handleUpload()}
             disabled={uploading}
             className="w-full"
           >
@@ -236,12 +411,30 @@ const WeeklyUploader = ({ onDataUploaded }) => {
             ) : (
               <>
                 <Upload className="h-4 w-4 mr-2" />
-                Ladda upp {selectedFiles.length} fil(er)
+                Granska {selectedFiles.length} fil(er)
               </>
             )}
           </Button>
         )}
 
+        {/* Preview Step */}
+        {preview && (
+          <>
+            {preview.newMetrics.length > 0 && (
+              <NewMetricsPanel
+                metrics={preview.newMetrics}
+                onCategoryChange={updateMetricCategory}
+              />
+            )}
+            <UploadPreview
+              files={preview.files}
+              onConfirm={confirmPreview}
+              onCancel={() => setPreview(null)}
+            />
+            <UploadReport report={preview.report} />
+          </>
+        )}
+
         {/* Upload Results */}
         {uploadResults && (
           <Alert variant={uploadResults.success ? 'default' : 'destructive'}>
@@ -260,6 +453,11 @@ const WeeklyUploader = ({ onDataUploaded }) => {
             </AlertDescription>
           </Alert>
         )}
+
+        {/* Per-file Report */}
+        {uploadResults?.report && (
+          <UploadReport report={uploadResults.report} />
+        )}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,145 @@
+import React, { useRef, useState } from 'react';
+import { FolderOpen, Plus, Pencil, Trash2, Download, Upload } from 'lucide-react';
+import { Button } from './ui/button';
+import { DEFAULT_WORKSPACE_ID } from '../utils/workspace_storage';
+
+/**
+ * Arbetsytor i headern: byt, skapa, byt namn, ta bort, exportera och importera
+ * onCreate/onRename returnerar {success, errors}, onImport ett Promise med
+ * importresultatet {success, imported, rejected, errors}
+ */
+const WorkspaceSwitcher = ({
+  workspaces,
+  activeWorkspaceId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDelete,
+  onExport,
+  onImport
+}) => {
+  // null, 'create' eller 'rename'
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const activeWorkspace = workspaces.find(workspace => workspace.id === activeWorkspaceId);
+
+  const startEditing = (nextMode) => {
+    setMode(nextMode);
+    setName(nextMode === 'rename' ? activeWorkspace?.name || '' : '');
+    setErrors([]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = mode === 'create' ? onCreate(name) : onRename(activeWorkspaceId, name);
+
+    if (!result.success) {
+      setErrors(result.errors);
+      return;
+    }
+
+    setMode(null);
+    setErrors([]);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Ta bort arbetsytan "${activeWorkspace.name}" med alla dess veckor och inställningar?`)) {
+      onDelete(activeWorkspaceId);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const result = await onImport(file);
+    const rejected = result.rejected.map(({ key, errors: recordErrors }) => `${key}: ${recordErrors.join('; ')}`);
+
+    if (!result.success && result.imported.length === 0) {
+      setErrors([...result.errors, ...rejected, 'Arbetsytan importerades inte']);
+      return;
+    }
+
+    setErrors(rejected.length > 0 ? [`${rejected.length} veckor hoppades över:`, ...rejected] : []);
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      {mode ? (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={mode === 'create' ? 'Namn på ny arbetsyta' : 'Nytt namn'}
+            className="text-sm border rounded px-2 py-1"
+            autoFocus
+          />
+          <Button type="submit" size="sm" disabled={!name.trim()}>
+            {mode === 'create' ? 'Skapa' : 'Spara'}
+          </Button>
+          <Button type="button" variant="ghost" size="sm" onClick={() => startEditing(null)}>
+            Avbryt
+          </Button>
+        </form>
+      ) : (
+        <div className="flex items-center gap-1">
+          <FolderOpen className="h-4 w-4 text-gray-500 mr-1" />
+          <select
+            value={activeWorkspaceId}
+            onChange={(e) => onSwitch(e.target.value)}
+            className="text-sm border rounded px-2 py-1 bg-white"
+            title="Arbetsyta"
+          >
+            {workspaces.map(workspace => (
+              <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+            ))}
+          </select>
+          <Button variant="ghost" size="sm" onClick={() => startEditing('create')} title="Ny arbetsyta">
+            <Plus className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => startEditing('rename')} title="Byt namn">
+            <Pencil className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={handleDelete}
+            disabled={activeWorkspaceId === DEFAULT_WORKSPACE_ID}
+            title="Ta bort arbetsytan"
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onExport} title="Exportera arbetsytan">
+            <Download className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => fileInputRef.current?.click()}
+            title="Importera arbetsyta"
+          >
+            <Upload className="h-4 w-4" />
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <p className="text-xs text-red-600">{errors.join(' ')}</p>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
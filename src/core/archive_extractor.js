@@ -0,0 +1,189 @@
+/**
+ * Archive Extractor
+ *
+ * Expanderar ZIP-arkiv och mappar (drag-and-drop eller mappval) till
+ * enskilda filer som sedan valideras och bearbetas som vanliga uppladdningar
+ */
+
+import { CFB } from 'xlsx';
+import { readFileAsArrayBuffer } from './excel_processor.js';
+
+// Systemfiler som skapas av operativsystem och arkivprogram
+const IGNORED_PATH_PATTERNS = [
+  /(^|\/)__MACOSX\//,
+  /(^|\/)\./,           // .DS_Store, ._week_41.csv etc.
+  /(^|\/)Thumbs\.db$/i,
+  /(^|\/)desktop\.ini$/i
+];
+
+// Intern post som SheetJS lägger till i CFB-containern
+const CFB_INTERNAL_ENTRY = '\u0001Sh33tJ5';
+
+/**
+ * Kontrollerar om ett filnamn är ett ZIP-arkiv
+ * @param {string} filename - Filnamn
+ * @returns {boolean}
+ */
+export function isZipFile(filename) {
+  return Boolean(filename) && filename.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Kontrollerar om en sökväg är en systemfil som ska ignoreras
+ * @param {string} path - Sökväg inom arkiv eller mapp
+ * @returns {boolean}
+ */
+function isIgnoredPath(path) {
+  return IGNORED_PATH_PATTERNS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Sparar ursprunglig sökväg på en fil (arkiv/mapp) för rapportering
+ * @param {File} file - Fil-objekt
+ * @param {string} sourcePath - T.ex. "Q4.zip/week_41.csv"
+ * @returns {File}
+ */
+function withSourcePath(file, sourcePath) {
+  Object.defineProperty(file, 'sourcePath', { value: sourcePath, enumerable: true });
+  return file;
+}
+
+/**
+ * Hämtar filens ursprungliga sökväg (arkiv, mapp eller bara filnamn)
+ * @param {File} file - Fil-objekt
+ * @returns {string}
+ */
+export function getSourcePath(file) {
+  return file.sourcePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Packar upp alla filer i ett ZIP-arkiv
+ * @param {File} zipFile - ZIP-fil
+ * @returns {Promise<Array<File>>} - Filer i arkivet (systemfiler borttagna)
+ */
+export async function extractFilesFromZip(zipFile) {
+  const data = await readFileAsArrayBuffer(zipFile);
+  const container = CFB.read(new Uint8Array(data), { type: 'array' });
+  const files = [];
+
+  container.FileIndex.forEach((entry, index) => {
+    // type 2 = fil (mappar och rotposten hoppas över)
+    if (entry.type !== 2 || entry.name === CFB_INTERNAL_ENTRY) return;
+
+    // FullPaths börjar med rotpostens namn ("Root Entry/...")
+    const fullPath = container.FullPaths[index];
+    const innerPath = fullPath.slice(fullPath.indexOf('/') + 1);
+
+    if (isIgnoredPath(innerPath)) return;
+
+    const file = new File([entry.content || new Uint8Array(0)], entry.name, {
+      lastModified: entry.mt ? entry.mt.getTime() : zipFile.lastModified
+    });
+
+    files.push(withSourcePath(file, `${zipFile.name}/${innerPath}`));
+  });
+
+  return files;
+}
+
+/**
+ * Expanderar uppladdade filer: ZIP-arkiv packas upp, övriga filer behålls
+ * (systemfiler tas bort)
+ * @param {Array<File>} files - Valda filer
+ * @returns {Promise<Object>} - {files: Array<File>, errors: [{source, message}]}
+ */
+export async function expandUploadedFiles(files) {
+  const expanded = [];
+  const errors = [];
+
+  for (const file of files) {
+    // Systemfiler från mappval (.DS_Store etc.) ignoreras
+    if (isIgnoredPath(getSourcePath(file))) {
+      continue;
+    }
+
+    if (!isZipFile(file.name)) {
+      expanded.push(file);
+      continue;
+    }
+
+    try {
+      const contained = await extractFilesFromZip(file);
+
+      if (contained.length === 0) {
+        errors.push({ source: file.name, message: 'ZIP-arkivet innehåller inga filer' });
+      }
+
+      expanded.push(...contained);
+    } catch (error) {
+      errors.push({ source: file.name, message: `Kunde inte packa upp ZIP-arkiv: ${error.message}` });
+    }
+  }
+
+  return { files: expanded, errors };
+}
+
+/**
+ * Samlar filer från drag-and-drop, inklusive hela mappar
+ * Posterna måste hämtas synkront innan eventet avslutas
+ * @param {DataTransfer} dataTransfer - Från drop-eventet
+ * @returns {Promise<Array<File>>}
+ */
+export async function collectFilesFromDataTransfer(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  // Webbläsare utan FileSystem Entry API: använd platt fillista
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...await readEntryRecursively(entry));
+  }
+
+  return files;
+}
+
+/**
+ * Läser en fil- eller mappost rekursivt
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<Array<File>>}
+ */
+async function readEntryRecursively(entry) {
+  const path = entry.fullPath.replace(/^\//, '');
+
+  if (isIgnoredPath(path)) {
+    return [];
+  }
+
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [withSourcePath(file, path)];
+  }
+
+  if (!entry.isDirectory) {
+    return [];
+  }
+
+  const reader = entry.createReader();
+  const children = [];
+
+  // readEntries returnerar poster i omgångar tills en tom omgång kommer
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    children.push(...batch);
+  } while (batch.length > 0);
+
+  const files = [];
+  for (const child of children) {
+    files.push(...await readEntryRecursively(child));
+  }
+
+  return files;
+}
@@ -0,0 +1,215 @@
+/**
+ * Column Mapper
+ *
+ * Mappar icke-standardiserade CSV-rubriker (t.ex. svenska "Räckvidd",
+ * "Engagemang") till de kanoniska kolumnerna i EXPECTED_COLUMNS
+ * Sparade mappningar kommer ihåg per rubriksignatur och arbetsyta i localStorage
+ */
+
+import { COLUMN_SCHEMA } from './column_schema.js';
+import { getWorkspaceStorageKey } from '../utils/workspace_storage.js';
+
+const MAPPINGS_STORAGE_KEY = 'fb_column_mappings';
+
+/**
+ * Kanoniska fält som kan mappas, i samma ordning som EXPECTED_COLUMNS
+ */
+export const MAPPABLE_FIELDS = COLUMN_SCHEMA.map(({ key, label, required }) => ({ key, label, required }));
+
+/**
+ * Kända alternativa rubriker per kanoniskt fält (normaliserade)
+ */
+const COLUMN_ALIASES = {
+  page_id: ['page_id', 'pageid', 'id', 'sid_id', 'sidans_id', 'sida_id'],
+  page_name: ['page_name', 'pagename', 'page', 'name', 'namn', 'sida', 'sidnamn', 'sidans_namn'],
+  year: ['year', 'år', 'ar', 'årtal'],
+  week: ['week', 'vecka', 'veckonummer', 'week_number', 'v'],
+  start_date: ['start_date', 'startdate', 'start', 'startdatum', 'från', 'fran', 'period_start'],
+  end_date: ['end_date', 'enddate', 'end', 'slutdatum', 'till', 'period_end'],
+  reach: ['reach', 'räckvidd', 'rackvidd', 'unik_räckvidd', 'unique_reach'],
+  engagements: ['engagements', 'engagement', 'engagemang', 'interaktioner', 'post_engagements'],
+  status: ['status', 'tillstånd'],
+  comment: ['comment', 'comments', 'kommentar', 'kommentarer', 'anteckning', 'notes']
+};
+
+/**
+ * Normaliserar rubrik för jämförelse (gemener, mellanslag/bindestreck → _)
+ * @param {string} header - Rubrik
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Skapar signatur för en rubrikuppsättning (oberoende av kolumnordning)
+ * @param {Array<string>} headers - Rubriker från filen
+ * @returns {string} - T.ex. "engagemang|räckvidd|sida|..."
+ */
+export function getHeaderSignature(headers) {
+  return [...new Set(headers.map(normalizeHeader))].sort().join('|');
+}
+
+/**
+ * Föreslår mappning för rubriker: sparad mappning först, annars alias
+ * @param {Array<string>} headers - Rubriker från filen
+ * @returns {Object} - {mapping: {fält: rubrik|null}, fromSaved}
+ */
+export function suggestColumnMapping(headers) {
+  const saved = loadColumnMapping(headers);
+
+  if (saved) {
+    return { mapping: saved, fromSaved: true };
+  }
+
+  const mapping = {};
+  const usedHeaders = new Set();
+
+  MAPPABLE_FIELDS.forEach(field => {
+    const aliases = COLUMN_ALIASES[field.key] || [field.key];
+    const match = headers.find(header =>
+      !usedHeaders.has(header) && aliases.includes(normalizeHeader(header))
+    );
+
+    mapping[field.key] = match || null;
+    if (match) {
+      usedHeaders.add(match);
+    }
+  });
+
+  return { mapping, fromSaved: false };
+}
+
+/**
+ * Kontrollerar att alla obligatoriska fält har en källkolumn
+ * @param {Object} mapping - {fält: rubrik|null}
+ * @returns {boolean}
+ */
+export function isMappingComplete(mapping) {
+  if (!mapping) return false;
+
+  return MAPPABLE_FIELDS
+    .filter(field => field.required)
+    .every(field => Boolean(mapping[field.key]));
+}
+
+/**
+ * Hämtar obligatoriska fält som saknar källkolumn
+ * @param {Object} mapping - {fält: rubrik|null}
+ * @returns {Array<string>} - Fältnycklar
+ */
+export function getUnmappedRequiredFields(mapping) {
+  return MAPPABLE_FIELDS
+    .filter(field => field.required && !(mapping && mapping[field.key]))
+    .map(field => field.key);
+}
+
+/**
+ * Tillämpar mappning på Papa Parse-resultat
+ * Omappade valfria fält sätts till null så att strukturvalideringen går igenom.
+ * Källkolumner som inte används i mappningen följer med oförändrade, så att
+ * extra metrics (t.ex. impressions) fortfarande upptäcks
+ * @param {Object} parseResult - {data, meta: {fields}, errors}
+ * @param {Object} mapping - {fält: rubrik|null}
+ * @returns {Object} - Nytt parseResult med kanoniska kolumnnamn
+ */
+export function applyColumnMapping(parseResult, mapping) {
+  const fields = MAPPABLE_FIELDS.map(field => field.key);
+  const mappedSources = new Set(Object.values(mapping).filter(Boolean));
+
+  // En omappad kolumn som heter som ett kanoniskt fält skulle skriva över det
+  const passthrough = (parseResult.meta?.fields || [])
+    .filter(header => !mappedSources.has(header) && !fields.includes(header));
+
+  const data = (parseResult.data || []).map(row => {
+    const mappedRow = {};
+    fields.forEach(field => {
+      const source = mapping[field];
+      mappedRow[field] = source ? row[source] ?? null : null;
+    });
+    passthrough.forEach(header => {
+      mappedRow[header] = row[header] ?? null;
+    });
+    return mappedRow;
+  });
+
+  return {
+    ...parseResult,
+    data,
+    meta: { ...parseResult.meta, fields: [...fields, ...passthrough] }
+  };
+}
+
+/**
+ * Hämtar alla sparade mappningar
+ * @returns {Object} - {signatur: {mapping, savedAt}}
+ */
+export function loadSavedColumnMappings() {
+  try {
+    const stored = localStorage.getItem(getWorkspaceStorageKey(MAPPINGS_STORAGE_KEY));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Kunde inte läsa sparade kolumnmappningar:', error);
+    return {};
+  }
+}
+
+/**
+ * Hämtar sparad mappning för en rubrikuppsättning
+ * @param {Array<string>} headers - Rubriker från filen
+ * @returns {Object|null} - Mappning eller null om ingen giltig finns
+ */
+export function loadColumnMapping(headers) {
+  const saved = loadSavedColumnMappings()[getHeaderSignature(headers)];
+
+  if (!saved || !saved.mapping) {
+    return null;
+  }
+
+  // Sparad mappning måste peka på rubriker som finns i filen
+  const allPresent = Object.values(saved.mapping)
+    .filter(Boolean)
+    .every(header => headers.includes(header));
+
+  return allPresent ? saved.mapping : null;
+}
+
+/**
+ * Sparar mappning för en rubrikuppsättning
+ * @param {Array<string>} headers - Rubriker från filen
+ * @param {Object} mapping - {fält: rubrik|null}
+ * @returns {boolean} - True om lyckad lagring
+ */
+export function saveColumnMapping(headers, mapping) {
+  try {
+    const allMappings = loadSavedColumnMappings();
+    allMappings[getHeaderSignature(headers)] = {
+      mapping,
+      savedAt: new Date().toISOString()
+    };
+
+    localStorage.setItem(getWorkspaceStorageKey(MAPPINGS_STORAGE_KEY), JSON.stringify(allMappings));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara kolumnmappning:', error);
+    return false;
+  }
+}
+
+/**
+ * Tar bort sparad mappning för en rubriksignatur
+ * @param {string} signature - Rubriksignatur från getHeaderSignature
+ * @returns {boolean} - True om borttagen
+ */
+export function removeColumnMapping(signature) {
+  try {
+    const allMappings = loadSavedColumnMappings();
+    delete allMappings[signature];
+
+    localStorage.setItem(getWorkspaceStorageKey(MAPPINGS_STORAGE_KEY), JSON.stringify(allMappings));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte ta bort kolumnmappning:', error);
+    return false;
+  }
+}
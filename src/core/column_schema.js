@@ -0,0 +1,229 @@
+/**
+ * Column Schema
+ *
+ * Typad kolumndefinition för veckoformatet. Ersätter Papa Parse dynamicTyping:
+ * varje kolumn tolkas enligt sin typ i stället för att gissas per värde.
+ *
+ * KRITISKT: Sid-ID behålls alltid som sträng. Facebook-ID:n har 15–17 siffror
+ * och överskrider Number.MAX_SAFE_INTEGER – som tal avrundas de tyst och två
+ * olika sidor kan få samma ID.
+ */
+
+import { normalizeLocaleNumber } from './csv_format_detector.js';
+import { parseISODate, formatISODate } from '../utils/iso_week.js';
+
+/**
+ * Kolumntyper
+ */
+export const COLUMN_TYPES = {
+  ID: 'id',           // Sträng, avvisar avrundade tal
+  STRING: 'string',   // Fri text
+  INTEGER: 'integer', // Heltal, lokalt format tillåts ("12 345")
+  NUMBER: 'number',   // Tal med eller utan decimaler (extra metrics)
+  DATE: 'date'        // YYYY-MM-DD, validerat kalenderdatum
+};
+
+// Giltiga namn för extra metric-kolumner (rubriker är redan gemener)
+const METRIC_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Kolumner i veckoformatet, i filordning
+ * required: kolumnen måste finnas i filen (eller mappas)
+ * requiredValue: varje rad måste ha ett värde
+ * Datumkolumnerna är valfria – saknade datum beräknas från år och vecka
+ */
+export const COLUMN_SCHEMA = [
+  { key: 'page_id', label: 'Sid-ID', type: COLUMN_TYPES.ID, required: true, requiredValue: true },
+  { key: 'page_name', label: 'Sidnamn', type: COLUMN_TYPES.STRING, required: true, requiredValue: true },
+  { key: 'year', label: 'År', type: COLUMN_TYPES.INTEGER, required: true, requiredValue: true },
+  { key: 'week', label: 'Vecka', type: COLUMN_TYPES.INTEGER, required: true, requiredValue: true },
+  { key: 'start_date', label: 'Startdatum', type: COLUMN_TYPES.DATE, required: false, requiredValue: false },
+  { key: 'end_date', label: 'Slutdatum', type: COLUMN_TYPES.DATE, required: false, requiredValue: false },
+  { key: 'reach', label: 'Räckvidd', type: COLUMN_TYPES.INTEGER, required: true, requiredValue: false },
+  { key: 'engagements', label: 'Engagemang', type: COLUMN_TYPES.INTEGER, required: true, requiredValue: false },
+  { key: 'status', label: 'Status', type: COLUMN_TYPES.STRING, required: false, requiredValue: false },
+  { key: 'comment', label: 'Kommentar', type: COLUMN_TYPES.STRING, required: false, requiredValue: false }
+];
+
+// Förväntade kolumnnamn (exakt som i CSV)
+export const EXPECTED_COLUMNS = COLUMN_SCHEMA.map(column => column.key);
+
+// Kolumner som måste finnas i filen
+export const REQUIRED_COLUMNS = COLUMN_SCHEMA.filter(column => column.required).map(column => column.key);
+
+/**
+ * Hämtar kolumndefinition
+ * @param {string} key - Kolumnnamn
+ * @returns {Object|null}
+ */
+export function getColumnDefinition(key) {
+  return COLUMN_SCHEMA.find(column => column.key === key) || null;
+}
+
+/**
+ * Kolumndefinition för en extra numerisk kolumn (t.ex. impressions)
+ * @param {string} key - Kolumnnamn
+ * @returns {Object} - {key, label, type, required, requiredValue}
+ */
+export function createMetricColumn(key) {
+  return { key, label: key, type: COLUMN_TYPES.NUMBER, required: false, requiredValue: false };
+}
+
+/**
+ * Hittar extra kolumner där alla ifyllda värden är tal
+ * Kolumner utan värden och kolumner med text räknas inte som metrics
+ * @param {Object} parseResult - {data, meta: {fields}}
+ * @param {Object} options - {decimalSeparator}
+ * @returns {Array<string>} - Kolumnnamn i filordning
+ */
+export function detectMetricColumns(parseResult, options = {}) {
+  const fields = parseResult.meta?.fields || [];
+  const rows = parseResult.data || [];
+
+  return fields.filter(field => {
+    if (EXPECTED_COLUMNS.includes(field) || !METRIC_KEY_PATTERN.test(field) || field in Object.prototype) {
+      return false;
+    }
+
+    const column = createMetricColumn(field);
+    let hasValue = false;
+
+    const allNumeric = rows.every(row => {
+      const { value, error } = coerceValue(row[field], column, options);
+      if (value !== null) hasValue = true;
+      return !error;
+    });
+
+    return allNumeric && hasValue;
+  });
+}
+
+/**
+ * Tolkar ett värde enligt kolumnens typ
+ * @param {any} value - Råvärde från CSV (sträng) eller Excel (sträng/tal)
+ * @param {Object} column - Kolumndefinition {key, label, type}
+ * @param {Object} options - {decimalSeparator} för heltal i lokalt format
+ * @returns {Object} - {value, error} där value är null för tomma celler
+ */
+export function coerceValue(value, column, options = {}) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { value: null, error: null };
+  }
+
+  switch (column.type) {
+    case COLUMN_TYPES.ID:
+      return coerceId(value, column);
+    case COLUMN_TYPES.INTEGER:
+      return coerceInteger(value, column, options.decimalSeparator ?? null);
+    case COLUMN_TYPES.NUMBER:
+      return coerceNumber(value, column, options.decimalSeparator ?? null);
+    case COLUMN_TYPES.DATE:
+      return coerceDate(value, column);
+    default:
+      return { value: String(value).trim(), error: null };
+  }
+}
+
+/**
+ * Tolkar en rad enligt schemat
+ * Kolumner utanför schemat följer med oförändrade
+ * @param {Object} row - Rad med kanoniska kolumnnamn
+ * @param {Object} options - {decimalSeparator, schema}
+ * @returns {Object} - {row, errors, missingFields}
+ */
+export function coerceRow(row, options = {}) {
+  const schema = options.schema || COLUMN_SCHEMA;
+  const coerced = { ...row };
+  const errors = [];
+  const missingFields = [];
+
+  schema.forEach(column => {
+    const { value, error } = coerceValue(row[column.key], column, options);
+
+    if (error) {
+      errors.push(error);
+    } else if (value === null && column.requiredValue) {
+      missingFields.push(column.key);
+    }
+
+    coerced[column.key] = value;
+  });
+
+  return { row: coerced, errors, missingFields };
+}
+
+/**
+ * Sid-ID som sträng
+ * Tal över MAX_SAFE_INTEGER och exponentform ("1,23457E+14") betyder att
+ * ID:t redan avrundats (av Excel eller vid export) och kan inte återställas
+ */
+function coerceId(value, column) {
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      return {
+        value: null,
+        error: `${column.label} ${value} har förlorat precision – spara kolumnen som text`
+      };
+    }
+    return { value: String(value), error: null };
+  }
+
+  const text = String(value).trim();
+
+  if (/^\d+([.,]\d+)?e\+?\d+$/i.test(text)) {
+    return {
+      value: null,
+      error: `${column.label} "${text}" är i exponentform och har avrundats – spara kolumnen som text`
+    };
+  }
+
+  return { value: text, error: null };
+}
+
+/**
+ * Heltal, även i lokalt format ("12 345")
+ */
+function coerceInteger(value, column, decimalSeparator) {
+  const number = typeof value === 'number' ? value : normalizeLocaleNumber(value, decimalSeparator);
+
+  if (typeof number !== 'number' || !Number.isInteger(number)) {
+    return {
+      value: null,
+      error: `${column.label}: "${value}" är inte ett heltal`
+    };
+  }
+
+  return { value: number, error: null };
+}
+
+/**
+ * Tal med eller utan decimaler, även i lokalt format ("1 234,5")
+ */
+function coerceNumber(value, column, decimalSeparator) {
+  const number = typeof value === 'number' ? value : normalizeLocaleNumber(value, decimalSeparator);
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return {
+      value: null,
+      error: `${column.label}: "${value}" är inte ett tal`
+    };
+  }
+
+  return { value: number, error: null };
+}
+
+/**
+ * Datum som YYYY-MM-DD, validerat mot kalendern
+ */
+function coerceDate(value, column) {
+  const date = parseISODate(value);
+
+  if (!date) {
+    return {
+      value: null,
+      error: `${column.label}: ogiltigt datum "${value}" (förväntat YYYY-MM-DD)`
+    };
+  }
+
+  return { value: formatISODate(date), error: null };
+}
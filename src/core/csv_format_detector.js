@@ -0,0 +1,203 @@
+/**
+ * CSV Format Detector
+ *
+ * Identifierar teckenkodning, BOM och avgränsare i CSV-filer samt normaliserar
+ * tal i lokalt format. Excel med svenska inställningar sparar CSV med ";",
+ * decimalkomma, mellanslag som tusentalsavgränsare och ibland Windows-1252.
+ */
+
+// Avgränsare som prövas, i prioritetsordning vid lika antal
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Byte order marks och motsvarande kodning
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+// Reservkodning när filen inte är giltig UTF-8 (Excel i Windows, svensk locale)
+const FALLBACK_ENCODING = 'windows-1252';
+
+// Tusentalsavgränsare med mellanslag: vanligt, hårt (NBSP) och smalt hårt mellanslag
+const GROUP_SPACE_PATTERN = /[ \u00A0\u202F]/g;
+
+/**
+ * Avkodar filinnehåll med automatisk identifiering av BOM och teckenkodning
+ * @param {ArrayBuffer} buffer - Filinnehåll
+ * @returns {Object} - {text, encoding, hasBOM}
+ */
+export function decodeTextBuffer(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  const bom = BYTE_ORDER_MARKS.find(mark =>
+    mark.bytes.every((byte, index) => bytes[index] === byte)
+  );
+
+  if (bom) {
+    // TextDecoder tar bort BOM automatiskt
+    return {
+      text: new TextDecoder(bom.encoding).decode(bytes),
+      encoding: bom.encoding,
+      hasBOM: true
+    };
+  }
+
+  try {
+    return {
+      text: new TextDecoder('utf-8', { fatal: true }).decode(bytes),
+      encoding: 'utf-8',
+      hasBOM: false
+    };
+  } catch {
+    // Ogiltig UTF-8 – troligen Windows-1252 (å, ä, ö som enstaka bytes)
+    return {
+      text: new TextDecoder(FALLBACK_ENCODING).decode(bytes),
+      encoding: FALLBACK_ENCODING,
+      hasBOM: false
+    };
+  }
+}
+
+/**
+ * Identifierar avgränsare från rubrikraden
+ * Rubrikraden innehåller inga decimaltal, så den ger ett säkert svar även
+ * när datavärden innehåller decimalkomma. Excels "sep=;"-rad respekteras.
+ * @param {string} text - CSV-innehåll
+ * @returns {Object} - {delimiter, content} där content saknar eventuell sep-rad
+ */
+export function detectDelimiter(text) {
+  const content = stripBOM(text);
+  const lines = content.split(/\r\n|\n|\r/);
+
+  // Excel-tips på första raden: "sep=;"
+  const sepMatch = /^"?sep=(.)"?$/i.exec(lines[0]?.trim() ?? '');
+  if (sepMatch) {
+    return {
+      delimiter: sepMatch[1],
+      content: lines.slice(1).join('\n')
+    };
+  }
+
+  const headerLine = lines.find(line => line.trim() !== '') || '';
+  const counts = countOutsideQuotes(headerLine, DELIMITER_CANDIDATES);
+
+  const delimiter = DELIMITER_CANDIDATES.reduce((best, candidate) =>
+    counts[candidate] > counts[best] ? candidate : best
+  , DELIMITER_CANDIDATES[0]);
+
+  return { delimiter, content };
+}
+
+/**
+ * Decimalavgränsare som hör till en CSV-avgränsare
+ * Med "," som avgränsare måste decimaltecknet vara punkt; annars decimalkomma
+ * @param {string} delimiter - CSV-avgränsare
+ * @returns {string} - ',' eller '.'
+ */
+export function getDecimalSeparatorForDelimiter(delimiter) {
+  return delimiter === ',' ? '.' : ',';
+}
+
+/**
+ * Normaliserar ett tal i lokalt format till Number
+ * Exempel: "12 345" → 12345, "1,5" → 1.5, "1 234,5" → 1234.5, "−3" → -3
+ * Värden som inte är tal returneras oförändrade.
+ * @param {any} value - Cellvärde
+ * @param {string|null} decimalSeparator - ',' eller '.', null = gissa per värde
+ * @returns {any} - Number om värdet är ett tal, annars ursprungligt värde
+ */
+export function normalizeLocaleNumber(value, decimalSeparator = null) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  // Unicode-minus (U+2212) används av Excel i vissa locales
+  let text = value.trim().replace(/^\u2212/, '-');
+
+  if (!/^-?\d/.test(text)) {
+    return value;
+  }
+
+  // Mellanslag tillåts endast som tusentalsavgränsare i grupper om tre
+  if (/\s/.test(text)) {
+    if (!/^-?\d{1,3}([ \u00A0\u202F]\d{3})+([,.]\d+)?$/.test(text)) {
+      return value;
+    }
+    text = text.replace(GROUP_SPACE_PATTERN, '');
+  }
+
+  const separator = decimalSeparator || guessDecimalSeparator(text);
+  const groupSeparator = separator === ',' ? '.' : ',';
+
+  // Tusentalsavgränsare med punkt/komma måste stå i grupper om tre
+  if (text.includes(groupSeparator)) {
+    const groupPattern = separator === ','
+      ? /^-?\d{1,3}(\.\d{3})+(,\d+)?$/
+      : /^-?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+    if (!groupPattern.test(text)) {
+      return value;
+    }
+    text = text.split(groupSeparator).join('');
+  }
+
+  if (separator === ',') {
+    text = text.replace(',', '.');
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : value;
+}
+
+/**
+ * Gissar decimalavgränsare för ett enskilt värde (t.ex. textceller i Excel)
+ * Tre siffror efter ett ensamt skiljetecken tolkas som tusental,
+ * eftersom räckvidd och interaktioner är heltal
+ * @param {string} text - Värde utan mellanslag
+ * @returns {string} - ',' eller '.'
+ */
+function guessDecimalSeparator(text) {
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  // Båda finns: det sista tecknet är decimalavgränsaren
+  if (lastComma !== -1 && lastDot !== -1) {
+    return lastComma > lastDot ? ',' : '.';
+  }
+
+  if (lastComma !== -1) {
+    return /^-?\d{1,3}(,\d{3})+$/.test(text) ? '.' : ',';
+  }
+
+  return /^-?\d{1,3}(\.\d{3}){2,}$/.test(text) ? ',' : '.';
+}
+
+/**
+ * Tar bort inledande BOM från en textsträng
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripBOM(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Räknar tecken utanför citattecken
+ * @param {string} line - Textrad
+ * @param {Array<string>} characters - Tecken att räkna
+ * @returns {Object} - {tecken: antal}
+ */
+function countOutsideQuotes(line, characters) {
+  const counts = Object.fromEntries(characters.map(char => [char, 0]));
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return counts;
+}
@@ -1,7 +1,7 @@
 /**
  * CSV Processor
  * 
- * Bearbetar vecko-CSV-filer med 10 kolumner
+ * Bearbetar vecko-CSV-filer (och Excel-arbetsböcker) med 10 kolumner
  * Kolumner: page_id, page_name, year, week, start_date, end_date, 
  *           reach, engagements, status, comment
  */
@@ -9,105 +9,63 @@
 import Papa from 'papaparse';
 import { WeeklyPageData, WeeklyDataset } from './weekly_models.js';
 import { extractPeriodFromCSVRow } from './period_extractor.js';
+import {
+  isExcelFile,
+  readFileAsArrayBuffer,
+  readWorkbook,
+  sheetToParseResult
+} from './excel_processor.js';
+import {
+  suggestColumnMapping,
+  isMappingComplete,
+  applyColumnMapping
+} from './column_mapper.js';
+import { isDailyFormat, buildDailyDataset } from './daily_importer.js';
+import { isJSONFile, parseGraphInsightsJSON } from './graph_api_importer.js';
+import { getSourcePath } from './archive_extractor.js';
+import {
+  decodeTextBuffer,
+  detectDelimiter,
+  getDecimalSeparatorForDelimiter
+} from './csv_format_detector.js';
+import {
+  COLUMN_SCHEMA,
+  EXPECTED_COLUMNS,
+  REQUIRED_COLUMNS,
+  coerceRow,
+  createMetricColumn,
+  detectMetricColumns
+} from './column_schema.js';
+import { isIgnoredMetric, isDerivedMetric } from '../utils/metric_categorizer.js';
+import { getAvailableDerivedMetrics, getMetricValue } from '../utils/derived_metrics.js';
 
-// Förväntade kolumnnamn (exakt som i CSV)
-export const EXPECTED_COLUMNS = [
-  'page_id',
-  'page_name',
-  'year',
-  'week',
-  'start_date',
-  'end_date',
-  'reach',
-  'engagements',
-  'status',
-  'comment'
-];
+// Förväntade kolumnnamn definieras i kolumnschemat
+export { EXPECTED_COLUMNS };
 
 /**
  * Parsar CSV-fil till WeeklyDataset
+ * Avgränsare identifieras från rubrikraden. Värden läses som text och tolkas
+ * sedan per kolumn enligt COLUMN_SCHEMA (ingen dynamicTyping – sid-ID:n
+ * med 15–17 siffror skulle avrundas som tal)
  * @param {string} csvContent - CSV-innehåll som string
  * @param {string} filename - Filnamn för felmeddelanden
- * @returns {Promise<Object>} - {success, dataset, errors}
+ * @param {Object} options - {columnMapping} för filer med avvikande rubriker
+ * @returns {Promise<Object>} - {success, dataset, errors, format} eller {needsMapping, headers, suggestedMapping}
  */
-export async function parseWeeklyCSV(csvContent, filename = 'unknown.csv') {
+export async function parseWeeklyCSV(csvContent, filename = 'unknown.csv', options = {}) {
+  const { delimiter, content } = detectDelimiter(csvContent);
+  const decimalSeparator = getDecimalSeparatorForDelimiter(delimiter);
+
   return new Promise((resolve) => {
-    const errors = [];
-    const warnings = [];
-    
-    Papa.parse(csvContent, {
+    Papa.parse(content, {
       header: true,
-      dynamicTyping: true,
+      delimiter,
       skipEmptyLines: true,
       transformHeader: (header) => header.trim().toLowerCase(),
       complete: (results) => {
-        // Validera CSV-struktur
-        const structureValidation = validateCSVStructure(results, filename);
-        
-        if (!structureValidation.isValid) {
-          resolve({
-            success: false,
-            dataset: null,
-            errors: structureValidation.errors,
-            warnings: structureValidation.warnings
-          });
-          return;
-        }
-        
-        // Konvertera CSV-rader till WeeklyPageData
-        const dataset = new WeeklyDataset();
-        let validRows = 0;
-        let invalidRows = 0;
-        
-        results.data.forEach((row, index) => {
-          try {
-            // Validera att raden har nödvändiga fält
-            if (!row.page_id || !row.page_name || !row.year || !row.week) {
-              warnings.push(`Rad ${index + 2}: Saknar obligatoriska fält`);
-              invalidRows++;
-              return;
-            }
-            
-            // Skapa WeeklyPageData från rad
-            const weeklyData = WeeklyPageData.fromCSVRow(row);
-            dataset.addData(weeklyData);
-            validRows++;
-            
-          } catch (error) {
-            errors.push(`Rad ${index + 2}: ${error.message}`);
-            invalidRows++;
-          }
-        });
-        
-        // Kontrollera om vi fick någon giltig data
-        if (validRows === 0) {
-          errors.push('Ingen giltig data hittades i CSV-filen');
-          resolve({
-            success: false,
-            dataset: null,
-            errors,
-            warnings
-          });
-          return;
-        }
-        
-        // Lägg till info om invalida rader som varning
-        if (invalidRows > 0) {
-          warnings.push(`${invalidRows} rader kunde inte parsas korrekt`);
-        }
-        
         resolve({
-          success: true,
-          dataset,
-          errors,
-          warnings,
-          stats: {
-            totalRows: results.data.length,
-            validRows,
-            invalidRows,
-            uniquePages: dataset.getUniquePages().length,
-            uniquePeriods: dataset.getUniquePeriods().length
-          }
+          ...buildWeeklyDataset(results, filename, { ...options, decimalSeparator }),
+          format: { delimiter, decimalSeparator }
         });
       },
       error: (error) => {
@@ -122,47 +80,295 @@ export async function parseWeeklyCSV(csvContent, filename = 'unknown.csv') {
   });
 }
 
+/**
+ * Parsar Excel-arbetsbok till WeeklyDataset
+ * Alla flikar (eller en vald flik) går genom samma validering som CSV
+ * @param {ArrayBuffer} data - Filinnehåll
+ * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} options - {sheetName} för att läsa en specifik flik, {columnMapping}
+ * @returns {Object} - {success, dataset, errors, warnings, sheets, rejectedRows, metricColumns, stats}
+ */
+export function parseWeeklyWorkbook(data, filename = 'unknown.xlsx', options = {}) {
+  let workbook;
+
+  try {
+    workbook = readWorkbook(data);
+  } catch (error) {
+    return {
+      success: false,
+      dataset: null,
+      errors: [`Excel-läsfel: ${error.message}`],
+      warnings: []
+    };
+  }
+
+  const { sheetName } = options;
+
+  if (sheetName && !workbook.SheetNames.includes(sheetName)) {
+    return {
+      success: false,
+      dataset: null,
+      errors: [`Fliken "${sheetName}" finns inte i ${filename}`],
+      warnings: []
+    };
+  }
+
+  const sheetNames = sheetName ? [sheetName] : workbook.SheetNames;
+  const dataset = new WeeklyDataset();
+  const skippedSheets = [];
+  const warnings = [];
+  let mappingRequest = null;
+  const parsedSheets = [];
+  const rejectedRows = [];
+  const metricColumns = new Set();
+  let totalRows = 0;
+  let invalidRows = 0;
+
+  sheetNames.forEach(name => {
+    const result = buildWeeklyDataset(sheetToParseResult(workbook, name), filename, options);
+
+    if (result.needsMapping && !mappingRequest) {
+      mappingRequest = result;
+    }
+
+    if (!result.success) {
+      skippedSheets.push(`Flik "${name}": ${result.errors.join('; ')}`);
+      return;
+    }
+
+    rejectedRows.push(...(result.rejectedRows || []).map(row => ({ ...row, sheet: name })));
+    (result.metricColumns || []).forEach(column => metricColumns.add(column));
+
+    result.dataset.data.forEach(item => dataset.addData(item));
+    // Radfel (t.ex. avrundade sid-ID:n) rapporteras som varningar för fliken
+    warnings.push(...[...result.errors, ...result.warnings].map(warning => `Flik "${name}": ${warning}`));
+    totalRows += result.stats.totalRows;
+    invalidRows += result.stats.invalidRows;
+    parsedSheets.push(name);
+  });
+
+  if (dataset.isEmpty()) {
+    return {
+      success: false,
+      dataset: null,
+      errors: skippedSheets.length > 0 ? skippedSheets : ['Arbetsboken innehåller inga flikar'],
+      warnings,
+      // Ingen flik kunde läsas – be om kolumnmappning för första fliken som behöver det
+      ...(mappingRequest && {
+        needsMapping: true,
+        headers: mappingRequest.headers,
+        suggestedMapping: mappingRequest.suggestedMapping
+      })
+    };
+  }
+
+  // Flikar som inte följer vecko-formatet hoppas över när hela boken läses
+  warnings.push(...skippedSheets.map(sheet => `Hoppade över ${sheet}`));
+
+  return {
+    success: true,
+    dataset,
+    errors: [],
+    warnings,
+    sheets: parsedSheets,
+    rejectedRows,
+    metricColumns: [...metricColumns],
+    stats: {
+      totalRows,
+      validRows: dataset.size(),
+      invalidRows,
+      uniquePages: dataset.getUniquePages().length,
+      uniquePeriods: dataset.getUniquePeriods().length
+    }
+  };
+}
+
+/**
+ * Bygger WeeklyDataset från parsade rader (gemensamt för CSV och Excel)
+ * @param {Object} parseResult - {data, meta: {fields}, errors} i Papa Parse-format
+ * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} options - {columnMapping} att tillämpa före validering,
+ *                           {decimalSeparator} för tal i lokalt format
+ * @returns {Object} - {success, dataset, errors, warnings, rejectedRows, metricColumns, stats}
+ *                     rejectedRows: [{rowNumber, values, reason}] för förhandsgranskning
+ *                     metricColumns: extra numeriska kolumner som lästes som metrics
+ */
+function buildWeeklyDataset(parseResult, filename, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  // Dagliga exporter (date i stället för week) rullas upp till ISO-veckor
+  if (!options.columnMapping && isDailyFormat(parseResult.meta?.fields)) {
+    return buildDailyDataset(parseResult, filename, options);
+  }
+
+  if (options.columnMapping) {
+    parseResult = applyColumnMapping(parseResult, options.columnMapping);
+  }
+
+  // Validera CSV-struktur
+  let structureValidation = validateCSVStructure(parseResult, filename, options);
+  
+  if (!structureValidation.isValid && structureValidation.missingColumns.length > 0 && !options.columnMapping) {
+    // Saknade kolumner: använd sparad mappning för rubrikerna, annars be om mappning
+    const headers = parseResult.meta.fields;
+    const suggestion = suggestColumnMapping(headers);
+
+    if (suggestion.fromSaved && isMappingComplete(suggestion.mapping)) {
+      parseResult = applyColumnMapping(parseResult, suggestion.mapping);
+      structureValidation = validateCSVStructure(parseResult, filename, options);
+      warnings.push('Sparad kolumnmappning användes för filens rubriker');
+    } else {
+      return {
+        success: false,
+        dataset: null,
+        needsMapping: true,
+        headers,
+        suggestedMapping: suggestion.mapping,
+        errors: structureValidation.errors,
+        warnings: structureValidation.warnings
+      };
+    }
+  }
+  
+  if (!structureValidation.isValid) {
+    return {
+      success: false,
+      dataset: null,
+      errors: structureValidation.errors,
+      warnings: structureValidation.warnings
+    };
+  }
+
+  warnings.push(...structureValidation.warnings);
+
+  // Extra numeriska kolumner tolkas som tal och följer med som metrics
+  const { metricColumns } = structureValidation;
+  const rowOptions = {
+    ...options,
+    schema: [...COLUMN_SCHEMA, ...metricColumns.map(createMetricColumn)]
+  };
+  
+  // Konvertera CSV-rader till WeeklyPageData
+  const dataset = new WeeklyDataset();
+  const rejectedRows = [];
+  let validRows = 0;
+  let invalidRows = 0;
+
+  // Avvisad rad: meddelande i errors/warnings plus raden för förhandsgranskning
+  const rejectRow = (messages, rowNumber, row, reason) => {
+    messages.push(`Rad ${rowNumber}: ${reason}`);
+    rejectedRows.push({ rowNumber, values: row, reason });
+    invalidRows++;
+  };
+  
+  parseResult.data.forEach((row, index) => {
+    const rowNumber = index + 2;
+
+    try {
+      // Tolka värden enligt kolumnschemat
+      const coerced = coerceRow(row, rowOptions);
+
+      if (coerced.errors.length > 0) {
+        rejectRow(errors, rowNumber, row, coerced.errors.join('; '));
+        return;
+      }
+
+      // Validera att raden har nödvändiga fält
+      if (coerced.missingFields.length > 0) {
+        rejectRow(warnings, rowNumber, row, `Saknar obligatoriska fält (${coerced.missingFields.join(', ')})`);
+        return;
+      }
+      
+      // Skapa WeeklyPageData från rad
+      const weeklyData = WeeklyPageData.fromCSVRow(coerced.row, metricColumns);
+      dataset.addData(weeklyData);
+      validRows++;
+      
+    } catch (error) {
+      rejectRow(errors, rowNumber, row, error.message);
+    }
+  });
+  
+  // Kontrollera om vi fick någon giltig data
+  if (validRows === 0) {
+    errors.push('Ingen giltig data hittades i CSV-filen');
+    return {
+      success: false,
+      dataset: null,
+      errors,
+      warnings,
+      rejectedRows
+    };
+  }
+  
+  // Lägg till info om invalida rader som varning
+  if (invalidRows > 0) {
+    warnings.push(`${invalidRows} rader kunde inte parsas korrekt`);
+  }
+  
+  return {
+    success: true,
+    dataset,
+    errors,
+    warnings,
+    rejectedRows,
+    metricColumns,
+    stats: {
+      totalRows: parseResult.data.length,
+      validRows,
+      invalidRows,
+      uniquePages: dataset.getUniquePages().length,
+      uniquePeriods: dataset.getUniquePeriods().length
+    }
+  };
+}
+
 /**
  * Validerar CSV-struktur (kolumner, antal rader, etc.)
+ * Extra kolumner med enbart tal blir metrics; övriga extra kolumner ignoreras
  * @param {Object} parseResult - Papa Parse resultat
  * @param {string} filename - Filnamn för felmeddelanden
- * @returns {Object} - {isValid, errors, warnings}
+ * @param {Object} options - {decimalSeparator} för tal i lokalt format
+ * @returns {Object} - {isValid, errors, warnings, missingColumns, metricColumns}
  */
-function validateCSVStructure(parseResult, filename) {
+function validateCSVStructure(parseResult, filename, options = {}) {
   const errors = [];
   const warnings = [];
   
   // Kontrollera att parsing lyckades
   if (!parseResult.meta || !parseResult.meta.fields) {
     errors.push('Kunde inte läsa CSV-kolumner');
-    return { isValid: false, errors, warnings };
+    return { isValid: false, errors, warnings, missingColumns: [], metricColumns: [] };
   }
   
-  // Kontrollera antal kolumner
+  // Kontrollera kolumnnamn (antalet varierar – valfria kolumner kan saknas)
   const actualColumns = parseResult.meta.fields;
-  if (actualColumns.length !== EXPECTED_COLUMNS.length) {
-    errors.push(
-      `Fel antal kolumner: ${actualColumns.length} (förväntat: ${EXPECTED_COLUMNS.length})`
-    );
-  }
-  
-  // Kontrollera kolumnnamn
   const normalizedActual = actualColumns.map(col => col.trim().toLowerCase());
   const normalizedExpected = EXPECTED_COLUMNS.map(col => col.trim().toLowerCase());
   
   const missingColumns = [];
+  const missingOptionalColumns = [];
   const extraColumns = [];
   
-  // Hitta saknade obligatoriska kolumner
+  // Hitta saknade kolumner (obligatoriska ger fel, valfria en varning)
   normalizedExpected.forEach(expected => {
     if (!normalizedActual.includes(expected)) {
-      missingColumns.push(expected);
+      if (REQUIRED_COLUMNS.includes(expected)) {
+        missingColumns.push(expected);
+      } else {
+        missingOptionalColumns.push(expected);
+      }
     }
   });
   
+  // Extra numeriska kolumner blir metrics (om de inte markerats som ignorerade)
+  const metricColumns = detectMetricColumns(parseResult, options)
+    .filter(column => !isIgnoredMetric(column));
+
   // Hitta extra kolumner
   normalizedActual.forEach(actual => {
-    if (!normalizedExpected.includes(actual)) {
+    if (!normalizedExpected.includes(actual) && !metricColumns.includes(actual)) {
       extraColumns.push(actual);
     }
   });
@@ -171,6 +377,14 @@ function validateCSVStructure(parseResult, filename) {
     errors.push(`Saknade kolumner: ${missingColumns.join(', ')}`);
   }
   
+  if (missingOptionalColumns.length > 0) {
+    warnings.push(`Valfria kolumner saknas: ${missingOptionalColumns.join(', ')}`);
+  }
+  
+  if (metricColumns.length > 0) {
+    warnings.push(`Extra kolumner läses som metrics: ${metricColumns.join(', ')}`);
+  }
+
   if (extraColumns.length > 0) {
     warnings.push(`Extra kolumner ignoreras: ${extraColumns.join(', ')}`);
   }
@@ -199,43 +413,64 @@ function validateCSVStructure(parseResult, filename) {
   return {
     isValid: errors.length === 0,
     errors,
-    warnings
+    warnings,
+    missingColumns,
+    metricColumns
   };
 }
 
 /**
  * Läser fil och returnerar innehåll som string
+ * Teckenkodning identifieras automatiskt (UTF-8/UTF-16 med BOM, UTF-8,
+ * annars Windows-1252) och BOM tas bort
  * @param {File} file - Fil-objekt
  * @returns {Promise<string>}
  */
-export function readFileAsText(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (event) => {
-      resolve(event.target.result);
-    };
-    
-    reader.onerror = () => {
-      reject(new Error(`Kunde inte läsa fil: ${file.name}`));
-    };
-    
-    reader.readAsText(file);
-  });
+export async function readFileAsText(file) {
+  const { text } = await readFileWithEncoding(file);
+  return text;
+}
+
+/**
+ * Läser fil och returnerar innehåll tillsammans med identifierad kodning
+ * @param {File} file - Fil-objekt
+ * @returns {Promise<Object>} - {text, encoding, hasBOM}
+ */
+export async function readFileWithEncoding(file) {
+  const buffer = await readFileAsArrayBuffer(file);
+  return decodeTextBuffer(buffer);
 }
 
 /**
- * Bearbetar en uppladdad fil komplett
+ * Bearbetar en uppladdad fil komplett (CSV, Excel eller Graph API-JSON)
  * @param {File} file - Fil-objekt
+ * @param {Object} options - {sheetName} för Excel-filer, {columnMapping} för avvikande rubriker
  * @returns {Promise<Object>} - {success, dataset, filename, errors, warnings}
  */
-export async function processUploadedFile(file) {
+export async function processUploadedFile(file, options = {}) {
   try {
-    // Läs filinnehåll
-    const csvContent = await readFileAsText(file);
-    
-    // Parsa CSV
-    const result = await parseWeeklyCSV(csvContent, file.name);
+    let result;
+
+    if (isExcelFile(file.name)) {
+      // Läs arbetsbok och parsa flikar
+      const workbookData = await readFileAsArrayBuffer(file);
+      result = parseWeeklyWorkbook(workbookData, file.name, options);
+    } else if (isJSONFile(file.name)) {
+      // Sparat Graph API insights-svar
+      const jsonContent = await readFileAsText(file);
+      result = parseGraphInsightsJSON(jsonContent, file.name);
+    } else {
+      // Läs filinnehåll med identifierad teckenkodning
+      const { text, encoding, hasBOM } = await readFileWithEncoding(file);
+
+      // Parsa CSV
+      result = await parseWeeklyCSV(text, file.name, options);
+      result.format = { ...result.format, encoding, hasBOM };
+
+      if (result.success && encoding !== 'utf-8') {
+        result.warnings.push(`Filen lästes med teckenkodningen ${encoding} (inte UTF-8)`);
+      }
+    }
     
     return {
       ...result,
@@ -255,16 +490,123 @@ export async function processUploadedFile(file) {
 
 /**
  * Bearbetar flera filer parallellt
+ * Val per fil nycklas på källsökvägen (getSourcePath), så att filer med samma
+ * namn i olika mappar eller ZIP-arkiv hålls isär
  * @param {FileList|Array<File>} files - Lista med filer
+ * @param {Object} options - {sheetSelections: {källsökväg: fliknamn}} för Excel-filer,
+ *                           {columnMappings: {källsökväg: mappning}} för avvikande rubriker
  * @returns {Promise<Array<Object>>} - Array med resultat per fil
  */
-export async function processMultipleFiles(files) {
+export async function processMultipleFiles(files, options = {}) {
   const filesArray = Array.from(files);
-  const promises = filesArray.map(file => processUploadedFile(file));
+  const sheetSelections = options.sheetSelections || {};
+  const columnMappings = options.columnMappings || {};
+  const promises = filesArray.map(file => processUploadedFile(file, {
+    sheetName: sheetSelections[getSourcePath(file)] || undefined,
+    columnMapping: columnMappings[getSourcePath(file)] || undefined
+  }));
   
   return Promise.all(promises);
 }
 
+/**
+ * Delar upp ett lyckat filresultat i en period per unik (year, week)
+ * En fil kan innehålla flera veckor (t.ex. en kvartalsexport i långt format)
+ * @param {Object} result - Resultat från processUploadedFile
+ * @returns {Array<Object>} - [{year, week, month, startDate, endDate, datesDerived, filename, data}]
+ */
+export function createPeriodEntries(result) {
+  if (!result || !result.success || !result.dataset) {
+    return [];
+  }
+
+  return result.dataset.splitByPeriod().map(({ period, data }) => ({
+    year: period.year,
+    week: period.week,
+    month: period.getMonthNumber(),
+    startDate: period.startDate,
+    endDate: period.endDate,
+    datesDerived: period.datesDerived,
+    filename: result.filename,
+    data
+  }));
+}
+
+/**
+ * Tillämpar val från förhandsgranskningen på ett bearbetningsresultat
+ * @param {Object} result - Resultat från processUploadedFile
+ * @param {Array<number>} excludedIndexes - Index i result.dataset.data som ska uteslutas
+ * @returns {Object} - Nytt resultat med filtrerat dataset (success=false om inget återstår)
+ */
+export function excludeRowsFromResult(result, excludedIndexes = []) {
+  if (!result || !result.success || excludedIndexes.length === 0) {
+    return result;
+  }
+
+  const excluded = new Set(excludedIndexes);
+  const dataset = new WeeklyDataset(result.dataset.data.filter((_, index) => !excluded.has(index)));
+
+  return {
+    ...result,
+    success: !dataset.isEmpty(),
+    dataset: dataset.isEmpty() ? null : dataset
+  };
+}
+
+/**
+ * Konverterar WeeklyPageData till en rad med kolumnerna i EXPECTED_COLUMNS
+ * Extra metrics läggs till efter standardkolumnerna
+ * @param {WeeklyPageData} weeklyData
+ * @returns {Object}
+ */
+export function weeklyDataToRow(weeklyData) {
+  return {
+    page_id: weeklyData.page.pageId,
+    page_name: weeklyData.page.pageName,
+    year: weeklyData.period.year,
+    week: weeklyData.period.week,
+    start_date: weeklyData.period.startDate,
+    end_date: weeklyData.period.endDate,
+    reach: weeklyData.metrics.reach,
+    engagements: weeklyData.metrics.engagements,
+    status: weeklyData.status,
+    comment: weeklyData.comment || '',
+    ...Object.fromEntries(
+      weeklyData.metrics.getCustomMetricKeys().map(key => [key, weeklyData.metrics[key] ?? ''])
+    )
+  };
+}
+
+/**
+ * Exporterar avvisade rader till CSV-string
+ * Ursprungliga kolumner behålls; källfil, flik, radnummer och orsak läggs till
+ * @param {Array<Object>} rows - [{source, sheet, rowNumber, values, reason}]
+ * @returns {string} - CSV-innehåll som string
+ */
+export function exportRejectedRowsToCSV(rows) {
+  if (!rows || rows.length === 0) {
+    throw new Error('Inga avvisade rader att exportera');
+  }
+
+  // Unionen av kolumner i alla rader, standardkolumnerna först
+  const valueColumns = [...new Set([
+    ...EXPECTED_COLUMNS,
+    ...rows.flatMap(row => Object.keys(row.values || {}))
+  ])].filter(column => rows.some(row => row.values && column in row.values));
+
+  const fields = ['source_file', 'sheet', 'row_number', ...valueColumns, 'reason'];
+
+  const data = rows.map(row => ({
+    source_file: row.source,
+    sheet: row.sheet || '',
+    row_number: row.rowNumber ?? '',
+    ...Object.fromEntries(valueColumns.map(column => [column, row.values?.[column] ?? ''])),
+    reason: row.reason
+  }));
+
+  return Papa.unparse({ fields, data });
+}
+
 /**
  * Skapar test-CSV-data (för utveckling/testning)
  * @param {number} pageCount - Antal sidor
@@ -309,7 +651,11 @@ export function exportToCSV(dataset) {
     throw new Error('Ingen data att exportera');
   }
   
-  const headers = EXPECTED_COLUMNS;
+  // Extra metrics från alla rader läggs sist, följda av härledda metrics som kan beräknas
+  const customColumns = [...new Set(dataset.data.flatMap(item => item.metrics.getCustomMetricKeys()))]
+    .filter(key => !isDerivedMetric(key));
+  const derivedColumns = getAvailableDerivedMetrics(['reach', 'engagements', ...customColumns]);
+  const headers = [...EXPECTED_COLUMNS, ...customColumns, ...derivedColumns];
   const rows = [headers.join(',')];
   
   for (const weeklyData of dataset.data) {
@@ -323,7 +669,9 @@ export function exportToCSV(dataset) {
       weeklyData.metrics.reach,
       weeklyData.metrics.engagements,
       weeklyData.status,
-      weeklyData.comment || ''
+      weeklyData.comment || '',
+      ...customColumns.map(key => weeklyData.metrics[key] ?? ''),
+      ...derivedColumns.map(key => getMetricValue(weeklyData, key) ?? '')
     ];
     
     rows.push(row.join(','));
@@ -331,3 +679,30 @@ export function exportToCSV(dataset) {
   
   return rows.join('\n');
 }
+
+/**
+ * Exporterar månads- eller kvartalsaggregering till CSV-string
+ * Fördelningsmetoden (allocationLabel) skrivs på varje rad
+ * @param {Array<Object>} groups - Värden från aggregateByMonth/aggregateByQuarter i visningsordning
+ * @param {Array<string>} metricKeys - Extra eller härledda metrics från metrics.custom att ta med
+ * @returns {string} - CSV-innehåll som string
+ */
+export function exportAggregatedToCSV(groups, metricKeys = []) {
+  if (!groups || groups.length === 0) {
+    throw new Error('Ingen data att exportera');
+  }
+
+  const fields = ['period', 'week_count', 'day_count', 'engagements', 'average_reach', ...metricKeys, 'allocation'];
+
+  const data = groups.map(group => ({
+    period: group.label,
+    week_count: group.metrics.weekCount,
+    day_count: group.metrics.dayCount,
+    engagements: group.metrics.totalEngagements,
+    average_reach: group.metrics.averageReach ?? '',
+    ...Object.fromEntries(metricKeys.map(key => [key, group.metrics.custom?.[key] ?? ''])),
+    allocation: group.allocationLabel
+  }));
+
+  return Papa.unparse({ fields, data });
+}
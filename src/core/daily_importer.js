@@ -0,0 +1,273 @@
+/**
+ * Daily Importer
+ *
+ * Rullar upp dagliga rader (page_id, page_name, date, engagements)
+ * till ISO-veckor (måndag–söndag)
+ *
+ * KRITISKT: Daglig räckvidd summeras ALDRIG till veckoräckvidd.
+ * Veckoräckvidd tas endast från en explicit veckokolumn (t.ex. weekly_reach).
+ * Finns bara daglig räckvidd sätts reach till null och importen säger det.
+ */
+
+import { Page, WeekPeriod, WeeklyMetrics, WeeklyPageData, WeeklyDataset } from './weekly_models.js';
+import { getSummableMetrics } from '../utils/metric_categorizer.js';
+import { parseISODate, formatISODate, getISOWeekInfo } from '../utils/iso_week.js';
+import { COLUMN_TYPES, coerceValue, getColumnDefinition, createMetricColumn } from './column_schema.js';
+
+// Obligatoriska kolumner i dagliga exporter
+export const DAILY_REQUIRED_COLUMNS = ['page_id', 'page_name', 'date', 'engagements'];
+
+// Kolumner som innehåller unik räckvidd för hela veckan (upprepas per dag)
+const WEEKLY_REACH_COLUMNS = ['weekly_reach', 'reach_weekly', 'weekly_unique_reach'];
+
+// Kolumner som innehåller daglig räckvidd (kan inte användas för veckor)
+const DAILY_REACH_COLUMNS = ['reach', 'daily_reach'];
+
+/**
+ * Möjliga källor för veckoräckvidd i en daglig import
+ */
+export const REACH_SOURCES = {
+  WEEKLY: 'weekly',         // Explicit veckokolumn finns
+  DAILY_ONLY: 'daily_only', // Endast daglig räckvidd – ingen veckoräckvidd
+  MISSING: 'missing'        // Ingen räckvidd alls
+};
+
+/**
+ * Avgör om kolumnerna beskriver en daglig export
+ * @param {Array<string>} fields - Normaliserade kolumnnamn
+ * @returns {boolean}
+ */
+export function isDailyFormat(fields) {
+  if (!fields) return false;
+  return fields.includes('date') && !fields.includes('week');
+}
+
+/**
+ * Bygger WeeklyDataset från dagliga rader
+ * @param {Object} parseResult - {data, meta: {fields}, errors} i Papa Parse-format
+ * @param {string} filename - Filnamn för felmeddelanden
+ * @param {Object} options - {decimalSeparator} för tal i lokalt format
+ * @returns {Object} - {success, dataset, errors, warnings, stats, granularity, reachSource, rejectedRows}
+ */
+export function buildDailyDataset(parseResult, filename = 'unknown.csv', options = {}) {
+  const errors = [];
+  const warnings = [];
+  const fields = parseResult.meta?.fields || [];
+
+  const missingColumns = DAILY_REQUIRED_COLUMNS.filter(col => !fields.includes(col));
+  if (missingColumns.length > 0) {
+    return {
+      success: false,
+      dataset: null,
+      errors: [`Saknade kolumner för daglig import: ${missingColumns.join(', ')}`],
+      warnings
+    };
+  }
+
+  const weeklyReachColumn = WEEKLY_REACH_COLUMNS.find(col => fields.includes(col)) || null;
+  const dailyReachColumn = DAILY_REACH_COLUMNS.find(col => fields.includes(col)) || null;
+  const reachSource = weeklyReachColumn
+    ? REACH_SOURCES.WEEKLY
+    : dailyReachColumn ? REACH_SOURCES.DAILY_ONLY : REACH_SOURCES.MISSING;
+
+  // Summerbara metrics enligt METRIC_DEFINITIONS som finns i filen
+  const summableColumns = getSummableMetrics().filter(key => fields.includes(key));
+
+  // Gruppera dagar per sida och ISO-vecka
+  const groups = new Map();
+  const rejectedRows = [];
+  let invalidRows = 0;
+
+  const rejectRow = (rowNumber, row, reason) => {
+    warnings.push(`Rad ${rowNumber}: ${reason}`);
+    rejectedRows.push({ rowNumber, values: row, reason });
+    invalidRows++;
+  };
+
+  parseResult.data.forEach((row, index) => {
+    const rowNumber = index + 2;
+
+    if (!row.page_id || !row.page_name || !row.date) {
+      rejectRow(rowNumber, row, 'Saknar obligatoriska fält');
+      return;
+    }
+
+    const date = parseISODate(row.date);
+    if (!date) {
+      rejectRow(rowNumber, row, `Ogiltigt datum "${row.date}" (förväntat YYYY-MM-DD)`);
+      return;
+    }
+
+    // Tolka sid-ID och metrics med samma typregler som veckoformatet
+    const parsed = parseDailyValues(row, summableColumns, weeklyReachColumn, options);
+    if (parsed.errors.length > 0) {
+      rejectRow(rowNumber, row, parsed.errors.join('; '));
+      return;
+    }
+
+    const weekInfo = getISOWeekInfo(date);
+    const groupKey = `${parsed.pageId}|${weekInfo.year}_${weekInfo.week}`;
+    const dateString = formatISODate(date);
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        pageId: parsed.pageId,
+        pageName: row.page_name,
+        weekInfo,
+        days: new Set(),
+        // null tills en dag har ett värde – en vecka utan värden blir inte 0
+        sums: Object.fromEntries(summableColumns.map(key => [key, null])),
+        weeklyReach: []
+      });
+    }
+
+    const group = groups.get(groupKey);
+
+    if (group.days.has(dateString)) {
+      rejectRow(rowNumber, row, `Datum ${dateString} finns redan för ${row.page_name} – hoppas över`);
+      return;
+    }
+
+    group.days.add(dateString);
+
+    summableColumns.forEach(key => {
+      if (parsed.metrics[key] !== null) {
+        group.sums[key] = (group.sums[key] ?? 0) + parsed.metrics[key];
+      }
+    });
+
+    if (parsed.weeklyReach !== null) {
+      group.weeklyReach.push({ date: dateString, value: parsed.weeklyReach });
+    }
+  });
+
+  // Skapa en WeeklyPageData per sida och vecka
+  const dataset = new WeeklyDataset();
+  const partialWeeks = new Set();
+
+  groups.forEach(group => {
+    const { weekInfo } = group;
+    const period = new WeekPeriod(weekInfo.year, weekInfo.week, weekInfo.startDate, weekInfo.endDate);
+    const comments = [];
+
+    if (group.days.size < 7) {
+      partialWeeks.add(period.getShortString());
+      comments.push(`Ofullständig vecka: ${group.days.size} av 7 dagar`);
+    }
+
+    const reach = resolveWeeklyReach(group, reachSource, warnings);
+    // Summerade extra metrics sparas som i veckoformatet (WeeklyMetrics customMetrics)
+    const { engagements, ...customSums } = group.sums;
+    const metrics = new WeeklyMetrics(reach, engagements, customSums);
+
+    if (reach === null) {
+      comments.push('Veckoräckvidd saknas i källdata');
+    }
+
+    dataset.addData(new WeeklyPageData(
+      new Page(group.pageId, group.pageName),
+      period,
+      metrics,
+      'OK',
+      comments.length > 0 ? comments.join('; ') : null
+    ));
+  });
+
+  if (dataset.isEmpty()) {
+    errors.push('Ingen giltig daglig data hittades i filen');
+    return { success: false, dataset: null, errors, warnings, rejectedRows };
+  }
+
+  if (reachSource === REACH_SOURCES.DAILY_ONLY) {
+    warnings.push(
+      `Filen innehåller endast daglig räckvidd (${dailyReachColumn}). Daglig räckvidd kan inte ` +
+      'summeras till veckoräckvidd, så räckvidd saknas för alla veckor. Lägg till kolumnen weekly_reach.'
+    );
+  } else if (reachSource === REACH_SOURCES.MISSING) {
+    warnings.push('Ingen räckviddskolumn i filen – räckvidd saknas för alla veckor');
+  }
+
+  if (partialWeeks.size > 0) {
+    warnings.push(`Ofullständiga veckor (färre än 7 dagar): ${[...partialWeeks].join(', ')}`);
+  }
+
+  if (invalidRows > 0) {
+    warnings.push(`${invalidRows} rader kunde inte parsas korrekt`);
+  }
+
+  return {
+    success: true,
+    dataset,
+    errors,
+    warnings,
+    granularity: 'daily',
+    reachSource,
+    rejectedRows,
+    stats: {
+      totalRows: parseResult.data.length,
+      validRows: parseResult.data.length - invalidRows,
+      invalidRows,
+      uniquePages: dataset.getUniquePages().length,
+      uniquePeriods: dataset.getUniquePeriods().length
+    }
+  };
+}
+
+/**
+ * Tolkar sid-ID och metrics för en daglig rad
+ * @param {Object} row - Rad från filen
+ * @param {Array<string>} summableColumns - Summerbara metrics i filen
+ * @param {string|null} weeklyReachColumn - Kolumn med veckoräckvidd
+ * @param {Object} options - {decimalSeparator}
+ * @returns {Object} - {pageId, metrics, weeklyReach, errors}
+ */
+function parseDailyValues(row, summableColumns, weeklyReachColumn, options) {
+  const errors = [];
+  const parse = (value, column) => {
+    const result = coerceValue(value, column, options);
+    if (result.error) errors.push(result.error);
+    return result.value;
+  };
+
+  const pageId = parse(row.page_id, getColumnDefinition('page_id'));
+
+  // Engagements är heltal enligt schemat, extra metrics får ha decimaler som i veckoformatet
+  const metrics = {};
+  summableColumns.forEach(key => {
+    metrics[key] = parse(row[key], getColumnDefinition(key) || createMetricColumn(key));
+  });
+
+  const weeklyReach = weeklyReachColumn
+    ? parse(row[weeklyReachColumn], { key: weeklyReachColumn, label: weeklyReachColumn, type: COLUMN_TYPES.INTEGER })
+    : null;
+
+  return { pageId, metrics, weeklyReach, errors };
+}
+
+/**
+ * Hämtar veckoräckvidd för en grupp dagar
+ * Värdet ska vara detsamma för alla dagar i veckan; vid avvikelser används
+ * veckans sista dag eftersom ett 7-dagarsvärde på söndagen täcker hela ISO-veckan
+ * @param {Object} group - Grupperade dagar för en sida och vecka
+ * @param {string} reachSource - REACH_SOURCES-värde
+ * @param {Array<string>} warnings - Varningslista att fylla på
+ * @returns {number|null} - Veckoräckvidd eller null om den saknas
+ */
+function resolveWeeklyReach(group, reachSource, warnings) {
+  if (reachSource !== REACH_SOURCES.WEEKLY || group.weeklyReach.length === 0) {
+    return null;
+  }
+
+  const sorted = [...group.weeklyReach].sort((a, b) => a.date.localeCompare(b.date));
+  const last = sorted[sorted.length - 1];
+  const distinctValues = new Set(sorted.map(item => item.value));
+
+  if (distinctValues.size > 1) {
+    warnings.push(
+      `${group.pageName} V${group.weekInfo.week} ${group.weekInfo.year}: olika veckoräckvidd per dag, ` +
+      `använder värdet från ${last.date}`
+    );
+  }
+
+  return last.value;
+}
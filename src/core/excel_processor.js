@@ -0,0 +1,140 @@
+/**
+ * Excel Processor
+ *
+ * Läser Excel-arbetsböcker (.xlsx/.xls) med veckodata
+ * Varje flik konverteras till samma radformat som Papa Parse ger,
+ * så att CSV- och Excel-filer går genom samma valideringspipeline
+ */
+
+import * as XLSX from 'xlsx';
+
+// Filändelser som behandlas som Excel-arbetsböcker
+export const EXCEL_FILE_EXTENSIONS = ['.xlsx', '.xls'];
+
+/**
+ * Kontrollerar om ett filnamn är en Excel-arbetsbok
+ * @param {string} filename - Filnamn
+ * @returns {boolean}
+ */
+export function isExcelFile(filename) {
+  if (!filename) return false;
+
+  const lower = filename.toLowerCase();
+  return EXCEL_FILE_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Läser fil och returnerar innehåll som ArrayBuffer
+ * @param {File} file - Fil-objekt
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (event) => {
+      resolve(event.target.result);
+    };
+
+    reader.onerror = () => {
+      reject(new Error(`Kunde inte läsa fil: ${file.name}`));
+    };
+
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Läser arbetsbok från binärdata
+ * @param {ArrayBuffer} data - Filinnehåll
+ * @returns {Object} - SheetJS workbook
+ */
+export function readWorkbook(data) {
+  return XLSX.read(data, { type: 'array', cellDates: true });
+}
+
+/**
+ * Hämtar fliknamn från en Excel-fil utan att läsa in celldata
+ * @param {File} file - Fil-objekt
+ * @returns {Promise<Array<string>>} - Fliknamn i arbetsbokens ordning
+ */
+export async function readSheetNamesFromFile(file) {
+  const data = await readFileAsArrayBuffer(file);
+  const workbook = XLSX.read(data, { type: 'array', bookSheets: true });
+
+  return workbook.SheetNames || [];
+}
+
+/**
+ * Konverterar en flik till Papa Parse-liknande resultat
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Flikens namn
+ * @returns {Object} - {data, meta: {fields}, errors}
+ */
+export function sheetToParseResult(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+
+  if (!sheet) {
+    return { data: [], meta: { fields: null }, errors: [] };
+  }
+
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    defval: null,
+    blankrows: false
+  });
+
+  if (rows.length === 0) {
+    return { data: [], meta: { fields: [] }, errors: [] };
+  }
+
+  // Samma normalisering som transformHeader i parseWeeklyCSV
+  const fields = rows[0].map(header => String(header ?? '').trim().toLowerCase());
+
+  const data = rows.slice(1).map(cells => {
+    const row = {};
+    fields.forEach((field, index) => {
+      row[field] = normalizeCellValue(cells[index]);
+    });
+    return row;
+  });
+
+  return {
+    data,
+    meta: { fields },
+    errors: []
+  };
+}
+
+/**
+ * Normaliserar cellvärde till samma form som Papa Parse ger
+ * @param {any} value - Cellvärde från SheetJS
+ * @returns {any} - Datum som YYYY-MM-DD, text trimmad, tal oförändrade
+ */
+function normalizeCellValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    // SheetJS skapar datum i lokal tid, läs därför lokala komponenter
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+
+    if (trimmed === '') {
+      return null;
+    }
+
+    // Text tolkas per kolumn enligt COLUMN_SCHEMA (sid-ID:n får inte bli tal)
+    return trimmed;
+  }
+
+  return value;
+}
@@ -0,0 +1,235 @@
+/**
+ * Graph API Importer
+ *
+ * Konverterar sparade Facebook Graph API insights-svar (JSON) till WeeklyPageData
+ * Stöder både /{page-id}/insights-svar ({data: [...]}) och sidobjekt med
+ * inbäddade insights ({id, name, insights: {data: [...]}}), även i en array
+ *
+ * Värden med period "week" är rullande 7-dagarsfönster som slutar vid end_time.
+ * Endast fönster som motsvarar en hel ISO-vecka (måndag–söndag) importeras.
+ */
+
+import { Page, WeekPeriod, WeeklyMetrics, WeeklyPageData, WeeklyDataset } from './weekly_models.js';
+import { parseISODate, formatISODate, addDays, getISODayOfWeek, getISOWeekInfo } from '../utils/iso_week.js';
+
+/**
+ * Mappning från insights-metrics till metrics i WeeklyMetrics
+ */
+export const GRAPH_METRIC_MAP = {
+  page_impressions_unique: 'reach',
+  page_post_engagements: 'engagements'
+};
+
+// Endast veckoperioder kan bli veckodata utan att summera räckvidd
+const SUPPORTED_PERIOD = 'week';
+
+/**
+ * Kontrollerar om ett filnamn är en JSON-fil
+ * @param {string} filename - Filnamn
+ * @returns {boolean}
+ */
+export function isJSONFile(filename) {
+  return Boolean(filename) && filename.toLowerCase().endsWith('.json');
+}
+
+/**
+ * Parsar sparat Graph API-svar till WeeklyDataset
+ * @param {string} jsonContent - JSON-innehåll som string
+ * @param {string} filename - Filnamn för felmeddelanden
+ * @returns {Object} - {success, dataset, errors, warnings, stats}
+ */
+export function parseGraphInsightsJSON(jsonContent, filename = 'unknown.json') {
+  const warnings = [];
+  let parsed;
+
+  try {
+    parsed = JSON.parse(jsonContent);
+  } catch (error) {
+    return {
+      success: false,
+      dataset: null,
+      errors: [`JSON-parsningsfel i ${filename}: ${error.message}`],
+      warnings
+    };
+  }
+
+  const pageResponses = collectPageResponses(parsed);
+
+  if (pageResponses.length === 0) {
+    return {
+      success: false,
+      dataset: null,
+      errors: ['Filen innehåller inga insights-data (förväntat: {data: [...]} från /insights)'],
+      warnings
+    };
+  }
+
+  // Samla värden per sida och ISO-vecka: {pageId|periodKey: {page, period, values}}
+  const weeks = new Map();
+  let skippedWindows = 0;
+  let totalValues = 0;
+
+  pageResponses.forEach(({ pageId: responsePageId, pageName, insights }) => {
+    insights.forEach(insight => {
+      const metricKey = GRAPH_METRIC_MAP[insight.name];
+
+      if (!metricKey) {
+        warnings.push(`Okänd insights-metric ignoreras: ${insight.name}`);
+        return;
+      }
+
+      if (insight.period !== SUPPORTED_PERIOD) {
+        warnings.push(`${insight.name}: period "${insight.period}" stöds inte (endast "${SUPPORTED_PERIOD}")`);
+        return;
+      }
+
+      const pageId = responsePageId || extractPageIdFromInsightId(insight.id);
+
+      if (!pageId) {
+        warnings.push(`${insight.name}: saknar sid-ID och ignoreras`);
+        return;
+      }
+
+      (insight.values || []).forEach(entry => {
+        totalValues++;
+        const period = extractPeriodFromEndTime(entry.end_time);
+
+        if (!period) {
+          skippedWindows++;
+          return;
+        }
+
+        const key = `${pageId}|${period.getPeriodKey()}`;
+
+        if (!weeks.has(key)) {
+          weeks.set(key, {
+            page: new Page(pageId, pageName || `Sida ${pageId}`),
+            period,
+            values: {}
+          });
+        }
+
+        weeks.get(key).values[metricKey] = entry.value;
+      });
+    });
+  });
+
+  const dataset = new WeeklyDataset();
+
+  weeks.forEach(({ page, period, values }) => {
+    const metrics = new WeeklyMetrics(values.reach, values.engagements);
+    const missing = [];
+
+    // Saknade värden blir null (WeeklyMetrics) – fabricera inga nollor
+    if (values.reach === undefined) {
+      missing.push('page_impressions_unique');
+    }
+
+    if (values.engagements === undefined) {
+      missing.push('page_post_engagements');
+    }
+
+    const comment = missing.length > 0 ? `Saknas i Graph API-svaret: ${missing.join(', ')}` : null;
+    dataset.addData(new WeeklyPageData(page, period, metrics, 'OK', comment));
+  });
+
+  if (skippedWindows > 0) {
+    warnings.push(
+      `${skippedWindows} rullande 7-dagarsvärden motsvarar inte en ISO-vecka (måndag–söndag) och hoppades över`
+    );
+  }
+
+  if (dataset.isEmpty()) {
+    return {
+      success: false,
+      dataset: null,
+      errors: ['Inga veckovärden som motsvarar hela ISO-veckor hittades i filen'],
+      warnings
+    };
+  }
+
+  return {
+    success: true,
+    dataset,
+    errors: [],
+    warnings,
+    stats: {
+      totalRows: totalValues,
+      validRows: totalValues - skippedWindows,
+      invalidRows: skippedWindows,
+      uniquePages: dataset.getUniquePages().length,
+      uniquePeriods: dataset.getUniquePeriods().length
+    }
+  };
+}
+
+/**
+ * Plockar ut sidsvar med insights-listor ur olika svarsformat
+ * @param {any} parsed - Parsad JSON
+ * @returns {Array<Object>} - [{pageId, pageName, insights}]
+ */
+function collectPageResponses(parsed) {
+  const responses = Array.isArray(parsed) ? parsed : [parsed];
+  const pages = [];
+
+  responses.forEach(response => {
+    if (!response || typeof response !== 'object') return;
+
+    // Sidobjekt: {id, name, insights: {data: [...]}}
+    if (response.insights && Array.isArray(response.insights.data)) {
+      pages.push({
+        pageId: response.id ? String(response.id) : null,
+        pageName: response.name || null,
+        insights: response.insights.data
+      });
+      return;
+    }
+
+    // Insights-svar: {data: [...]}
+    if (Array.isArray(response.data)) {
+      pages.push({
+        pageId: null,
+        pageName: response.name || null,
+        insights: response.data
+      });
+    }
+  });
+
+  return pages;
+}
+
+/**
+ * Extraherar sid-ID från insights-id ("{page-id}/insights/{metric}/{period}")
+ * Sid-ID behålls som sträng – 15–17-siffriga ID:n får inte avrundas
+ * @param {string} insightId - Insights-id
+ * @returns {string|null}
+ */
+function extractPageIdFromInsightId(insightId) {
+  if (!insightId) return null;
+
+  const pageId = String(insightId).split('/')[0];
+  return pageId || null;
+}
+
+/**
+ * Skapar WeekPeriod från end_time för ett veckovärde
+ * end_time är fönstrets exklusiva slut (midnatt dagen efter sista dagen),
+ * t.ex. "2025-10-13T07:00:00+0000" → 2025-10-06 – 2025-10-12
+ * @param {string} endTime - end_time från Graph API
+ * @returns {WeekPeriod|null} - null om fönstret inte är en hel ISO-vecka
+ */
+function extractPeriodFromEndTime(endTime) {
+  // Datumdelen av strängen används direkt för att undvika tidszonsförskjutning
+  const endExclusive = parseISODate(String(endTime ?? '').slice(0, 10));
+  if (!endExclusive) return null;
+
+  const lastDay = addDays(endExclusive, -1);
+
+  // Endast fönster som slutar på en söndag motsvarar en ISO-vecka
+  if (getISODayOfWeek(lastDay) !== 7) {
+    return null;
+  }
+
+  const weekInfo = getISOWeekInfo(lastDay);
+  return new WeekPeriod(weekInfo.year, weekInfo.week, weekInfo.startDate, formatISODate(lastDay));
+}
@@ -2,34 +2,70 @@
  * Period Extractor
  * 
  * Extraherar year/week/datum från filnamn och CSV-data
- * Hanterar format: week_41.csv, week_42.csv etc.
+ * Hanterar format: week_41.csv, 2025_week_41.csv, week_41_2025.csv, 2025-W41.csv
+ * (samt motsvarande .xlsx/.xls)
  */
 
+import { getCalendarMonth, getISOWeekRange } from '../utils/iso_week.js';
+
+// Filändelser som kan förekomma i vecko-filnamn (valfria vid matchning)
+const FILE_EXTENSION_PATTERN = '(?:\\.(?:csv|xlsx|xls|json))?$';
+
+// Filnamnsmönster med år, i prioritetsordning (mönster med år först)
+const FILENAME_PERIOD_PATTERNS = [
+  // 2025_week_41.csv, 2025-week-41.csv
+  { regex: new RegExp(`(?:^|\\D)(\\d{4})[_-]week[_-]?(\\d{1,2})${FILE_EXTENSION_PATTERN}`, 'i'), yearGroup: 1, weekGroup: 2 },
+  // week_41_2025.csv, week-41-2025.csv
+  { regex: new RegExp(`week[_-]?(\\d{1,2})[_-](\\d{4})${FILE_EXTENSION_PATTERN}`, 'i'), yearGroup: 2, weekGroup: 1 },
+  // 2025-W41.csv, 2025W41.csv (ISO 8601)
+  { regex: new RegExp(`(?:^|\\D)(\\d{4})-?W(\\d{1,2})${FILE_EXTENSION_PATTERN}`, 'i'), yearGroup: 1, weekGroup: 2 },
+  // week_41.csv (utan år)
+  { regex: new RegExp(`week[_-]?(\\d{1,2})${FILE_EXTENSION_PATTERN}`, 'i'), yearGroup: null, weekGroup: 1 }
+];
+
 /**
- * Extraherar veckonummer från filnamn
- * @param {string} filename - Filnamn (t.ex. "week_41.csv")
- * @returns {number|null} - Veckonummer eller null om ogiltig
+ * Extraherar år och veckonummer från filnamn
+ * @param {string} filename - Filnamn (t.ex. "week_41.csv", "2025_week_41.csv", "2025-W41.csv")
+ * @returns {Object|null} - {year, week} där year är null om året saknas, eller null om ogiltig
  */
-export function extractWeekFromFilename(filename) {
-  // Matcha format: week_XX.csv eller week_XX (utan .csv)
-  const match = filename.match(/week[_-]?(\d{1,2})(?:\.csv)?$/i);
-  
-  if (match) {
-    const week = parseInt(match[1], 10);
-    
+export function extractPeriodFromFilename(filename) {
+  if (!filename) {
+    return null;
+  }
+
+  for (const { regex, yearGroup, weekGroup } of FILENAME_PERIOD_PATTERNS) {
+    const match = filename.match(regex);
+
+    if (!match) continue;
+
+    const week = parseInt(match[weekGroup], 10);
+    const year = yearGroup ? parseInt(match[yearGroup], 10) : null;
+
     // Validera veckonummer (1-53)
     if (week >= 1 && week <= 53) {
-      return week;
+      return { year, week };
     }
+
+    return null;
   }
-  
+
   return null;
 }
 
+/**
+ * Extraherar veckonummer från filnamn
+ * @param {string} filename - Filnamn (t.ex. "week_41.csv")
+ * @returns {number|null} - Veckonummer eller null om ogiltig
+ */
+export function extractWeekFromFilename(filename) {
+  const period = extractPeriodFromFilename(filename);
+  return period ? period.week : null;
+}
+
 /**
  * Extraherar period från fil-objekt
  * @param {File} file - Fil-objekt från uppladdning
- * @returns {Object|null} - {week, filename} eller null
+ * @returns {Object|null} - {year, week, filename} eller null (year är null om det saknas i filnamnet)
  */
 export function extractPeriodFromFile(file) {
   if (!file || !file.name) {
@@ -37,23 +73,25 @@ export function extractPeriodFromFile(file) {
     return null;
   }
   
-  const week = extractWeekFromFilename(file.name);
+  const period = extractPeriodFromFilename(file.name);
   
-  if (week === null) {
+  if (period === null) {
     console.warn(`extractPeriodFromFile: Kunde inte extrahera vecka från ${file.name}`);
     return null;
   }
   
   return {
-    week,
+    year: period.year,
+    week: period.week,
     filename: file.name
   };
 }
 
 /**
  * Extraherar komplett period från CSV-rad (inkluderar year, dates)
+ * Saknade datum beräknas från ISO-år och vecka (datesDerived = true)
  * @param {Object} csvRow - Parsad CSV-rad
- * @returns {Object|null} - {year, week, startDate, endDate} eller null
+ * @returns {Object|null} - {year, week, startDate, endDate, datesDerived} eller null
  */
 export function extractPeriodFromCSVRow(csvRow) {
   if (!csvRow) {
@@ -62,12 +100,10 @@ export function extractPeriodFromCSVRow(csvRow) {
   
   const year = csvRow.year;
   const week = csvRow.week;
-  const startDate = csvRow.start_date || csvRow['start_date'];
-  const endDate = csvRow.end_date || csvRow['end_date'];
   
-  // Validera att alla fält finns
-  if (!year || !week || !startDate || !endDate) {
-    console.warn('extractPeriodFromCSVRow: Saknar perioddata i CSV-rad', csvRow);
+  // Validera att år och vecka finns
+  if (!year || !week) {
+    console.warn('extractPeriodFromCSVRow: Saknar år eller vecka i CSV-rad', csvRow);
     return null;
   }
   
@@ -85,21 +121,33 @@ export function extractPeriodFromCSVRow(csvRow) {
     return null;
   }
   
+  // Saknade datum beräknas från ISO-år och vecka
+  const range = getISOWeekRange(yearNum, weekNum);
+  if (!range) {
+    console.warn(`extractPeriodFromCSVRow: Vecka ${weekNum} finns inte ${yearNum}`);
+    return null;
+  }
+
+  const startDate = csvRow.start_date || range.startDate;
+  const endDate = csvRow.end_date || range.endDate;
+  
   return {
     year: yearNum,
     week: weekNum,
     startDate,
-    endDate
+    endDate,
+    datesDerived: !csvRow.start_date || !csvRow.end_date
   };
 }
 
 /**
  * Skapar standardformat filnamn från veckonummer
  * @param {number} week - Veckonummer (1-53)
- * @returns {string} - T.ex. "week_41.csv"
+ * @param {number} [year] - År (valfritt)
+ * @returns {string} - T.ex. "week_41.csv" eller "2025_week_41.csv"
  */
-export function createStandardFilename(week) {
-  return `week_${week}.csv`;
+export function createStandardFilename(week, year) {
+  return year ? `${year}_week_${week}.csv` : `week_${week}.csv`;
 }
 
 /**
@@ -150,8 +198,11 @@ export function extractPeriodsFromFiles(files) {
     }
   }
   
-  // Sortera efter veckonummer
-  return periods.sort((a, b) => a.week - b.week);
+  // Sortera efter år (okänt år först) och veckonummer
+  return periods.sort((a, b) => {
+    if (a.year !== b.year) return (a.year || 0) - (b.year || 0);
+    return a.week - b.week;
+  });
 }
 
 /**
@@ -188,8 +239,11 @@ export function groupPeriodsByMonth(periods) {
   for (const period of periods) {
     if (!period.startDate) continue;
     
-    const date = new Date(period.startDate);
-    const monthKey = `${period.year}_${String(date.getMonth() + 1).padStart(2, '0')}`;
+    // Kalendermånad ur datumsträngen – ingen lokal tidszon inblandad
+    const calendarMonth = getCalendarMonth(period.startDate);
+    if (!calendarMonth) continue;
+
+    const monthKey = calendarMonth.key;
     
     if (!grouped[monthKey]) {
       grouped[monthKey] = [];
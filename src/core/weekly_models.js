@@ -4,14 +4,31 @@
  * Datastrukturer för veckobaserad Facebook-data
  * Hanterar 10 kolumner: page_id, page_name, year, week, start_date, end_date, 
  * reach, engagements, status, comment
+ * Extra numeriska kolumner (t.ex. impressions) följer med som egna metrics
  */
 
+import {
+  getISOWeekRange,
+  getCalendarMonth,
+  countDaysInclusive,
+  hasISOWeek53
+} from '../utils/iso_week.js';
+import { getCalendarPeriod } from '../utils/fiscal_calendar.js';
+
+/**
+ * Statuses where the metrics are a real measurement
+ * UNKNOWN means the file had no status column – the values are trusted as-is.
+ * NO_ACTIVITY and error statuses (e.g. an expired token) are gaps, not zeros.
+ */
+export const MEASURED_STATUSES = ['OK', 'UNKNOWN'];
+
 /**
  * Represents a Facebook page
  */
 export class Page {
   constructor(pageId, pageName) {
-    this.pageId = pageId;
+    // Always a string: 15–17 digit Facebook IDs lose precision as numbers
+    this.pageId = pageId === null || pageId === undefined ? pageId : String(pageId);
     this.pageName = pageName;
   }
 
@@ -32,25 +49,48 @@ export class Page {
  * Represents a week period with dates
  */
 export class WeekPeriod {
-  constructor(year, week, startDate, endDate) {
+  constructor(year, week, startDate, endDate, datesDerived = false) {
     this.year = parseInt(year);
     this.week = parseInt(week);
     this.startDate = startDate; // YYYY-MM-DD format
     this.endDate = endDate;     // YYYY-MM-DD format
+    this.datesDerived = datesDerived; // true if dates were computed from year/week
   }
 
   /**
    * Create WeekPeriod from CSV row
+   * Missing start_date/end_date are derived from the ISO year and week
    * @param {Object} csvRow - Parsed CSV row
    * @returns {WeekPeriod}
    */
   static fromCSVRow(csvRow) {
-    const year = csvRow.year;
-    const week = csvRow.week;
-    const startDate = csvRow.start_date || csvRow['start_date'];
-    const endDate = csvRow.end_date || csvRow['end_date'];
+    const year = parseInt(csvRow.year);
+    const week = parseInt(csvRow.week);
+    let startDate = csvRow.start_date || csvRow['start_date'];
+    let endDate = csvRow.end_date || csvRow['end_date'];
+    let datesDerived = false;
+
+    if (!startDate || !endDate) {
+      const range = getISOWeekRange(year, week);
+
+      // Week that does not exist (e.g. week 53 in a 52-week year) keeps its missing dates
+      if (range) {
+        startDate = startDate || range.startDate;
+        endDate = endDate || range.endDate;
+        datesDerived = true;
+      }
+    }
     
-    return new WeekPeriod(year, week, startDate, endDate);
+    return new WeekPeriod(year, week, startDate, endDate, datesDerived);
+  }
+
+  /**
+   * Recreate WeekPeriod from stored JSON (e.g. localStorage)
+   * @param {Object} json - Plain object from JSON.parse
+   * @returns {WeekPeriod}
+   */
+  static fromJSON(json) {
+    return new WeekPeriod(json.year, json.week, json.startDate, json.endDate, Boolean(json.datesDerived));
   }
 
   /**
@@ -77,18 +117,32 @@ export class WeekPeriod {
     return `${this.year}_${this.week}`;
   }
 
+  /**
+   * Get calendar month the week belongs to (month of start_date)
+   * Uses pure calendar arithmetic – never local time
+   * @returns {Object|null} - {year, month, quarter, monthName, key}
+   */
+  getCalendarMonth() {
+    const startDate = this.startDate || getISOWeekRange(this.year, this.week)?.startDate;
+    return getCalendarMonth(startDate);
+  }
+
+  /**
+   * Get month/quarter bucket in the chosen calendar (ISO, US, fiscal, retail)
+   * @param {Object} calendar - Calendar setting from fiscal_calendar
+   * @returns {Object|null} - {year, month, quarter, key, label, quarterKey, quarterLabel, week, weekYear}
+   */
+  getCalendarPeriod(calendar) {
+    const startDate = this.startDate || getISOWeekRange(this.year, this.week)?.startDate;
+    return getCalendarPeriod(startDate, calendar);
+  }
+
   /**
    * Get month name from start_date
    * @returns {string} - E.g. "Oktober"
    */
   getMonthName() {
-    const months = [
-      'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
-      'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
-    ];
-    
-    const date = new Date(this.startDate);
-    return months[date.getMonth()];
+    return this.getCalendarMonth()?.monthName;
   }
 
   /**
@@ -96,8 +150,51 @@ export class WeekPeriod {
    * @returns {number}
    */
   getMonthNumber() {
-    const date = new Date(this.startDate);
-    return date.getMonth() + 1; // JavaScript months are 0-indexed
+    return this.getCalendarMonth()?.month;
+  }
+
+  /**
+   * Get month grouping key from start_date
+   * Calendar year, not ISO year: week 1 2025 starts 2024-12-30 → "2024_12"
+   * @returns {string} - E.g. "2025_10"
+   */
+  getMonthKey() {
+    return this.getCalendarMonth()?.key;
+  }
+
+  /**
+   * Get quarter (1-4) from start_date
+   * @returns {number}
+   */
+  getQuarter() {
+    return this.getCalendarMonth()?.quarter;
+  }
+
+  /**
+   * Get number of days in the period (7 for a full ISO week)
+   * @returns {number|null}
+   */
+  getDayCount() {
+    return countDaysInclusive(this.startDate, this.endDate);
+  }
+
+  /**
+   * Check if this is week 53 (only exists in long ISO years)
+   * @returns {boolean}
+   */
+  isWeek53() {
+    return this.week === 53 && hasISOWeek53(this.year);
+  }
+
+  /**
+   * Create WeekPeriod from ISO year and week with calculated dates
+   * @param {number} year - ISO year
+   * @param {number} week - ISO week
+   * @returns {WeekPeriod|null} - null if the week does not exist that year
+   */
+  static fromISOWeek(year, week) {
+    const range = getISOWeekRange(year, week);
+    return range ? new WeekPeriod(range.year, range.week, range.startDate, range.endDate) : null;
   }
 }
 
@@ -105,21 +202,47 @@ export class WeekPeriod {
  * Represents weekly metrics for a page
  */
 export class WeeklyMetrics {
-  constructor(reach, engagements) {
-    this.reach = parseInt(reach) || 0;           // KAN EJ summeras över veckor
-    this.engagements = parseInt(engagements) || 0; // KAN summeras över veckor
+  constructor(reach, engagements, customMetrics = {}) {
+    // null = the value is missing in the source (e.g. daily-only exports, partial API responses)
+    this.reach = toMetricValue(reach); // KAN EJ summeras över veckor
+    this.engagements = toMetricValue(engagements); // KAN summeras över veckor
+
+    // Extra metrics (e.g. impressions) – summable or not is decided in METRIC_DEFINITIONS
+    Object.entries(customMetrics).forEach(([key, value]) => {
+      this[key] = typeof value === 'number' ? value : null;
+    });
   }
 
   /**
    * Create WeeklyMetrics from CSV row
    * @param {Object} csvRow - Parsed CSV row
+   * @param {Array<string>} customMetricKeys - Extra numeric columns to keep
    * @returns {WeeklyMetrics}
    */
-  static fromCSVRow(csvRow) {
+  static fromCSVRow(csvRow, customMetricKeys = []) {
     const reach = csvRow.reach;
     const engagements = csvRow.engagements;
+    const customMetrics = Object.fromEntries(customMetricKeys.map(key => [key, csvRow[key]]));
     
-    return new WeeklyMetrics(reach, engagements);
+    return new WeeklyMetrics(reach, engagements, customMetrics);
+  }
+
+  /**
+   * Recreate WeeklyMetrics from stored JSON, extra metrics included
+   * @param {Object} json - Plain object from JSON.parse
+   * @returns {WeeklyMetrics}
+   */
+  static fromJSON(json) {
+    const { reach, engagements, ...customMetrics } = json;
+    return new WeeklyMetrics(reach, engagements, customMetrics);
+  }
+
+  /**
+   * Get keys of extra metrics (everything except reach and engagements)
+   * @returns {Array<string>}
+   */
+  getCustomMetricKeys() {
+    return Object.keys(this).filter(key => key !== 'reach' && key !== 'engagements');
   }
 
   /**
@@ -154,18 +277,34 @@ export class WeeklyPageData {
   /**
    * Create WeeklyPageData from CSV row
    * @param {Object} csvRow - Parsed CSV row
+   * @param {Array<string>} customMetricKeys - Extra numeric columns to keep
    * @returns {WeeklyPageData}
    */
-  static fromCSVRow(csvRow) {
+  static fromCSVRow(csvRow, customMetricKeys = []) {
     const page = Page.fromCSVRow(csvRow);
     const period = WeekPeriod.fromCSVRow(csvRow);
-    const metrics = WeeklyMetrics.fromCSVRow(csvRow);
+    const metrics = WeeklyMetrics.fromCSVRow(csvRow, customMetricKeys);
     const status = csvRow.status || 'UNKNOWN';
     const comment = csvRow.comment || null;
     
     return new WeeklyPageData(page, period, metrics, status, comment);
   }
 
+  /**
+   * Recreate WeeklyPageData from stored JSON so that methods work again
+   * @param {Object} json - Plain object from JSON.parse
+   * @returns {WeeklyPageData}
+   */
+  static fromJSON(json) {
+    return new WeeklyPageData(
+      new Page(json.page.pageId, json.page.pageName),
+      WeekPeriod.fromJSON(json.period),
+      WeeklyMetrics.fromJSON(json.metrics || {}),
+      json.status || 'UNKNOWN',
+      json.comment || null
+    );
+  }
+
   /**
    * Get unique identifier for this data point
    * @returns {string} - E.g. "2025_41_12345678"
@@ -181,6 +320,26 @@ export class WeeklyPageData {
   hasActivity() {
     return this.status === 'OK' && (this.metrics.reach > 0 || this.metrics.engagements > 0);
   }
+
+  /**
+   * Check if the metrics are a real measurement (not a gap)
+   * @returns {boolean}
+   */
+  isMeasured() {
+    return MEASURED_STATUSES.includes(String(this.status).toUpperCase());
+  }
+}
+
+/**
+ * Weeks that count in statistics and aggregations
+ * Gap weeks (see isMeasured) are only kept when options.includeGaps is set
+ * @param {Array<WeeklyPageData>} weeklyDataArray
+ * @param {Object} options - {includeGaps}
+ * @returns {Array<WeeklyPageData>} - New array
+ */
+export function getMeasuredData(weeklyDataArray, options = {}) {
+  const data = weeklyDataArray || [];
+  return options.includeGaps ? [...data] : data.filter(item => item.isMeasured());
 }
 
 /**
@@ -230,8 +389,9 @@ export class WeeklyDataset {
     });
     
     // Sort by startDate to handle year-boundary weeks correctly
+    // (periods without dates fall back to year/week order)
     return Array.from(periodsMap.values()).sort((a, b) => {
-      return a.startDate.localeCompare(b.startDate);
+      return (a.startDate || '').localeCompare(b.startDate || '') || a.year - b.year || a.week - b.week;
     });
   }
 
@@ -256,6 +416,17 @@ export class WeeklyDataset {
     );
   }
 
+  /**
+   * Split dataset into one group per distinct (year, week)
+   * @returns {Array<Object>} - [{period: WeekPeriod, data: Array<WeeklyPageData>}] sorted by startDate
+   */
+  splitByPeriod() {
+    return this.getUniquePeriods().map(period => ({
+      period,
+      data: this.getDataForPeriod(period.year, period.week)
+    }));
+  }
+
   /**
    * Get total number of data points
    * @returns {number}
@@ -286,7 +457,7 @@ export function groupByMonth(weeklyDataArray) {
   const grouped = {};
   
   weeklyDataArray.forEach(item => {
-    const monthKey = `${item.period.year}_${String(item.period.getMonthNumber()).padStart(2, '0')}`;
+    const monthKey = item.period.getMonthKey();
     
     if (!grouped[monthKey]) {
       grouped[monthKey] = [];
@@ -305,9 +476,15 @@ export function groupByMonth(weeklyDataArray) {
  */
 export function calculateAverageReach(weeklyDataArray) {
   if (weeklyDataArray.length === 0) return 0;
-  
-  const totalReach = weeklyDataArray.reduce((sum, item) => sum + item.metrics.reach, 0);
-  return Math.round(totalReach / weeklyDataArray.length);
+
+  // Weeks without reach are skipped, not counted as 0
+  const reachValues = weeklyDataArray
+    .map(item => item.metrics.reach)
+    .filter(reach => typeof reach === 'number');
+  if (reachValues.length === 0) return null;
+
+  const totalReach = reachValues.reduce((sum, reach) => sum + reach, 0);
+  return Math.round(totalReach / reachValues.length);
 }
 
 /**
@@ -316,5 +493,10 @@ export function calculateAverageReach(weeklyDataArray) {
  * @returns {number}
  */
 export function calculateTotalEngagements(weeklyDataArray) {
-  return weeklyDataArray.reduce((sum, item) => sum + item.metrics.engagements, 0);
+  return weeklyDataArray.reduce((sum, item) => sum + (item.metrics.engagements ?? 0), 0);
+}
+
+// Missing stays null; anything else is parsed as an integer (unparseable → 0)
+function toMetricValue(value) {
+  return value === null || value === undefined ? null : parseInt(value) || 0;
 }
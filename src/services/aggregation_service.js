@@ -5,19 +5,63 @@
  * - Summera engagements (korrekt)
  * - Beräkna genomsnitt för reach (korrekt)
  * - Aggregera veckor → månader, kvartal, år
+ *
+ * Månader och kvartal följer vald kalender (ISO, US, räkenskapsår, 4-4-5)
+ * Veckor som korsar ett månadsskifte fördelas enligt vald metod:
+ * - Startdatum: hela veckan hamnar i månaden för startdatumet
+ * - Dagviktad: engagements delas efter antal dagar i varje månad.
+ *   Reach fördelas aldrig – den räknas som genomsnitt av de veckor som berör månaden
+ *   Antal veckor räknas också dagviktat (andel av veckan per månad)
+ *
+ * Registrerade extra metrics följer samma regler enligt sin kategori:
+ * summerbara summeras (och fördelas per dag), övriga blir genomsnitt.
+ * Resultatet ligger i metrics.custom: {metricKey: värde}
+ *
+ * Härledda metrics ligger också i metrics.custom och aggregeras enligt sin regel:
+ * kvoter räknas om från komponenterna, summerade fördelas per dag som engagements
+ *
+ * Sidor slås ihop och får visningsnamn enligt sidregistret (page_registry.js)
+ * innan de grupperas
+ *
+ * Veckor utan giltig mätning (NO_ACTIVITY, felstatus) är luckor: de ingår
+ * varken i summor, genomsnitt eller antal veckor om inte options.includeGaps anges
  */
 
 import { calculateAverageReach } from './reach_calculator.js';
+import { getMeasuredData } from '../core/weekly_models.js';
+import { DEFAULT_CALENDAR, splitDaysByCalendar } from '../utils/fiscal_calendar.js';
+import { canSumMetric, getCustomMetrics, getDerivedMetrics } from '../utils/metric_categorizer.js';
+import { aggregateDerivedMetrics, getMetricValue } from '../utils/derived_metrics.js';
+import { resolvePageIdentities } from './page_registry.js';
+
+/**
+ * Metoder för att fördela veckor på månader och kvartal
+ */
+export const ALLOCATION_METHODS = {
+  START_DATE: 'start_date',
+  DAY_WEIGHTED: 'day_weighted'
+};
+
+/**
+ * Etiketter för fördelningsmetoder (visas i resultat och export)
+ */
+export const ALLOCATION_LABELS = {
+  [ALLOCATION_METHODS.START_DATE]: 'Startdatum avgör (hela veckan i startmånaden)',
+  [ALLOCATION_METHODS.DAY_WEIGHTED]: 'Dagviktad (summerbara metrics fördelas per dag)'
+};
 
 /**
  * Aggregerar veckodata per sida
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {Object} - Aggregerad data per sida: {pageId: aggregatedData}
  */
-export function aggregateByPage(weeklyDataArray) {
+export function aggregateByPage(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return {};
   }
+
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
   const pageGroups = {};
   
@@ -38,7 +82,7 @@ export function aggregateByPage(weeklyDataArray) {
     }
     
     pageGroups[pageId].weeks.push(data);
-    pageGroups[pageId].metrics.totalEngagements += data.metrics.engagements;
+    pageGroups[pageId].metrics.totalEngagements += data.metrics.engagements ?? 0;
     pageGroups[pageId].metrics.weekCount++;
   });
   
@@ -46,6 +90,7 @@ export function aggregateByPage(weeklyDataArray) {
   for (const pageId in pageGroups) {
     const reachValues = pageGroups[pageId].weeks.map(w => w.metrics.reach);
     pageGroups[pageId].metrics.averageReach = calculateAverageReach(reachValues);
+    pageGroups[pageId].metrics.custom = aggregateCustomMetrics(pageGroups[pageId].weeks);
   }
   
   return pageGroups;
@@ -54,42 +99,68 @@ export function aggregateByPage(weeklyDataArray) {
 /**
  * Aggregerar veckodata per månad
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
+ * @param {Object} calendar - Kalenderinställning (standard ISO och kalendermånader)
+ * @param {string} allocation - ALLOCATION_METHODS-värde (standard startdatum)
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {Object} - Aggregerad data per månad: {monthKey: aggregatedData}
  */
-export function aggregateByMonth(weeklyDataArray) {
+export function aggregateByMonth(
+  weeklyDataArray,
+  calendar = DEFAULT_CALENDAR,
+  allocation = ALLOCATION_METHODS.START_DATE,
+  options = {}
+) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return {};
   }
+
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
   const monthGroups = {};
+  const allocatedSums = {};
   
   // Gruppera data per månad
   weeklyDataArray.forEach(data => {
-    const monthKey = `${data.period.year}_${String(data.period.getMonthNumber()).padStart(2, '0')}`;
-    
-    if (!monthGroups[monthKey]) {
-      monthGroups[monthKey] = {
-        year: data.period.year,
-        month: data.period.getMonthNumber(),
-        monthName: data.period.getMonthName(),
-        weeks: [],
-        metrics: {
-          totalEngagements: 0,
-          averageReach: 0,
-          weekCount: 0
-        }
-      };
-    }
-    
-    monthGroups[monthKey].weeks.push(data);
-    monthGroups[monthKey].metrics.totalEngagements += data.metrics.engagements;
-    monthGroups[monthKey].metrics.weekCount++;
+    // Månad i vald kalender (ISO: kalendermånad, kalenderår – inte ISO-år)
+    allocateWeek(data, calendar, allocation, 'key').forEach(({ period, values, days, weekShare }) => {
+      const monthKey = period.key;
+      
+      if (!monthGroups[monthKey]) {
+        monthGroups[monthKey] = {
+          year: period.year,
+          month: period.month,
+          monthName: period.monthName,
+          label: period.label,
+          allocation,
+          allocationLabel: ALLOCATION_LABELS[allocation],
+          weeks: [],
+          metrics: {
+            totalEngagements: 0,
+            averageReach: 0,
+            weekCount: 0,
+            dayCount: 0
+          }
+        };
+      }
+      
+      monthGroups[monthKey].weeks.push(data);
+      monthGroups[monthKey].metrics.weekCount += weekShare;
+      monthGroups[monthKey].metrics.dayCount += days;
+      allocatedSums[monthKey] = addValues(allocatedSums[monthKey], values);
+    });
   });
   
   // Beräkna genomsnittlig reach per månad
   for (const monthKey in monthGroups) {
+    const { engagements = 0, ...customSums } = allocatedSums[monthKey];
     const reachValues = monthGroups[monthKey].weeks.map(w => w.metrics.reach);
+    monthGroups[monthKey].metrics.totalEngagements = engagements;
     monthGroups[monthKey].metrics.averageReach = calculateAverageReach(reachValues);
+    monthGroups[monthKey].metrics.weekCount = roundWeekCount(monthGroups[monthKey].metrics.weekCount);
+    monthGroups[monthKey].metrics.custom = {
+      ...aggregateCustomMetrics(monthGroups[monthKey].weeks),
+      ...customSums
+    };
   }
   
   return monthGroups;
@@ -98,12 +169,15 @@ export function aggregateByMonth(weeklyDataArray) {
 /**
  * Aggregerar veckodata per period (vecka)
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {Object} - Aggregerad data per vecka: {weekKey: aggregatedData}
  */
-export function aggregateByWeek(weeklyDataArray) {
+export function aggregateByWeek(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return {};
   }
+
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
   const weekGroups = {};
   
@@ -124,7 +198,7 @@ export function aggregateByWeek(weeklyDataArray) {
     }
     
     weekGroups[weekKey].pages.push(data);
-    weekGroups[weekKey].metrics.totalEngagements += data.metrics.engagements;
+    weekGroups[weekKey].metrics.totalEngagements += data.metrics.engagements ?? 0;
     weekGroups[weekKey].metrics.pageCount++;
   });
   
@@ -132,6 +206,7 @@ export function aggregateByWeek(weeklyDataArray) {
   for (const weekKey in weekGroups) {
     const reachValues = weekGroups[weekKey].pages.map(p => p.metrics.reach);
     weekGroups[weekKey].metrics.averageReach = calculateAverageReach(reachValues);
+    weekGroups[weekKey].metrics.custom = aggregateCustomMetrics(weekGroups[weekKey].pages);
   }
   
   return weekGroups;
@@ -140,25 +215,31 @@ export function aggregateByWeek(weeklyDataArray) {
 /**
  * Summerar engagements korrekt över perioder
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {number} - Total engagements
  */
-export function sumEngagements(weeklyDataArray) {
+export function sumEngagements(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return 0;
   }
+
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
-  return weeklyDataArray.reduce((sum, data) => sum + data.metrics.engagements, 0);
+  return weeklyDataArray.reduce((sum, data) => sum + (data.metrics.engagements ?? 0), 0);
 }
 
 /**
  * Beräknar total reach (GENOMSNITT, inte summa)
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
- * @returns {number} - Genomsnittlig reach
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
+ * @returns {number|null} - Genomsnittlig reach, null om ingen vecka har reach
  */
-export function calculateTotalReach(weeklyDataArray) {
+export function calculateTotalReach(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return 0;
   }
+
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
   const reachValues = weeklyDataArray.map(data => data.metrics.reach);
   return calculateAverageReach(reachValues);
@@ -167,9 +248,10 @@ export function calculateTotalReach(weeklyDataArray) {
 /**
  * Skapar aggregerad sammanfattning för alla data
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
- * @returns {Object} - Komplett sammanfattning
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
+ * @returns {Object} - Komplett sammanfattning (gapDataPoints: uteslutna luckor)
  */
-export function createSummary(weeklyDataArray) {
+export function createSummary(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return {
       totalWeeks: 0,
@@ -180,18 +262,22 @@ export function createSummary(weeklyDataArray) {
       }
     };
   }
+
+  const resolved = resolvePageIdentities(weeklyDataArray);
+  const measured = getMeasuredData(resolved, options);
   
   // Räkna unika sidor och veckor
-  const uniquePages = new Set(weeklyDataArray.map(d => d.page.pageId));
-  const uniqueWeeks = new Set(weeklyDataArray.map(d => d.period.getPeriodKey()));
+  const uniquePages = new Set(measured.map(d => d.page.pageId));
+  const uniqueWeeks = new Set(measured.map(d => d.period.getPeriodKey()));
   
   return {
     totalWeeks: uniqueWeeks.size,
     totalPages: uniquePages.size,
-    totalDataPoints: weeklyDataArray.length,
+    totalDataPoints: measured.length,
+    gapDataPoints: resolved.length - measured.length,
     metrics: {
-      totalEngagements: sumEngagements(weeklyDataArray),
-      averageReach: calculateTotalReach(weeklyDataArray)
+      totalEngagements: sumEngagements(measured, { includeGaps: true }),
+      averageReach: measured.length > 0 ? calculateTotalReach(measured, { includeGaps: true }) : null
     }
   };
 }
@@ -205,6 +291,8 @@ export function aggregatePageTimeseries(weeklyDataArray) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return null;
   }
+
+  weeklyDataArray = resolvePageIdentities(weeklyDataArray);
   
   // Sortera efter startDate för korrekt ordning över årsskifte
   const sorted = [...weeklyDataArray].sort((a, b) => {
@@ -230,7 +318,7 @@ export function aggregatePageTimeseries(weeklyDataArray) {
     page: sorted[0].page,
     timeseries,
     summary: {
-      weekCount: timeseries.length,
+      weekCount: getMeasuredData(sorted).length,
       totalEngagements: sumEngagements(sorted),
       averageReach: calculateTotalReach(sorted)
     }
@@ -248,6 +336,8 @@ export function aggregateForWeekComparison(weeklyDataArray, year, week) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return [];
   }
+
+  weeklyDataArray = resolvePageIdentities(weeklyDataArray);
   
   // Filtrera data för specifik vecka
   const weekData = weeklyDataArray.filter(data => 
@@ -269,70 +359,100 @@ export function aggregateForWeekComparison(weeklyDataArray, year, week) {
 /**
  * Beräknar procentuell fördelning av engagements mellan sidor
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata för EN vecka
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {Array<Object>} - Fördelning per sida med procent
  */
-export function calculateEngagementDistribution(weeklyDataArray) {
+export function calculateEngagementDistribution(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return [];
   }
+
+  // Samma urval för raderna som för totalen, annars summerar procenten inte till 100
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
-  const totalEngagements = sumEngagements(weeklyDataArray);
+  const totalEngagements = weeklyDataArray.reduce((sum, data) => sum + (data.metrics.engagements ?? 0), 0);
   
   if (totalEngagements === 0) {
     return weeklyDataArray.map(data => ({
       page: data.page,
-      engagements: 0,
+      engagements: data.metrics.engagements,
       percentage: 0
     }));
   }
   
+  // Saknade engagements (null) ger ingen andel och sorteras sist
   return weeklyDataArray.map(data => ({
     page: data.page,
     engagements: data.metrics.engagements,
-    percentage: Math.round((data.metrics.engagements / totalEngagements) * 100 * 10) / 10
+    percentage: data.metrics.engagements === null
+      ? null
+      : Math.round((data.metrics.engagements / totalEngagements) * 100 * 10) / 10
   }))
-  .sort((a, b) => b.engagements - a.engagements);
+  .sort((a, b) => (b.engagements ?? -1) - (a.engagements ?? -1));
 }
 
 /**
  * Aggregerar data till kvartalsvy
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
+ * @param {Object} calendar - Kalenderinställning (standard ISO och kalendermånader)
+ * @param {string} allocation - ALLOCATION_METHODS-värde (standard startdatum)
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {Object} - Aggregerad data per kvartal: {quarterKey: aggregatedData}
  */
-export function aggregateByQuarter(weeklyDataArray) {
+export function aggregateByQuarter(
+  weeklyDataArray,
+  calendar = DEFAULT_CALENDAR,
+  allocation = ALLOCATION_METHODS.START_DATE,
+  options = {}
+) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return {};
   }
+
+  weeklyDataArray = getMeasuredData(resolvePageIdentities(weeklyDataArray), options);
   
   const quarterGroups = {};
+  const allocatedSums = {};
   
   weeklyDataArray.forEach(data => {
-    const month = data.period.getMonthNumber();
-    const quarter = Math.ceil(month / 3);
-    const quarterKey = `${data.period.year}_Q${quarter}`;
-    
-    if (!quarterGroups[quarterKey]) {
-      quarterGroups[quarterKey] = {
-        year: data.period.year,
-        quarter,
-        weeks: [],
-        metrics: {
-          totalEngagements: 0,
-          averageReach: 0,
-          weekCount: 0
-        }
-      };
-    }
-    
-    quarterGroups[quarterKey].weeks.push(data);
-    quarterGroups[quarterKey].metrics.totalEngagements += data.metrics.engagements;
-    quarterGroups[quarterKey].metrics.weekCount++;
+    allocateWeek(data, calendar, allocation, 'quarterKey').forEach(({ period, values, days, weekShare }) => {
+      const { year, quarter, quarterKey, quarterLabel } = period;
+      
+      if (!quarterGroups[quarterKey]) {
+        quarterGroups[quarterKey] = {
+          year,
+          quarter,
+          label: quarterLabel,
+          allocation,
+          allocationLabel: ALLOCATION_LABELS[allocation],
+          weeks: [],
+          metrics: {
+            totalEngagements: 0,
+            averageReach: 0,
+            weekCount: 0,
+            dayCount: 0
+          }
+        };
+      }
+      
+      quarterGroups[quarterKey].weeks.push(data);
+      quarterGroups[quarterKey].metrics.weekCount += weekShare;
+      quarterGroups[quarterKey].metrics.dayCount += days;
+      allocatedSums[quarterKey] = addValues(allocatedSums[quarterKey], values);
+    });
   });
   
   // Beräkna genomsnittlig reach per kvartal
   for (const quarterKey in quarterGroups) {
+    const { engagements = 0, ...customSums } = allocatedSums[quarterKey];
     const reachValues = quarterGroups[quarterKey].weeks.map(w => w.metrics.reach);
+    quarterGroups[quarterKey].metrics.totalEngagements = engagements;
     quarterGroups[quarterKey].metrics.averageReach = calculateAverageReach(reachValues);
+    quarterGroups[quarterKey].metrics.weekCount = roundWeekCount(quarterGroups[quarterKey].metrics.weekCount);
+    quarterGroups[quarterKey].metrics.custom = {
+      ...aggregateCustomMetrics(quarterGroups[quarterKey].weeks),
+      ...customSums
+    };
   }
   
   return quarterGroups;
@@ -341,13 +461,15 @@ export function aggregateByQuarter(weeklyDataArray) {
 /**
  * Skapar pivot-tabell struktur (sidor som rader, veckor som kolumner)
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
- * @param {string} metric - 'reach' eller 'engagements'
+ * @param {string} metric - Metric-nyckel, även extra och härledda metrics
  * @returns {Object} - Pivot-tabell struktur
  */
 export function createPivotTable(weeklyDataArray, metric = 'engagements') {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return { pages: [], weeks: [], data: {} };
   }
+
+  weeklyDataArray = resolvePageIdentities(weeklyDataArray);
   
   // Få unika sidor och veckor
   const uniquePages = [...new Set(weeklyDataArray.map(d => d.page.pageId))];
@@ -368,7 +490,7 @@ export function createPivotTable(weeklyDataArray, metric = 'engagements') {
       };
     }
     
-    pivotData[pageId].weeks[weekKey] = data.metrics[metric];
+    pivotData[pageId].weeks[weekKey] = getMetricValue(data, metric);
   });
   
   return {
@@ -378,3 +500,170 @@ export function createPivotTable(weeklyDataArray, metric = 'engagements') {
     metric
   };
 }
+
+/**
+ * Fördelar en vecka på perioder i vald kalender
+ * Delar med samma nyckel slås ihop (t.ex. två månader i samma kvartal)
+ * @param {WeeklyPageData} data - Veckodata
+ * @param {Object} calendar - Kalenderinställning
+ * @param {string} allocation - ALLOCATION_METHODS-värde
+ * @param {string} keyField - 'key' för månader, 'quarterKey' för kvartal
+ * @returns {Array<Object>} - [{period, values, days, weekShare}] där values är summerbara metrics
+ *   och weekShare den del av veckan som hamnar i perioden (1 för startdatum)
+ */
+function allocateWeek(data, calendar, allocation, keyField) {
+  const { startDate, endDate } = data.period;
+  const dayCount = data.period.getDayCount() || 7;
+  const summable = getSummableValues(data);
+
+  if (allocation !== ALLOCATION_METHODS.DAY_WEIGHTED) {
+    return [{
+      period: data.period.getCalendarPeriod(calendar),
+      values: summable,
+      days: dayCount,
+      weekShare: 1
+    }];
+  }
+
+  const parts = [];
+  splitDaysByCalendar(startDate, endDate, calendar).forEach(({ days, ...period }) => {
+    const existing = parts.find(part => part.period[keyField] === period[keyField]);
+    if (existing) {
+      existing.days += days;
+    } else {
+      parts.push({ period, days });
+    }
+  });
+
+  const days = parts.map(part => part.days);
+  const shares = Object.fromEntries(
+    Object.entries(summable).map(([key, value]) => [key, splitByDays(value, days)])
+  );
+
+  return parts.map((part, index) => ({
+    ...part,
+    values: Object.fromEntries(Object.keys(shares).map(key => [key, shares[key][index]])),
+    weekShare: part.days / dayCount
+  }));
+}
+
+/**
+ * Avrundar ett dagviktat antal veckor till två decimaler
+ * En vecka som korsar ett månadsskifte räknas med sin andel i varje månad
+ * @param {number} weekCount
+ * @returns {number}
+ */
+function roundWeekCount(weekCount) {
+  return Math.round(weekCount * 100) / 100;
+}
+
+/**
+ * Summerbara värden för en vecka: engagements plus summerbara extra och härledda metrics
+ * @param {WeeklyPageData} data
+ * @returns {Object} - {metricKey: värde}
+ */
+function getSummableValues(data) {
+  const values = {};
+
+  // Saknade engagements (null) fördelas inte som 0
+  if (typeof data.metrics.engagements === 'number') {
+    values.engagements = data.metrics.engagements;
+  }
+
+  getRegisteredCustomKeys(data).forEach(key => {
+    if (canSumMetric(key) && typeof data.metrics[key] === 'number') {
+      values[key] = data.metrics[key];
+    }
+  });
+
+  getDerivedMetrics().filter(canSumMetric).forEach(key => {
+    const value = getMetricValue(data, key);
+    if (typeof value === 'number') {
+      values[key] = value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Lägger ihop två uppsättningar summerbara värden
+ * @param {Object|undefined} total - Hittills summerat
+ * @param {Object} values - Värden att lägga till
+ * @returns {Object}
+ */
+function addValues(total = {}, values) {
+  const result = { ...total };
+  Object.entries(values).forEach(([key, value]) => {
+    result[key] = (result[key] || 0) + value;
+  });
+  return result;
+}
+
+/**
+ * Aggregerar registrerade extra och härledda metrics för en grupp veckor
+ * Summerbara summeras, icke-summerbara blir genomsnitt av ifyllda värden
+ * @param {Array<WeeklyPageData>} items
+ * @returns {Object} - {metricKey: värde}
+ */
+function aggregateCustomMetrics(items) {
+  const valuesByKey = {};
+
+  items.forEach(item => {
+    getRegisteredCustomKeys(item).forEach(key => {
+      const value = item.metrics[key];
+      if (typeof value !== 'number') return;
+
+      if (!valuesByKey[key]) valuesByKey[key] = [];
+      valuesByKey[key].push(value);
+    });
+  });
+
+  const custom = Object.fromEntries(Object.entries(valuesByKey).map(([key, values]) => {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return [key, canSumMetric(key) ? total : Math.round((total / values.length) * 100) / 100];
+  }));
+
+  return { ...custom, ...aggregateDerivedMetrics(items) };
+}
+
+/**
+ * Extra metrics på en rad som är registrerade (ej ignorerade)
+ * @param {WeeklyPageData} item
+ * @returns {Array<string>}
+ */
+function getRegisteredCustomKeys(item) {
+  const registered = getCustomMetrics();
+  return (item.metrics.getCustomMetricKeys?.() || []).filter(key => registered.includes(key));
+}
+
+/**
+ * Delar ett värde proportionellt mot antal dagar
+ * Heltal delas med största-rest-metoden: delarna är heltal och summerar alltid
+ * till ursprungsvärdet. Decimaltal delas exakt.
+ * @param {number} value - Värde att fördela (t.ex. engagements för veckan)
+ * @param {Array<number>} days - Antal dagar per del
+ * @returns {Array<number>}
+ */
+function splitByDays(value, days) {
+  const totalDays = days.reduce((sum, count) => sum + count, 0);
+  if (totalDays === 0) return days.map(() => 0);
+
+  const exact = days.map(count => (value * count) / totalDays);
+  if (!Number.isInteger(value)) return exact;
+
+  const shares = exact.map(Math.floor);
+  let remainder = value - shares.reduce((sum, share) => sum + share, 0);
+
+  exact
+    .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        shares[index]++;
+        remainder--;
+      }
+    });
+
+  return shares;
+}
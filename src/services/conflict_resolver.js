@@ -0,0 +1,202 @@
+/**
+ * Conflict Resolver
+ *
+ * Hanterar omuppladdning av veckor som redan finns (Facebook reviderar siffror):
+ * - Ersätt: den nya versionen ersätter hela veckan
+ * - Behåll: den befintliga veckan behålls, den nya ignoreras
+ * - Slå ihop: nya värden per sida skriver över, sidor som bara finns i
+ *   den befintliga versionen behålls
+ */
+
+/**
+ * Sätt att lösa en veckokonflikt
+ */
+export const CONFLICT_RESOLUTIONS = {
+  REPLACE: 'replace',
+  KEEP: 'keep',
+  MERGE: 'merge'
+};
+
+/**
+ * Typ av ändring per sida mellan befintlig och ny version
+ */
+export const PAGE_CHANGES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+/**
+ * Nyckel för en period i App-state
+ * @param {Object} period - {year, week}
+ * @returns {string} - T.ex. "2025_41"
+ */
+export function getPeriodEntryKey(period) {
+  return `${period.year}_${period.week}`;
+}
+
+/**
+ * Hittar uppladdade veckor som redan finns
+ * Flera nya poster för samma vecka slås först ihop per sida
+ * @param {Array<Object>} existingPeriods - Perioder i App-state
+ * @param {Array<Object>} newPeriods - Nyss uppladdade perioder
+ * @returns {Object} - {conflicts: [{key, year, week, existing, incoming, diff}], additions: Array<Object>}
+ */
+export function findPeriodConflicts(existingPeriods, newPeriods) {
+  const existingByKey = new Map(existingPeriods.map(period => [getPeriodEntryKey(period), period]));
+  const incomingByKey = new Map();
+
+  newPeriods.forEach(period => {
+    const key = getPeriodEntryKey(period);
+    const earlier = incomingByKey.get(key);
+    incomingByKey.set(key, earlier ? mergePeriodEntries(earlier, period) : period);
+  });
+
+  const conflicts = [];
+  const additions = [];
+
+  incomingByKey.forEach((incoming, key) => {
+    const existing = existingByKey.get(key);
+
+    if (!existing) {
+      additions.push(incoming);
+      return;
+    }
+
+    conflicts.push({
+      key,
+      year: incoming.year,
+      week: incoming.week,
+      existing,
+      incoming,
+      diff: diffPeriodPages(existing, incoming)
+    });
+  });
+
+  return { conflicts, additions };
+}
+
+/**
+ * Jämför reach och engagements per sida mellan två versioner av en vecka
+ * @param {Object} existing - Befintlig period
+ * @param {Object} incoming - Ny period
+ * @returns {Array<Object>} - [{pageId, pageName, change, before, after, reachDelta, engagementsDelta}]
+ */
+export function diffPeriodPages(existing, incoming) {
+  const before = indexByPage(existing.data);
+  const after = indexByPage(incoming.data);
+  const pageIds = [...new Set([...before.keys(), ...after.keys()])];
+
+  return pageIds
+    .map(pageId => {
+      const oldData = before.get(pageId) || null;
+      const newData = after.get(pageId) || null;
+      const oldMetrics = oldData ? pickMetrics(oldData) : null;
+      const newMetrics = newData ? pickMetrics(newData) : null;
+
+      let change = PAGE_CHANGES.UNCHANGED;
+      if (!oldData) {
+        change = PAGE_CHANGES.ADDED;
+      } else if (!newData) {
+        change = PAGE_CHANGES.REMOVED;
+      } else if (
+        oldMetrics.reach !== newMetrics.reach ||
+        oldMetrics.engagements !== newMetrics.engagements
+      ) {
+        change = PAGE_CHANGES.CHANGED;
+      }
+
+      return {
+        pageId,
+        pageName: (newData || oldData).page.pageName,
+        change,
+        before: oldMetrics,
+        after: newMetrics,
+        reachDelta: calculateDelta(oldMetrics?.reach, newMetrics?.reach),
+        engagementsDelta: calculateDelta(oldMetrics?.engagements, newMetrics?.engagements)
+      };
+    })
+    .sort((a, b) => a.pageName.localeCompare(b.pageName, 'sv'));
+}
+
+/**
+ * Slår ihop två versioner av samma vecka per sida
+ * Nya värden vinner; sidor som saknas i den nya versionen behålls
+ * @param {Object} existing - Befintlig period
+ * @param {Object} incoming - Ny period
+ * @returns {Object} - Sammanslagen period
+ */
+export function mergePeriodEntries(existing, incoming) {
+  const merged = indexByPage(existing.data);
+  incoming.data.forEach(item => merged.set(item.page.pageId, item));
+
+  const filenames = [...new Set([existing.filename, incoming.filename].filter(Boolean))];
+
+  return {
+    ...incoming,
+    filename: filenames.join(' + '),
+    data: [...merged.values()]
+  };
+}
+
+/**
+ * Tillämpar valda lösningar och returnerar nya perioder för App-state
+ * @param {Array<Object>} existingPeriods - Perioder i App-state
+ * @param {Object} uploadPlan - {conflicts, additions} från findPeriodConflicts
+ * @param {Object} resolutions - {periodKey: CONFLICT_RESOLUTIONS-värde}
+ * @returns {Array<Object>} - Perioder sorterade efter startDate
+ */
+export function applyConflictResolutions(existingPeriods, uploadPlan, resolutions = {}) {
+  const byKey = new Map(existingPeriods.map(period => [getPeriodEntryKey(period), period]));
+
+  uploadPlan.conflicts.forEach(conflict => {
+    const resolution = resolutions[conflict.key] || CONFLICT_RESOLUTIONS.KEEP;
+
+    if (resolution === CONFLICT_RESOLUTIONS.REPLACE) {
+      byKey.set(conflict.key, conflict.incoming);
+    } else if (resolution === CONFLICT_RESOLUTIONS.MERGE) {
+      byKey.set(conflict.key, mergePeriodEntries(conflict.existing, conflict.incoming));
+    }
+  });
+
+  uploadPlan.additions.forEach(period => {
+    byKey.set(getPeriodEntryKey(period), period);
+  });
+
+  // Sortera perioder efter startDate för korrekt ordning över årsskifte
+  return [...byKey.values()].sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Indexerar veckodata per sid-ID
+ * @param {Array<WeeklyPageData>} data
+ * @returns {Map<string, WeeklyPageData>}
+ */
+function indexByPage(data) {
+  return new Map(data.map(item => [item.page.pageId, item]));
+}
+
+/**
+ * @param {WeeklyPageData} item
+ * @returns {Object} - {reach, engagements}
+ */
+function pickMetrics(item) {
+  return {
+    reach: item.metrics.reach,
+    engagements: item.metrics.engagements
+  };
+}
+
+/**
+ * Differens mellan två värden (null om något saknas)
+ * @param {number|null|undefined} before
+ * @param {number|null|undefined} after
+ * @returns {number|null}
+ */
+function calculateDelta(before, after) {
+  if (before === null || before === undefined || after === null || after === undefined) {
+    return null;
+  }
+  return after - before;
+}
@@ -0,0 +1,351 @@
+/**
+ * Page Registry
+ *
+ * Sididentitet över tid: visningsnamn, namnbyten och sammanslagningar.
+ * - Visningsnamn: eget namn, annars det senast sedda page_name
+ * - Sammanslagning: flera page_id blir en logisk sida. Den sammanslagna sidans
+ *   data används för veckor som börjar före brytdatumet, därefter tar
+ *   målsidan över. Utan brytdatum används all data och målsidan vinner om
+ *   båda har samma vecka.
+ *
+ * Registret ligger på modulnivå (som METRIC_DEFINITIONS) och sparas i
+ * localStorage per arbetsyta, så att trendvyn och aggregeringarna ser samma sidor.
+ */
+
+import { Page, WeeklyPageData } from '../core/weekly_models.js';
+import { parseISODate, formatISODate } from '../utils/iso_week.js';
+import { getWorkspaceStorageKey } from '../utils/workspace_storage.js';
+
+const PAGE_REGISTRY_STORAGE_KEY = 'fb_page_registry';
+
+// {canonicalPageId: {pageId, displayName, merges: [{pageId, cutoverDate}]}}
+const registry = {};
+
+/**
+ * Hämtar en kopia av registret (för React-state)
+ * @returns {Object} - {pageId: {pageId, displayName, merges}}
+ */
+export function getPageRegistry() {
+  return JSON.parse(JSON.stringify(registry));
+}
+
+/**
+ * Logiskt sid-ID för ett page_id
+ * @param {string} pageId
+ * @param {Object} pageRegistry - Register att slå upp i (standard: modulens register)
+ * @returns {string} - Målsidans ID om sidan slagits ihop, annars pageId
+ */
+export function getCanonicalPageId(pageId, pageRegistry = registry) {
+  const id = String(pageId);
+  const owner = Object.values(pageRegistry).find(entry =>
+    entry.merges.some(merge => merge.pageId === id)
+  );
+  return owner ? owner.pageId : id;
+}
+
+/**
+ * Sätter visningsnamn för en (logisk) sida
+ * @param {string} pageId
+ * @param {string|null} displayName - Tomt namn återställer till senast sedda namn
+ * @returns {Object} - Uppdaterat register
+ */
+export function setPageDisplayName(pageId, displayName) {
+  const entry = getOrCreateEntry(getCanonicalPageId(pageId));
+  entry.displayName = displayName && displayName.trim() ? displayName.trim() : null;
+
+  removeEmptyEntry(entry.pageId);
+  savePageRegistry();
+  return getPageRegistry();
+}
+
+/**
+ * Slår ihop en sida med en annan
+ * @param {string} targetPageId - Sidan som finns kvar (t.ex. nytt page_id efter rebrand)
+ * @param {string} sourcePageId - Sidan som slås ihop (används före brytdatumet)
+ * @param {string|null} cutoverDate - YYYY-MM-DD, null för ingen brytpunkt
+ * @returns {Object} - {success, registry, errors}
+ */
+export function mergePages(targetPageId, sourcePageId, cutoverDate = null) {
+  const target = String(targetPageId);
+  const source = String(sourcePageId);
+  const errors = [];
+
+  if (target === source) {
+    errors.push('En sida kan inte slås ihop med sig själv');
+  }
+
+  if (getCanonicalPageId(target) !== target) {
+    errors.push(`Sida ${target} är redan sammanslagen med ${getCanonicalPageId(target)}`);
+  }
+
+  if (getCanonicalPageId(source) !== source) {
+    errors.push(`Sida ${source} är redan sammanslagen med ${getCanonicalPageId(source)}`);
+  }
+
+  const cutover = cutoverDate ? parseISODate(cutoverDate) : null;
+  if (cutoverDate && !cutover) {
+    errors.push(`Ogiltigt brytdatum "${cutoverDate}" (förväntat YYYY-MM-DD)`);
+  }
+
+  if (errors.length > 0) {
+    return { success: false, registry: getPageRegistry(), errors };
+  }
+
+  const entry = getOrCreateEntry(target);
+
+  // Sidor som redan slagits ihop med källan följer med till målsidan
+  const sourceEntry = registry[source];
+  if (sourceEntry) {
+    entry.merges.push(...sourceEntry.merges);
+    delete registry[source];
+  }
+
+  entry.merges.push({ pageId: source, cutoverDate: cutover ? formatISODate(cutover) : null });
+
+  savePageRegistry();
+  return { success: true, registry: getPageRegistry(), errors: [] };
+}
+
+/**
+ * Tar bort en sammanslagning, sidan blir en egen serie igen
+ * @param {string} sourcePageId
+ * @returns {Object} - Uppdaterat register
+ */
+export function unmergePage(sourcePageId) {
+  const source = String(sourcePageId);
+  const owner = registry[getCanonicalPageId(source)];
+
+  if (owner) {
+    owner.merges = owner.merges.filter(merge => merge.pageId !== source);
+    removeEmptyEntry(owner.pageId);
+    savePageRegistry();
+  }
+
+  return getPageRegistry();
+}
+
+/**
+ * Ersätter sidorna i veckodata med logiska sidor enligt registret
+ * Veckor utanför en sammanslagen sidas brytdatum tas bort, liksom dubbletter
+ * av samma logiska sida och vecka. Kan anropas flera gånger på samma data.
+ * @param {Array<WeeklyPageData>} weeklyDataArray
+ * @param {Object} pageRegistry - Register (standard: modulens register; React skickar sin state-kopia)
+ * @returns {Array<WeeklyPageData>} - Ny array i samma ordning
+ */
+export function resolvePageIdentities(weeklyDataArray, pageRegistry = registry) {
+  const items = weeklyDataArray || [];
+  const latestNames = getLatestNames(items, pageRegistry);
+  const kept = new Map();
+
+  items.forEach((item, index) => {
+    const sourceId = getSourcePageId(item);
+    const canonicalId = getCanonicalPageId(sourceId, pageRegistry);
+    const entry = pageRegistry[canonicalId];
+
+    if (entry && !isInCutoverWindow(entry, sourceId, item.period.startDate)) {
+      return;
+    }
+
+    // Samma logiska sida och vecka från två page_id: målsidan vinner
+    const key = `${canonicalId}_${item.period.getPeriodKey()}`;
+    const existing = kept.get(key);
+    if (existing && (getSourcePageId(existing.item) === canonicalId || sourceId !== canonicalId)) {
+      return;
+    }
+
+    kept.set(key, { item, index });
+  });
+
+  return Array.from(kept.values())
+    .sort((a, b) => a.index - b.index)
+    .map(({ item }) => {
+      const sourceId = getSourcePageId(item);
+      const canonicalId = getCanonicalPageId(sourceId, pageRegistry);
+      const page = new Page(
+        canonicalId,
+        pageRegistry[canonicalId]?.displayName || latestNames.get(canonicalId) || item.page.pageName
+      );
+      page.sourcePageId = sourceId;
+      page.sourcePageName = item.page.sourcePageName ?? item.page.pageName;
+
+      return new WeeklyPageData(page, item.period, item.metrics, item.status, item.comment);
+    });
+}
+
+/**
+ * Ersätter sidorna i uppladdade perioder (App-state) enligt registret
+ * Namn och brytdatum avgörs över alla perioder tillsammans
+ * @param {Array<Object>} uploadedPeriods - [{year, week, ..., data}]
+ * @param {Object} pageRegistry - Register (standard: modulens register)
+ * @returns {Array<Object>} - Perioder med logiska sidor
+ */
+export function resolveUploadedPeriods(uploadedPeriods, pageRegistry = registry) {
+  const periods = uploadedPeriods || [];
+  const resolved = resolvePageIdentities(periods.flatMap(period => period.data), pageRegistry);
+  const byPeriod = new Map();
+
+  resolved.forEach(item => {
+    const key = item.period.getPeriodKey();
+    if (!byPeriod.has(key)) byPeriod.set(key, []);
+    byPeriod.get(key).push(item);
+  });
+
+  return periods.map(period => ({
+    ...period,
+    data: byPeriod.get(`${period.year}_${period.week}`) || []
+  }));
+}
+
+/**
+ * Namnhistorik per logisk sida: varje page_id och page_name med första och sista vecka
+ * @param {Array<WeeklyPageData>} weeklyDataArray - Veckodata (före eller efter resolvePageIdentities)
+ * @returns {Object} - {canonicalPageId: [{pageId, pageName, firstDate, lastDate, firstWeek, lastWeek}]}
+ */
+export function getRenameHistory(weeklyDataArray) {
+  const history = {};
+
+  (weeklyDataArray || []).forEach(item => {
+    const sourceId = getSourcePageId(item);
+    const canonicalId = getCanonicalPageId(sourceId);
+    const name = item.page.sourcePageName ?? item.page.pageName;
+    const { startDate } = item.period;
+
+    if (!history[canonicalId]) history[canonicalId] = [];
+
+    let entry = history[canonicalId].find(existing =>
+      existing.pageId === sourceId && existing.pageName === name
+    );
+    if (!entry) {
+      entry = { pageId: sourceId, pageName: name, firstDate: startDate, lastDate: startDate, firstWeek: item.period, lastWeek: item.period };
+      history[canonicalId].push(entry);
+    }
+
+    if (startDate < entry.firstDate) {
+      entry.firstDate = startDate;
+      entry.firstWeek = item.period;
+    }
+    if (startDate > entry.lastDate) {
+      entry.lastDate = startDate;
+      entry.lastWeek = item.period;
+    }
+  });
+
+  Object.values(history).forEach(entries => {
+    entries.sort((a, b) => a.firstDate.localeCompare(b.firstDate));
+  });
+
+  return history;
+}
+
+/**
+ * Läser sparat register för aktiv arbetsyta från localStorage
+ * @returns {Object} - Inläst register
+ */
+export function loadPageRegistry() {
+  if (typeof localStorage === 'undefined') {
+    return getPageRegistry();
+  }
+
+  try {
+    const stored = localStorage.getItem(getWorkspaceStorageKey(PAGE_REGISTRY_STORAGE_KEY));
+    const saved = stored ? JSON.parse(stored) : {};
+
+    Object.keys(registry).forEach(key => delete registry[key]);
+    Object.values(saved).forEach(entry => {
+      registry[entry.pageId] = {
+        pageId: String(entry.pageId),
+        displayName: entry.displayName || null,
+        merges: (entry.merges || []).map(merge => ({
+          pageId: String(merge.pageId),
+          cutoverDate: merge.cutoverDate || null
+        }))
+      };
+    });
+  } catch (error) {
+    console.error('Kunde inte läsa sidregistret:', error);
+  }
+
+  return getPageRegistry();
+}
+
+/**
+ * Sparar registret till localStorage
+ * @returns {boolean} - True om lyckad lagring
+ */
+function savePageRegistry() {
+  try {
+    localStorage.setItem(getWorkspaceStorageKey(PAGE_REGISTRY_STORAGE_KEY), JSON.stringify(registry));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara sidregistret:', error);
+    return false;
+  }
+}
+
+function getOrCreateEntry(pageId) {
+  if (!registry[pageId]) {
+    registry[pageId] = { pageId, displayName: null, merges: [] };
+  }
+  return registry[pageId];
+}
+
+function removeEmptyEntry(pageId) {
+  const entry = registry[pageId];
+  if (entry && !entry.displayName && entry.merges.length === 0) {
+    delete registry[pageId];
+  }
+}
+
+/**
+ * Ursprungligt page_id, även för data som redan gått genom resolvePageIdentities
+ */
+function getSourcePageId(item) {
+  return item.page.sourcePageId ?? item.page.pageId;
+}
+
+/**
+ * Kontrollerar om en vecka från ett page_id ligger inom sidans tidsfönster
+ * Fönstren följer brytdatumen i ordning: äldsta sidan först, målsidan sist
+ * @param {Object} entry - Registerpost för den logiska sidan
+ * @param {string} sourcePageId - page_id i datan
+ * @param {string} startDate - Veckans startdatum (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isInCutoverWindow(entry, sourcePageId, startDate) {
+  const merge = entry.merges.find(existing => existing.pageId === sourcePageId);
+  if (merge && !merge.cutoverDate) {
+    return true;
+  }
+
+  const end = merge ? merge.cutoverDate : null;
+  const cutovers = entry.merges
+    .map(existing => existing.cutoverDate)
+    .filter(date => date && (end === null || date < end))
+    .sort();
+  const start = cutovers.length > 0 ? cutovers[cutovers.length - 1] : null;
+
+  return (start === null || startDate >= start) && (end === null || startDate < end);
+}
+
+/**
+ * Senast sedda page_name per logisk sida
+ */
+function getLatestNames(items, pageRegistry) {
+  const latest = new Map();
+
+  items.forEach(item => {
+    const canonicalId = getCanonicalPageId(getSourcePageId(item), pageRegistry);
+    const current = latest.get(canonicalId);
+    if (!current || item.period.startDate >= current.startDate) {
+      latest.set(canonicalId, {
+        startDate: item.period.startDate,
+        name: item.page.sourcePageName ?? item.page.pageName
+      });
+    }
+  });
+
+  return new Map(Array.from(latest.entries()).map(([id, { name }]) => [id, name]));
+}
+
+// Sparat register finns tillgängligt direkt när modulen laddas
+loadPageRegistry();
@@ -21,16 +21,22 @@ export function canSumReach() {
 
 /**
  * Beräknar korrekt genomsnittlig reach över flera veckor
- * @param {Array<number>} reachValues - Array med reach-värden per vecka
- * @returns {number} - Genomsnittlig reach (avrundat)
+ * Veckor utan reach (null, t.ex. dagsexporter) hoppas över – de räknas inte som 0
+ * @param {Array<number|null>} reachValues - Array med reach-värden per vecka
+ * @returns {number|null} - Genomsnittlig reach (avrundat), null om ingen vecka har reach
  */
 export function calculateAverageReach(reachValues) {
   if (!reachValues || reachValues.length === 0) {
     return 0;
   }
+
+  const measured = getMeasuredReach(reachValues);
+  if (measured.length === 0) {
+    return null;
+  }
   
-  const total = reachValues.reduce((sum, value) => sum + value, 0);
-  return Math.round(total / reachValues.length);
+  const total = measured.reduce((sum, value) => sum + value, 0);
+  return Math.round(total / measured.length);
 }
 
 /**
@@ -49,20 +55,32 @@ export function calculateAverageReachFromData(weeklyDataArray) {
 
 /**
  * Beräknar min/max reach (utan att summera)
- * @param {Array<number>} reachValues - Array med reach-värden
- * @returns {Object} - {min, max}
+ * @param {Array<number|null>} reachValues - Array med reach-värden
+ * @returns {Object} - {min, max}, null om ingen vecka har reach
  */
 export function findReachRange(reachValues) {
   if (!reachValues || reachValues.length === 0) {
     return { min: 0, max: 0 };
   }
+
+  const measured = getMeasuredReach(reachValues);
+  if (measured.length === 0) {
+    return { min: null, max: null };
+  }
   
   return {
-    min: Math.min(...reachValues),
-    max: Math.max(...reachValues)
+    min: Math.min(...measured),
+    max: Math.max(...measured)
   };
 }
 
+/**
+ * Reach-värden som finns (null = ingen veckoräckvidd i källan)
+ */
+function getMeasuredReach(reachValues) {
+  return reachValues.filter(value => typeof value === 'number' && !Number.isNaN(value));
+}
+
 /**
  * Validerar att användaren inte försöker summera reach felaktigt
  * @param {string} operation - Operation som försöks utföras
@@ -90,12 +108,14 @@ export function validateReachOperation(operation) {
 
 /**
  * Formaterar reach-värde för visning med varning
- * @param {number} reach - Reach-värde
+ * @param {number|null} reach - Reach-värde (null = saknas)
  * @param {boolean} isAggregated - Om värdet är aggregerat över flera veckor
  * @returns {Object} - {displayValue, warning}
  */
 export function formatReachForDisplay(reach, isAggregated = false) {
-  const displayValue = reach.toLocaleString('sv-SE');
+  const displayValue = reach === null || reach === undefined
+    ? 'Ingen reach'
+    : reach.toLocaleString('sv-SE');
   
   let warning = null;
   if (isAggregated) {
@@ -110,11 +130,15 @@ export function formatReachForDisplay(reach, isAggregated = false) {
 
 /**
  * Jämför reach mellan två veckor (korrekt sätt)
- * @param {number} week1Reach - Reach för vecka 1
- * @param {number} week2Reach - Reach för vecka 2
- * @returns {Object} - {difference, percentChange, interpretation}
+ * @param {number|null} week1Reach - Reach för vecka 1
+ * @param {number|null} week2Reach - Reach för vecka 2
+ * @returns {Object} - {difference, percentChange, interpretation} ('unknown' om reach saknas)
  */
 export function compareReachBetweenWeeks(week1Reach, week2Reach) {
+  if (getMeasuredReach([week1Reach, week2Reach]).length < 2) {
+    return { difference: null, percentChange: null, interpretation: 'unknown' };
+  }
+
   const difference = week2Reach - week1Reach;
   const percentChange = week1Reach > 0 
     ? Math.round((difference / week1Reach) * 100 * 10) / 10
@@ -180,7 +204,7 @@ export function groupReachByMonth(weeklyDataArray) {
   const monthlyGroups = {};
   
   weeklyDataArray.forEach(data => {
-    const monthKey = `${data.period.year}_${String(data.period.getMonthNumber()).padStart(2, '0')}`;
+    const monthKey = data.period.getMonthKey();
     
     if (!monthlyGroups[monthKey]) {
       monthlyGroups[monthKey] = [];
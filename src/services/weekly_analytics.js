@@ -3,15 +3,26 @@
  * 
  * Veckobaserad analys och trendberäkningar
  * Hanterar trend-beräkningar, week-over-week ändringar, statistik
+ *
+ * Veckor utan giltig mätning (NO_ACTIVITY, felstatus som utgånget token) är
+ * luckor, inte nollor. De utesluts ur statistiken om inte options.includeGaps
+ * anges, och redovisas i summarizeDataQuality.
  */
 
+import { getMeasuredData } from '../core/weekly_models.js';
+
 /**
  * Beräknar vecka-till-vecka förändring i procent
- * @param {number} currentValue - Nuvarande värde
- * @param {number} previousValue - Föregående värde
- * @returns {number} - Procentuell förändring (t.ex. 15.5 för +15.5%)
+ * @param {number|null} currentValue - Nuvarande värde
+ * @param {number|null} previousValue - Föregående värde
+ * @returns {number|null} - Procentuell förändring (t.ex. 15.5 för +15.5%), null om ett värde saknas
  */
 export function calculateWeekOverWeekChange(currentValue, previousValue) {
+  // Reach saknas i vissa källor (null) – då finns ingen förändring att räkna
+  if (!hasValue(currentValue) || !hasValue(previousValue)) {
+    return null;
+  }
+
   if (previousValue === 0) {
     return currentValue > 0 ? 100 : 0;
   }
@@ -59,15 +70,16 @@ export function calculateAverageTrend(values) {
 /**
  * Beräknar vecka-till-vecka trend för en sidas data
  * @param {Array<WeeklyPageData>} weeklyDataArray - Sorterad array med veckodata
+ * @param {Object} options - {includeGaps} för att ta med veckor utan giltig mätning
  * @returns {Array<Object>} - Array med trend-objekt per vecka
  */
-export function calculateWeekToWeekTrend(weeklyDataArray) {
+export function calculateWeekToWeekTrend(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return [];
   }
   
   // Sortera efter startDate för korrekt ordning över årsskifte
-  const sorted = [...weeklyDataArray].sort((a, b) => {
+  const sorted = getMeasuredData(weeklyDataArray, options).sort((a, b) => {
     return a.period.startDate.localeCompare(b.period.startDate);
   });
   
@@ -101,17 +113,21 @@ export function calculateWeekToWeekTrend(weeklyDataArray) {
  * Identifierar bästa och sämsta veckan för en metric
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
  * @param {string} metric - 'reach' eller 'engagements'
+ * @param {Object} options - {includeGaps}
  * @returns {Object} - {best, worst}
  */
-export function findBestAndWorstWeek(weeklyDataArray, metric = 'reach') {
-  if (!weeklyDataArray || weeklyDataArray.length === 0) {
+export function findBestAndWorstWeek(weeklyDataArray, metric = 'reach', options = {}) {
+  const measured = getMeasuredData(weeklyDataArray, options)
+    .filter(data => hasValue(data.metrics[metric]));
+
+  if (measured.length === 0) {
     return { best: null, worst: null };
   }
   
-  let best = weeklyDataArray[0];
-  let worst = weeklyDataArray[0];
+  let best = measured[0];
+  let worst = measured[0];
   
-  weeklyDataArray.forEach(data => {
+  measured.forEach(data => {
     const value = data.metrics[metric];
     
     if (value > best.metrics[metric]) {
@@ -130,14 +146,22 @@ export function findBestAndWorstWeek(weeklyDataArray, metric = 'reach') {
  * Beräknar grundstatistik för en metric över flera veckor
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
  * @param {string} metric - 'reach' eller 'engagements'
+ * @param {Object} options - {includeGaps}
  * @returns {Object} - {min, max, average, median, total}
  */
-export function calculateMetricStatistics(weeklyDataArray, metric = 'reach') {
-  if (!weeklyDataArray || weeklyDataArray.length === 0) {
+export function calculateMetricStatistics(weeklyDataArray, metric = 'reach', options = {}) {
+  const measured = getMeasuredData(weeklyDataArray, options);
+
+  if (measured.length === 0) {
     return { min: 0, max: 0, average: 0, median: 0, total: 0 };
   }
   
-  const values = weeklyDataArray.map(data => data.metrics[metric]);
+  // Veckor utan värde (t.ex. reach från dagsexporter) hoppas över
+  const values = measured.map(data => data.metrics[metric]).filter(hasValue);
+
+  if (values.length === 0) {
+    return { min: null, max: null, average: null, median: null, total: null };
+  }
   
   // Min och Max
   const min = Math.min(...values);
@@ -163,17 +187,18 @@ export function calculateMetricStatistics(weeklyDataArray, metric = 'reach') {
  * Jämför två perioder och beräknar skillnader
  * @param {Array<WeeklyPageData>} period1Data - Data för period 1
  * @param {Array<WeeklyPageData>} period2Data - Data för period 2
+ * @param {Object} options - {includeGaps}
  * @returns {Object} - Jämförelseresultat
  */
-export function comparePeriods(period1Data, period2Data) {
+export function comparePeriods(period1Data, period2Data, options = {}) {
   const period1Stats = {
-    reach: calculateMetricStatistics(period1Data, 'reach'),
-    engagements: calculateMetricStatistics(period1Data, 'engagements')
+    reach: calculateMetricStatistics(period1Data, 'reach', options),
+    engagements: calculateMetricStatistics(period1Data, 'engagements', options)
   };
   
   const period2Stats = {
-    reach: calculateMetricStatistics(period2Data, 'reach'),
-    engagements: calculateMetricStatistics(period2Data, 'engagements')
+    reach: calculateMetricStatistics(period2Data, 'reach', options),
+    engagements: calculateMetricStatistics(period2Data, 'engagements', options)
   };
   
   return {
@@ -194,14 +219,15 @@ export function comparePeriods(period1Data, period2Data) {
  * Rankar sidor baserat på en metric för en specifik vecka
  * @param {Array<WeeklyPageData>} weeklyDataArray - Data för en vecka
  * @param {string} metric - 'reach' eller 'engagements'
+ * @param {Object} options - {includeGaps}
  * @returns {Array<Object>} - Sorterad lista med ranking
  */
-export function rankPagesByMetric(weeklyDataArray, metric = 'engagements') {
+export function rankPagesByMetric(weeklyDataArray, metric = 'engagements', options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return [];
   }
   
-  return weeklyDataArray
+  return getMeasuredData(weeklyDataArray, options)
     .map((data, index) => ({
       rank: 0, // Fylls i nedan
       page: data.page,
@@ -220,13 +246,14 @@ export function rankPagesByMetric(weeklyDataArray, metric = 'engagements') {
  * @param {Object} dataByPage - Grupperad data per sida: {pageId: [WeeklyPageData]}
  * @param {string} metric - 'reach' eller 'engagements'
  * @param {number} minWeeks - Minsta antal veckor med tillväxt
+ * @param {Object} options - {includeGaps}
  * @returns {Array<Object>} - Sidor med konsekvent tillväxt
  */
-export function findConsistentGrowth(dataByPage, metric = 'engagements', minWeeks = 2) {
+export function findConsistentGrowth(dataByPage, metric = 'engagements', minWeeks = 2, options = {}) {
   const consistentGrowthPages = [];
   
   for (const pageId in dataByPage) {
-    const pageData = dataByPage[pageId];
+    const pageData = getMeasuredData(dataByPage[pageId], options);
     
     if (pageData.length < minWeeks + 1) {
       continue; // Behöver minst minWeeks + 1 datapunkter
@@ -269,14 +296,18 @@ export function findConsistentGrowth(dataByPage, metric = 'engagements', minWeek
  * Beräknar volatilitet (standardavvikelse) för en metric
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
  * @param {string} metric - 'reach' eller 'engagements'
+ * @param {Object} options - {includeGaps}
  * @returns {number} - Standardavvikelse
  */
-export function calculateVolatility(weeklyDataArray, metric = 'reach') {
-  if (!weeklyDataArray || weeklyDataArray.length < 2) {
+export function calculateVolatility(weeklyDataArray, metric = 'reach', options = {}) {
+  const values = getMeasuredData(weeklyDataArray, options)
+    .map(data => data.metrics[metric])
+    .filter(hasValue);
+
+  if (values.length < 2) {
     return 0;
   }
   
-  const values = weeklyDataArray.map(data => data.metrics[metric]);
   const average = values.reduce((sum, val) => sum + val, 0) / values.length;
   
   const squaredDifferences = values.map(val => Math.pow(val - average, 2));
@@ -289,34 +320,76 @@ export function calculateVolatility(weeklyDataArray, metric = 'reach') {
 /**
  * Genererar sammanfattning för en sidas prestanda över flera veckor
  * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata för en sida
+ * @param {Object} options - {includeGaps}
  * @returns {Object} - Sammanfattning med nyckelmetrics
  */
-export function generatePageSummary(weeklyDataArray) {
+export function generatePageSummary(weeklyDataArray, options = {}) {
   if (!weeklyDataArray || weeklyDataArray.length === 0) {
     return null;
   }
   
-  const reachStats = calculateMetricStatistics(weeklyDataArray, 'reach');
-  const engagementsStats = calculateMetricStatistics(weeklyDataArray, 'engagements');
-  const reachBestWorst = findBestAndWorstWeek(weeklyDataArray, 'reach');
-  const engagementsBestWorst = findBestAndWorstWeek(weeklyDataArray, 'engagements');
-  const trends = calculateWeekToWeekTrend(weeklyDataArray);
+  const reachStats = calculateMetricStatistics(weeklyDataArray, 'reach', options);
+  const engagementsStats = calculateMetricStatistics(weeklyDataArray, 'engagements', options);
+  const reachBestWorst = findBestAndWorstWeek(weeklyDataArray, 'reach', options);
+  const engagementsBestWorst = findBestAndWorstWeek(weeklyDataArray, 'engagements', options);
+  const trends = calculateWeekToWeekTrend(weeklyDataArray, options);
   
   return {
     page: weeklyDataArray[0].page,
     totalWeeks: weeklyDataArray.length,
+    gapWeeks: weeklyDataArray.filter(data => !data.isMeasured()).length,
     reach: {
       ...reachStats,
       bestWeek: reachBestWorst.best?.period,
       worstWeek: reachBestWorst.worst?.period,
-      volatility: calculateVolatility(weeklyDataArray, 'reach')
+      volatility: calculateVolatility(weeklyDataArray, 'reach', options)
     },
     engagements: {
       ...engagementsStats,
       bestWeek: engagementsBestWorst.best?.period,
       worstWeek: engagementsBestWorst.worst?.period,
-      volatility: calculateVolatility(weeklyDataArray, 'engagements')
+      volatility: calculateVolatility(weeklyDataArray, 'engagements', options)
     },
     trends
   };
 }
+
+/**
+ * Sammanfattar datakvaliteten: veckor utan giltig mätning per status och sida
+ * @param {Array<WeeklyPageData>} weeklyDataArray - Array med veckodata
+ * @returns {Object} - {totalWeeks, measuredWeeks, gapWeeks, byStatus: {status: antal}, pages: [{page, gaps: [{period, status}]}]}
+ */
+export function summarizeDataQuality(weeklyDataArray) {
+  const data = weeklyDataArray || [];
+  const gaps = data.filter(item => !item.isMeasured());
+  const byStatus = {};
+  const pages = new Map();
+
+  gaps.forEach(item => {
+    byStatus[item.status] = (byStatus[item.status] || 0) + 1;
+
+    if (!pages.has(item.page.pageId)) {
+      pages.set(item.page.pageId, { page: item.page, gaps: [] });
+    }
+    pages.get(item.page.pageId).gaps.push({ period: item.period, status: item.status });
+  });
+
+  pages.forEach(entry => {
+    entry.gaps.sort((a, b) => a.period.startDate.localeCompare(b.period.startDate));
+  });
+
+  return {
+    totalWeeks: data.length,
+    measuredWeeks: data.length - gaps.length,
+    gapWeeks: gaps.length,
+    byStatus,
+    pages: Array.from(pages.values()).sort((a, b) => b.gaps.length - a.gaps.length)
+  };
+}
+
+/**
+ * Kontrollerar att ett metric-värde finns (null = saknas i källan)
+ */
+function hasValue(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
@@ -0,0 +1,161 @@
+/**
+ * Backup & Restore
+ *
+ * Säkerhetskopia av veckorna i aktiv arbetsyta: exportAllData i ett
+ * versionerat kuvert. Vid återställning valideras varje vecka mot
+ * lagringsformatet och en plan visar vad som läggs till, skrivs över och
+ * lämnas orört innan något skrivs.
+ */
+
+import { STORAGE_VERSION } from './storage_migrations.js';
+import { getWeekKey, validateImportRecords } from './weekly_storage.js';
+
+const BACKUP_FORMAT = 'fb_weekly_backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Strategier för återställning
+ */
+export const RESTORE_STRATEGIES = {
+  MERGE: 'merge',         // Lägg till nya veckor och skriv över befintliga
+  ADD_ONLY: 'add_only',   // Lägg bara till veckor som saknas
+  REPLACE: 'replace'      // Ta bort allt och återställ säkerhetskopian
+};
+
+export const RESTORE_STRATEGY_LABELS = {
+  [RESTORE_STRATEGIES.MERGE]: 'Slå ihop – skriv över befintliga veckor',
+  [RESTORE_STRATEGIES.ADD_ONLY]: 'Lägg bara till saknade veckor',
+  [RESTORE_STRATEGIES.REPLACE]: 'Ersätt allt – ta bort veckor som inte finns i kopian'
+};
+
+/**
+ * Skapar en säkerhetskopia
+ * @param {string|null} weeksJson - Från exportAllData
+ * @param {string} workspaceName - Arbetsytans namn (informativt)
+ * @returns {string} - JSON-string
+ */
+export function createBackup(weeksJson, workspaceName) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    storageVersion: STORAGE_VERSION,
+    workspace: workspaceName,
+    exportedAt: new Date().toISOString(),
+    weeks: weeksJson ? JSON.parse(weeksJson) : {}
+  }, null, 2);
+}
+
+/**
+ * Läser och validerar en säkerhetskopia
+ * Äldre filer utan kuvert (ren exportAllData-JSON) godtas också.
+ * @param {string} jsonString
+ * @returns {Object} - {success, records, rejected: [{key, errors}], exportedAt, workspace, errors}
+ *   records: giltiga veckor {"fb_weekly_2025_41": post}
+ */
+export function parseBackup(jsonString) {
+  const failure = (errors) => ({
+    success: false,
+    records: {},
+    rejected: [],
+    exportedAt: null,
+    workspace: null,
+    errors
+  });
+
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return failure([`Filen är inte giltig JSON: ${error.message}`]);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return failure(['Filen är inte en säkerhetskopia']);
+  }
+
+  let weeks = data;
+  if (data.format === BACKUP_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+      return failure([`Säkerhetskopian har version ${data.version} (appen läser ${BACKUP_VERSION})`]);
+    }
+    weeks = data.weeks;
+  } else if (!Object.keys(data).every(key => key.startsWith('fb_weekly_'))) {
+    return failure(['Filen är inte en säkerhetskopia']);
+  }
+
+  const parsed = validateImportRecords(weeks);
+  if (parsed.errors.length > 0) {
+    return failure(parsed.errors);
+  }
+
+  if (Object.keys(parsed.records).length === 0 && parsed.rejected.length === 0) {
+    return failure(['Säkerhetskopian innehåller inga veckor']);
+  }
+
+  return {
+    success: true,
+    records: parsed.records,
+    rejected: parsed.rejected,
+    exportedAt: data.exportedAt || null,
+    workspace: data.workspace || null,
+    errors: []
+  };
+}
+
+/**
+ * Plan för en återställning
+ * @param {Object} records - Giltiga veckor från parseBackup
+ * @param {Array<Object>} storedWeeks - Från getAllStoredWeeks ({year, week})
+ * @param {string} strategy - RESTORE_STRATEGIES
+ * @returns {Object} - {strategy, added, overwritten, untouched, removed, records, clearFirst}
+ *   added/overwritten/untouched/removed: [{key, year, week}] sorterade på vecka
+ *   records: veckorna som ska skrivas (format som exportAllData)
+ */
+export function planRestore(records, storedWeeks, strategy = RESTORE_STRATEGIES.MERGE) {
+  const storedKeys = new Set(storedWeeks.map(({ year, week }) => getWeekKey(year, week)));
+  const backupWeeks = Object.values(records).map(record => toWeek(record.year, record.week));
+
+  const added = backupWeeks.filter(week => !storedKeys.has(week.key));
+  const existing = backupWeeks.filter(week => storedKeys.has(week.key));
+  const notInBackup = storedWeeks
+    .map(({ year, week }) => toWeek(year, week))
+    .filter(week => !records[week.key]);
+
+  const plan = {
+    strategy,
+    added: sortWeeks(added),
+    overwritten: [],
+    untouched: [],
+    removed: [],
+    records: {},
+    clearFirst: false
+  };
+
+  if (strategy === RESTORE_STRATEGIES.ADD_ONLY) {
+    plan.untouched = sortWeeks([...existing, ...notInBackup]);
+    plan.records = pickRecords(records, added);
+  } else if (strategy === RESTORE_STRATEGIES.REPLACE) {
+    plan.overwritten = sortWeeks(existing);
+    plan.removed = sortWeeks(notInBackup);
+    plan.records = { ...records };
+    plan.clearFirst = true;
+  } else {
+    plan.overwritten = sortWeeks(existing);
+    plan.untouched = sortWeeks(notInBackup);
+    plan.records = { ...records };
+  }
+
+  return plan;
+}
+
+function toWeek(year, week) {
+  return { key: getWeekKey(year, week), year, week };
+}
+
+function sortWeeks(weeks) {
+  return [...weeks].sort((a, b) => (a.year !== b.year ? a.year - b.year : a.week - b.week));
+}
+
+function pickRecords(records, weeks) {
+  return Object.fromEntries(weeks.map(week => [week.key, records[week.key]]));
+}
@@ -0,0 +1,113 @@
+/**
+ * Derived Metrics
+ *
+ * Beräknar härledda metrics per sida och vecka och vid aggregering.
+ *
+ * KRITISKT: Kvoter (regeln "recompute") räknas om från aggregerade komponenter
+ * i stället för att veckornas kvoter medelvärdesbildas. Komponenterna tas som
+ * genomsnitt över veckor där alla finns – för en kvot ger det samma resultat
+ * som summa/summa, och räckvidd summeras aldrig.
+ */
+
+import { evaluateFormula } from './formula_engine.js';
+import {
+  METRIC_DEFINITIONS,
+  DERIVED_AGGREGATIONS,
+  getDerivedMetrics
+} from './metric_categorizer.js';
+
+/**
+ * Hämtar en metrics värde för en sida och vecka, härledda metrics beräknas
+ * @param {WeeklyPageData} weeklyData
+ * @param {string} metricKey - Metric-nyckel
+ * @returns {number|null}
+ */
+export function getMetricValue(weeklyData, metricKey) {
+  const metric = METRIC_DEFINITIONS[metricKey];
+
+  if (!metric?.derived) {
+    return weeklyData.metrics[metricKey];
+  }
+
+  return roundValue(evaluateFormula(metric.ast, getComponentValues(weeklyData, metric.variables)));
+}
+
+/**
+ * Aggregerar en härledd metric över flera sid-veckor enligt dess regel
+ * @param {Array<WeeklyPageData>} items
+ * @param {string} metricKey - Metric-nyckel
+ * @returns {number|null} - null om inga veckor har alla komponenter
+ */
+export function aggregateDerivedMetric(items, metricKey) {
+  const metric = METRIC_DEFINITIONS[metricKey];
+
+  if (!metric?.derived) {
+    return null;
+  }
+
+  if (metric.aggregationMethod === DERIVED_AGGREGATIONS.RECOMPUTE) {
+    const complete = items
+      .map(item => getComponentValues(item, metric.variables))
+      .filter(values => metric.variables.every(variable => typeof values[variable] === 'number'));
+
+    if (complete.length === 0) {
+      return null;
+    }
+
+    const means = Object.fromEntries(metric.variables.map(variable => [
+      variable,
+      complete.reduce((sum, values) => sum + values[variable], 0) / complete.length
+    ]));
+
+    return roundValue(evaluateFormula(metric.ast, means));
+  }
+
+  const values = items
+    .map(item => getMetricValue(item, metricKey))
+    .filter(value => typeof value === 'number');
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  return roundValue(
+    metric.aggregationMethod === DERIVED_AGGREGATIONS.SUM ? total : total / values.length
+  );
+}
+
+/**
+ * Aggregerar alla härledda metrics vars komponenter finns i datan
+ * @param {Array<WeeklyPageData>} items
+ * @returns {Object} - {metricKey: värde}
+ */
+export function aggregateDerivedMetrics(items) {
+  return Object.fromEntries(
+    getDerivedMetrics()
+      .map(key => [key, aggregateDerivedMetric(items, key)])
+      .filter(([, value]) => value !== null)
+  );
+}
+
+/**
+ * Härledda metrics vars komponenter alla finns bland givna metric-nycklar
+ * @param {Array<string>} metricKeys - Tillgängliga metrics, t.ex. från getCustomMetricKeys
+ * @param {Array<string>} derivedKeys - Härledda metrics att välja bland (standard: alla registrerade;
+ *   React skickar sin state-kopia)
+ * @returns {Array<string>}
+ */
+export function getAvailableDerivedMetrics(metricKeys, derivedKeys = getDerivedMetrics()) {
+  return derivedKeys.filter(key =>
+    METRIC_DEFINITIONS[key]?.derived &&
+    METRIC_DEFINITIONS[key].variables.every(variable => metricKeys.includes(variable))
+  );
+}
+
+function getComponentValues(weeklyData, variables) {
+  return Object.fromEntries(variables.map(variable => [variable, weeklyData.metrics[variable]]));
+}
+
+function roundValue(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
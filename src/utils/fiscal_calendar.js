@@ -0,0 +1,374 @@
+/**
+ * Fiscal Calendar
+ *
+ * Valbar kalender för gruppering av veckor i månader och kvartal:
+ * - ISO: måndagsveckor, veckan hör till kalendermånaden för sitt startdatum
+ * - US: söndagsveckor, vecka 1 är veckan som innehåller 1 januari
+ * - Räkenskapsår: kalendermånader med valfri startmånad (t.ex. september)
+ * - Retail 4-4-5 / 4-5-4 / 5-4-4: 52/53 hela veckor per år, perioder om 4 eller 5 veckor
+ *
+ * Veckodatan är alltid ISO-veckor (måndag–söndag). Kalendern styr bara hur
+ * veckorna numreras och buckets – själva datan ändras aldrig.
+ */
+
+import {
+  DAY_MS,
+  MONTH_NAMES,
+  parseISODate,
+  formatISODate,
+  addDays,
+  getISODayOfWeek,
+  getISOWeekInfo,
+  getCalendarMonth,
+  getMonthKey,
+  getQuarter,
+  countDaysInclusive,
+  getDaysPerMonth
+} from './iso_week.js';
+import { getWorkspaceStorageKey } from './workspace_storage.js';
+
+// Sparas per arbetsyta
+const CALENDAR_STORAGE_KEY = 'fb_weekly_calendar';
+
+/**
+ * Kalendertyper
+ */
+export const CALENDAR_TYPES = {
+  ISO: 'iso',
+  US: 'us',
+  FISCAL: 'fiscal',
+  RETAIL: 'retail'
+};
+
+/**
+ * Veckor per period inom ett kvartal för retail-kalendrar
+ */
+export const RETAIL_PATTERNS = {
+  '4-4-5': [4, 4, 5],
+  '4-5-4': [4, 5, 4],
+  '5-4-4': [5, 4, 4]
+};
+
+export const DEFAULT_CALENDAR = {
+  type: CALENDAR_TYPES.ISO,
+  fiscalYearStartMonth: 1,
+  retailPattern: '4-4-5'
+};
+
+/**
+ * Val för kalenderinställningen
+ */
+export const CALENDAR_OPTIONS = [
+  {
+    value: CALENDAR_TYPES.ISO,
+    label: 'ISO (måndag–söndag)',
+    description: 'Veckan hör till kalendermånaden för sitt startdatum'
+  },
+  {
+    value: CALENDAR_TYPES.US,
+    label: 'US (söndag–lördag)',
+    description: 'Veckan börjar på söndag och vecka 1 innehåller 1 januari'
+  },
+  {
+    value: CALENDAR_TYPES.FISCAL,
+    label: 'Räkenskapsår',
+    description: 'Kalendermånader med valfri startmånad för året'
+  },
+  {
+    value: CALENDAR_TYPES.RETAIL,
+    label: 'Retail (4-4-5 / 4-5-4)',
+    description: 'Hela veckor per period, året börjar på måndagen närmast startmånadens första dag'
+  }
+];
+
+/**
+ * Fyller i standardvärden och rättar ogiltiga inställningar
+ * @param {Object} calendar - {type, fiscalYearStartMonth, retailPattern}
+ * @returns {Object} - Komplett kalenderinställning
+ */
+export function normalizeCalendar(calendar) {
+  const merged = { ...DEFAULT_CALENDAR, ...(calendar || {}) };
+  const startMonth = parseInt(merged.fiscalYearStartMonth, 10);
+
+  return {
+    type: Object.values(CALENDAR_TYPES).includes(merged.type) ? merged.type : DEFAULT_CALENDAR.type,
+    fiscalYearStartMonth: startMonth >= 1 && startMonth <= 12 ? startMonth : DEFAULT_CALENDAR.fiscalYearStartMonth,
+    retailPattern: RETAIL_PATTERNS[merged.retailPattern] ? merged.retailPattern : DEFAULT_CALENDAR.retailPattern
+  };
+}
+
+/**
+ * Beskrivning av kalenderinställningen för visning
+ * @param {Object} calendar - Kalenderinställning
+ * @returns {string} - T.ex. "Retail 4-4-5, start september"
+ */
+export function describeCalendar(calendar) {
+  const { type, fiscalYearStartMonth, retailPattern } = normalizeCalendar(calendar);
+  const startMonth = MONTH_NAMES[fiscalYearStartMonth - 1].toLowerCase();
+
+  switch (type) {
+    case CALENDAR_TYPES.US:
+      return 'US-veckor (söndag–lördag)';
+    case CALENDAR_TYPES.FISCAL:
+      return `Räkenskapsår, start ${startMonth}`;
+    case CALENDAR_TYPES.RETAIL:
+      return `Retail ${retailPattern}, start ${startMonth}`;
+    default:
+      return 'ISO-veckor och kalendermånader';
+  }
+}
+
+/**
+ * Placerar en ISO-vecka i vald kalender
+ * @param {string} startDate - Veckans startdatum (YYYY-MM-DD, måndag)
+ * @param {Object} calendar - Kalenderinställning
+ * @returns {Object|null} - {type, year, month, monthName, quarter, key, label,
+ *   quarterKey, quarterLabel, week, weekYear}; null om datumet är ogiltigt
+ */
+export function getCalendarPeriod(startDate, calendar = DEFAULT_CALENDAR) {
+  const date = parseISODate(startDate);
+  if (!date) return null;
+
+  const settings = normalizeCalendar(calendar);
+
+  switch (settings.type) {
+    case CALENDAR_TYPES.US:
+      return getUSPeriod(date);
+    case CALENDAR_TYPES.FISCAL:
+      return getFiscalPeriod(date, settings.fiscalYearStartMonth);
+    case CALENDAR_TYPES.RETAIL:
+      return getRetailPeriod(date, settings.fiscalYearStartMonth, RETAIL_PATTERNS[settings.retailPattern]);
+    default:
+      return getISOPeriod(date);
+  }
+}
+
+/**
+ * Fördelar dagarna i en period på månader i vald kalender
+ * En vecka som korsar ett månadsskifte ger två poster. Retailperioder består
+ * av hela veckor, så där hamnar alltid hela veckan i en period.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} calendar - Kalenderinställning
+ * @returns {Array<Object>} - [{...månad enligt getCalendarPeriod, days}] i datumordning
+ */
+export function splitDaysByCalendar(startDate, endDate, calendar = DEFAULT_CALENDAR) {
+  const settings = normalizeCalendar(calendar);
+
+  if (settings.type === CALENDAR_TYPES.RETAIL) {
+    const period = getCalendarPeriod(startDate, settings);
+    const days = countDaysInclusive(startDate, endDate);
+    return period && days ? [{ ...period, days }] : [];
+  }
+
+  return getDaysPerMonth(startDate, endDate).map(({ year, month, days }) => ({
+    ...getMonthPeriod(year, month, settings),
+    days
+  }));
+}
+
+/**
+ * Hämtar sparad kalenderinställning för aktiv arbetsyta
+ * @returns {Object} - Kalenderinställning (standard om ingen finns)
+ */
+export function loadCalendarSetting() {
+  try {
+    const stored = localStorage.getItem(getWorkspaceStorageKey(CALENDAR_STORAGE_KEY));
+    return normalizeCalendar(stored ? JSON.parse(stored) : null);
+  } catch (error) {
+    console.error('Kunde inte läsa kalenderinställning:', error);
+    return normalizeCalendar(null);
+  }
+}
+
+/**
+ * Sparar kalenderinställning för aktiv arbetsyta
+ * @param {Object} calendar - Kalenderinställning
+ * @returns {boolean} - True om lyckad lagring
+ */
+export function saveCalendarSetting(calendar) {
+  try {
+    localStorage.setItem(getWorkspaceStorageKey(CALENDAR_STORAGE_KEY), JSON.stringify(normalizeCalendar(calendar)));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara kalenderinställning:', error);
+    return false;
+  }
+}
+
+/**
+ * ISO: kalendermånad för startdatumet, ISO-veckonummer
+ */
+function getISOPeriod(date) {
+  const { year, month, quarter, monthName, key } = getCalendarMonth(formatISODate(date));
+  const isoWeek = getISOWeekInfo(date);
+
+  return {
+    type: CALENDAR_TYPES.ISO,
+    year,
+    month,
+    monthName,
+    quarter,
+    key,
+    label: `${monthName} ${year}`,
+    quarterKey: `${year}_Q${quarter}`,
+    quarterLabel: `Q${quarter} ${year}`,
+    week: isoWeek.week,
+    weekYear: isoWeek.year
+  };
+}
+
+/**
+ * US: veckan börjar söndagen före ISO-veckans måndag
+ * Vecka 1 är veckan som innehåller 1 januari, dvs. året bestäms av lördagen
+ */
+function getUSPeriod(date) {
+  const sunday = addDays(date, -date.getUTCDay());
+  const saturday = addDays(sunday, 6);
+  const weekYear = saturday.getUTCFullYear();
+  const week = Math.floor((saturday.getTime() - Date.UTC(weekYear, 0, 1)) / (7 * DAY_MS)) + 1;
+  const { year, month, quarter, monthName, key } = getCalendarMonth(formatISODate(sunday));
+
+  return {
+    type: CALENDAR_TYPES.US,
+    year,
+    month,
+    monthName,
+    quarter,
+    key,
+    label: `${monthName} ${year}`,
+    quarterKey: `${year}_Q${quarter}`,
+    quarterLabel: `Q${quarter} ${year}`,
+    week,
+    weekYear
+  };
+}
+
+/**
+ * Räkenskapsår med kalendermånader
+ * Veckan hör till månaden för sitt startdatum; veckonumret räknas från
+ * första måndagen i räkenskapsåret
+ */
+function getFiscalPeriod(date, startMonth) {
+  const monday = getMonday(date);
+  const { year: calendarYear, month } = getCalendarMonth(formatISODate(monday));
+  const startYear = month >= startMonth ? calendarYear : calendarYear - 1;
+
+  const yearStart = new Date(Date.UTC(startYear, startMonth - 1, 1));
+  const firstMonday = addDays(yearStart, (8 - getISODayOfWeek(yearStart)) % 7);
+  const week = Math.floor((monday.getTime() - firstMonday.getTime()) / (7 * DAY_MS)) + 1;
+
+  return getFiscalMonthPeriod(calendarYear, month, startMonth, week);
+}
+
+/**
+ * Räkenskapsmånad för en kalendermånad
+ */
+function getFiscalMonthPeriod(calendarYear, month, startMonth, week) {
+  const startYear = month >= startMonth ? calendarYear : calendarYear - 1;
+  const fiscalMonth = ((month - startMonth + 12) % 12) + 1;
+
+  return buildFiscalPeriod(CALENDAR_TYPES.FISCAL, startYear, startMonth, fiscalMonth, week);
+}
+
+/**
+ * Månad i vald kalender för en hel kalendermånad (utan veckonummer)
+ * Används vid dagviktad fördelning för ISO, US och räkenskapsår
+ */
+function getMonthPeriod(year, month, settings) {
+  if (settings.type === CALENDAR_TYPES.FISCAL) {
+    return getFiscalMonthPeriod(year, month, settings.fiscalYearStartMonth, null);
+  }
+
+  const quarter = getQuarter(month);
+  const monthName = MONTH_NAMES[month - 1];
+
+  return {
+    type: settings.type,
+    year,
+    month,
+    monthName,
+    quarter,
+    key: getMonthKey(year, month),
+    label: `${monthName} ${year}`,
+    quarterKey: `${year}_Q${quarter}`,
+    quarterLabel: `Q${quarter} ${year}`,
+    week: null,
+    weekYear: null
+  };
+}
+
+/**
+ * Retail 4-4-5 (eller 4-5-4, 5-4-4)
+ * Året börjar på måndagen närmast startmånadens första dag och består av
+ * 52 eller 53 hela veckor. Vecka 53 läggs i årets sista period.
+ */
+function getRetailPeriod(date, startMonth, pattern) {
+  const monday = getMonday(date);
+  let startYear = monday.getUTCFullYear();
+
+  if (monday < getRetailYearStart(startYear, startMonth)) {
+    startYear--;
+  } else if (monday >= getRetailYearStart(startYear + 1, startMonth)) {
+    startYear++;
+  }
+
+  const weekIndex = Math.round(
+    (monday.getTime() - getRetailYearStart(startYear, startMonth).getTime()) / (7 * DAY_MS)
+  );
+
+  const quarterIndex = Math.min(Math.floor(weekIndex / 13), 3);
+  const weekInQuarter = weekIndex - quarterIndex * 13;
+  let monthInQuarter = 0;
+  let boundary = pattern[0];
+
+  while (monthInQuarter < 2 && weekInQuarter >= boundary) {
+    monthInQuarter++;
+    boundary += pattern[monthInQuarter];
+  }
+
+  const fiscalMonth = quarterIndex * 3 + monthInQuarter + 1;
+
+  return buildFiscalPeriod(CALENDAR_TYPES.RETAIL, startYear, startMonth, fiscalMonth, weekIndex + 1);
+}
+
+/**
+ * Gemensam form för räkenskapsperioder
+ * Räkenskapsåret namnges efter kalenderåret det slutar i (FY2026 = sep 2025 – aug 2026)
+ */
+function buildFiscalPeriod(type, startYear, startMonth, fiscalMonth, week) {
+  const fiscalYear = startMonth === 1 ? startYear : startYear + 1;
+  const quarter = getQuarter(fiscalMonth);
+  const monthName = MONTH_NAMES[(startMonth - 1 + fiscalMonth - 1) % 12];
+  const period = String(fiscalMonth).padStart(2, '0');
+
+  return {
+    type,
+    year: fiscalYear,
+    month: fiscalMonth,
+    monthName,
+    quarter,
+    key: `FY${fiscalYear}_P${period}`,
+    label: `P${fiscalMonth} ${monthName} FY${fiscalYear}`,
+    quarterKey: `FY${fiscalYear}_Q${quarter}`,
+    quarterLabel: `Q${quarter} FY${fiscalYear}`,
+    week,
+    weekYear: fiscalYear
+  };
+}
+
+/**
+ * Måndagen närmast den första dagen i startmånaden
+ */
+function getRetailYearStart(year, startMonth) {
+  const first = new Date(Date.UTC(year, startMonth - 1, 1));
+  const dayOfWeek = getISODayOfWeek(first);
+  return addDays(first, dayOfWeek <= 4 ? 1 - dayOfWeek : 8 - dayOfWeek);
+}
+
+/**
+ * Måndagen i datumets ISO-vecka
+ */
+function getMonday(date) {
+  return addDays(date, 1 - getISODayOfWeek(date));
+}
@@ -0,0 +1,221 @@
+/**
+ * Formula Engine
+ *
+ * Säker tolkning av formler för härledda metrics, t.ex. "engagements / reach * 100"
+ * Formeln parsas till ett syntaxträd – inget eval eller Function används.
+ *
+ * Tillåtet: tal, metric-namn, + - * /, parenteser och unärt minus
+ */
+
+const MAX_FORMULA_LENGTH = 200;
+
+/**
+ * Parsar en formel till ett syntaxträd
+ * @param {string} formula - T.ex. "engagements / reach * 100"
+ * @returns {Object} - {success, ast, variables, errors} där variables är metric-namn i formeln
+ */
+export function parseFormula(formula) {
+  const text = String(formula ?? '').trim();
+
+  if (text === '') {
+    return { success: false, ast: null, variables: [], errors: ['Formeln är tom'] };
+  }
+
+  if (text.length > MAX_FORMULA_LENGTH) {
+    return {
+      success: false,
+      ast: null,
+      variables: [],
+      errors: [`Formeln är för lång (max ${MAX_FORMULA_LENGTH} tecken)`]
+    };
+  }
+
+  try {
+    const parser = createParser(tokenize(text));
+    const ast = parser.parseExpression();
+    parser.expectEnd();
+
+    return { success: true, ast, variables: collectVariables(ast), errors: [] };
+  } catch (error) {
+    return { success: false, ast: null, variables: [], errors: [error.message] };
+  }
+}
+
+/**
+ * Beräknar ett syntaxträd med givna värden
+ * @param {Object} ast - Syntaxträd från parseFormula
+ * @param {Object} values - {metricNamn: tal}
+ * @returns {number|null} - null om ett värde saknas, vid division med noll eller ogiltigt resultat
+ */
+export function evaluateFormula(ast, values) {
+  const result = evaluateNode(ast, values);
+  return typeof result === 'number' && Number.isFinite(result) ? result : null;
+}
+
+/**
+ * Delar upp formeln i tokens
+ * @param {string} text
+ * @returns {Array<Object>} - [{type, value, position}]
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(text.slice(position));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(text.slice(position));
+    if (identifier) {
+      tokens.push({ type: 'variable', value: identifier[0].toLowerCase(), position });
+      position += identifier[0].length;
+      continue;
+    }
+
+    if ('+-*/()'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position });
+      position++;
+      continue;
+    }
+
+    throw new Error(`Otillåtet tecken "${char}" på position ${position + 1}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Rekursiv parser: uttryck → term (+|- term)*, term → faktor (*|/ faktor)*
+ */
+function createParser(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+
+  const parseExpression = () => {
+    let node = parseTerm();
+
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseTerm() };
+    }
+
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseFactor();
+
+    while (isOperator('*') || isOperator('/')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseFactor() };
+    }
+
+    return node;
+  };
+
+  const parseFactor = () => {
+    const token = peek();
+
+    if (!token) {
+      throw new Error('Formeln slutar oväntat');
+    }
+
+    if (isOperator('-') || isOperator('+')) {
+      index++;
+      const operand = parseFactor();
+      return token.value === '-' ? { type: 'unary', operator: '-', operand } : operand;
+    }
+
+    if (isOperator('(')) {
+      index++;
+      const node = parseExpression();
+
+      if (!isOperator(')')) {
+        throw new Error('Avslutande parentes saknas');
+      }
+
+      index++;
+      return node;
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'variable') {
+      index++;
+      return { type: 'variable', name: token.value };
+    }
+
+    throw new Error(`Oväntat "${token.value}" på position ${token.position + 1}`);
+  };
+
+  const expectEnd = () => {
+    const token = peek();
+    if (token) {
+      throw new Error(`Oväntat "${token.value}" på position ${token.position + 1}`);
+    }
+  };
+
+  return { parseExpression, expectEnd };
+}
+
+/**
+ * Metric-namn som används i formeln, i förekomstordning
+ */
+function collectVariables(ast, variables = []) {
+  if (ast.type === 'variable' && !variables.includes(ast.name)) {
+    variables.push(ast.name);
+  } else if (ast.type === 'unary') {
+    collectVariables(ast.operand, variables);
+  } else if (ast.type === 'binary') {
+    collectVariables(ast.left, variables);
+    collectVariables(ast.right, variables);
+  }
+
+  return variables;
+}
+
+function evaluateNode(node, values) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+
+    case 'variable': {
+      const value = values[node.name];
+      return typeof value === 'number' ? value : null;
+    }
+
+    case 'unary': {
+      const operand = evaluateNode(node.operand, values);
+      return operand === null ? null : -operand;
+    }
+
+    default: {
+      const left = evaluateNode(node.left, values);
+      const right = evaluateNode(node.right, values);
+      if (left === null || right === null) return null;
+
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return right === 0 ? null : left / right;
+      }
+    }
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * IndexedDB Storage
+ *
+ * Lagring av uppladdade veckor i IndexedDB med samma funktioner som
+ * weekly_storage.js, men asynkrona (alla returnerar Promise).
+ *
+ * localStorage räcker inte för två år × 72 sidor plus extra metrics.
+ * IndexedDB har en kvot som beror på diskutrymmet – verklig användning
+ * rapporteras via navigator.storage.estimate().
+ *
+ * Vid första körningen flyttas befintliga fb_weekly_*-veckor från
+ * localStorage hit. Saknas IndexedDB används localStorage som tidigare.
+ * Poster uppgraderas vid inläsning på samma sätt som i weekly_storage.js.
+ *
+ * Varje arbetsyta har en egen databas ("fb_weekly_trend@ws_abc"); funktionerna
+ * arbetar i aktiv arbetsyta.
+ */
+
+import * as localWeeklyStorage from './weekly_storage.js';
+import { migrateRecord } from './storage_migrations.js';
+import { getWorkspaceStorageKey, getActiveWorkspaceId } from './workspace_storage.js';
+
+const DB_NAME = 'fb_weekly_trend';
+const DB_VERSION = 1;
+const WEEKS_STORE = 'weeks';
+const META_STORE = 'meta';
+const MIGRATION_KEY = 'localStorageMigrated';
+
+// Öppna databaser per databasnamn (en per arbetsyta)
+const databasePromises = new Map();
+
+/**
+ * Sparar veckodata
+ * @param {number} year - År
+ * @param {number} week - Vecka
+ * @param {Object} data - Data att spara
+ * @returns {Promise<boolean>} - True om lyckad lagring
+ */
+export async function saveWeekData(year, week, data) {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.saveWeekData(year, week, data);
+  }
+
+  try {
+    await runTransaction(WEEKS_STORE, 'readwrite', store => store.put({
+      key: getRecordKey(year, week),
+      version: localWeeklyStorage.STORAGE_VERSION,
+      timestamp: new Date().toISOString(),
+      year,
+      week,
+      // Samma form som i localStorage: klassinstanser sparas som ren JSON
+      data: JSON.parse(JSON.stringify(data))
+    }));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara veckodata:', error);
+    return false;
+  }
+}
+
+/**
+ * Hämtar veckodata, uppgraderad till aktuell version
+ * @param {number} year - År
+ * @param {number} week - Vecka
+ * @returns {Promise<Object|null>} - Sparad data eller null (även om den inte kan migreras)
+ */
+export async function loadWeekData(year, week) {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.loadWeekData(year, week);
+  }
+
+  try {
+    const record = await runTransaction(WEEKS_STORE, 'readonly', store => store.get(getRecordKey(year, week)));
+    if (!record) {
+      return null;
+    }
+
+    const migration = migrateRecord(record);
+    if (!migration.success) {
+      console.error(`Kunde inte läsa vecka ${week} ${year}:`, migration.errors.join('; '));
+      return null;
+    }
+
+    return migration.record.data;
+  } catch (error) {
+    console.error('Kunde inte läsa veckodata:', error);
+    return null;
+  }
+}
+
+/**
+ * Tar bort veckodata
+ * @param {number} year - År
+ * @param {number} week - Vecka
+ * @returns {Promise<boolean>} - True om borttagen
+ */
+export async function removeWeekData(year, week) {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.removeWeekData(year, week);
+  }
+
+  try {
+    await runTransaction(WEEKS_STORE, 'readwrite', store => store.delete(getRecordKey(year, week)));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte ta bort veckodata:', error);
+    return false;
+  }
+}
+
+/**
+ * Hämtar alla sparade veckor
+ * @returns {Promise<Array<Object>>} - Lista med {year, week, version, timestamp, filename, pageCount}
+ */
+export async function getAllStoredWeeks() {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.getAllStoredWeeks();
+  }
+
+  try {
+    const records = await getAllRecords();
+
+    return records
+      .map(record => ({
+        year: record.year,
+        week: record.week,
+        version: record.version || null,
+        timestamp: record.timestamp,
+        filename: record.data?.filename || null,
+        pageCount: record.data?.data?.length || 0
+      }))
+      .sort((a, b) => {
+        if (a.year !== b.year) return a.year - b.year;
+        return a.week - b.week;
+      });
+  } catch (error) {
+    console.error('Kunde inte hämta sparade veckor:', error);
+    return [];
+  }
+}
+
+/**
+ * Rensar all veckodata
+ * @returns {Promise<boolean>} - True om lyckad rensning
+ */
+export async function clearAllWeekData() {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.clearAllWeekData();
+  }
+
+  try {
+    await runTransaction(WEEKS_STORE, 'readwrite', store => store.clear());
+    return true;
+  } catch (error) {
+    console.error('Kunde inte rensa veckodata:', error);
+    return false;
+  }
+}
+
+/**
+ * Verklig lagringsanvändning och kvot för sidans ursprung
+ * @returns {Promise<Object>} - {used, available, percentage, quota} i byte
+ */
+export async function checkStorageSpace() {
+  if (!hasIndexedDB() || typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+    const local = localWeeklyStorage.checkStorageSpace();
+    return { ...local, quota: local.used + local.available };
+  }
+
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+
+    return {
+      used: usage,
+      available: Math.max(quota - usage, 0),
+      percentage: quota > 0 ? Math.round((usage / quota) * 100) : 0,
+      quota
+    };
+  } catch (error) {
+    console.error('Kunde inte kontrollera lagringsutrymme:', error);
+    return { used: 0, available: 0, percentage: 0, quota: 0 };
+  }
+}
+
+/**
+ * Exporterar all veckodata som JSON (samma format som weekly_storage)
+ * @returns {Promise<string|null>} - JSON-string med all data
+ */
+export async function exportAllData() {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.exportAllData();
+  }
+
+  try {
+    const records = await getAllRecords();
+    const allData = Object.fromEntries(records.map(({ key, ...record }) => [
+      localWeeklyStorage.getWeekKey(record.year, record.week),
+      record
+    ]));
+
+    return JSON.stringify(allData, null, 2);
+  } catch (error) {
+    console.error('Kunde inte exportera data:', error);
+    return null;
+  }
+}
+
+/**
+ * Importerar veckodata från JSON (samma format som exportAllData)
+ * Varje vecka valideras; ogiltiga veckor skrivs inte. Rensning och skrivning
+ * sker i en transaktion, så ett fel lämnar de sparade veckorna orörda.
+ * @param {string} jsonString - JSON-string att importera
+ * @param {Object} options - {replace} för att ta bort alla sparade veckor först
+ * @returns {Promise<Object>} - {success, imported, rejected: [{key, errors}], errors}
+ */
+export async function importData(jsonString, options = {}) {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.importData(jsonString, options);
+  }
+
+  const { records, rejected, errors } = localWeeklyStorage.parseImportData(jsonString);
+
+  if (errors.length > 0) {
+    console.error('Kunde inte importera data:', errors.join('; '));
+    return { success: false, imported: [], rejected, errors };
+  }
+
+  try {
+    await runTransaction(WEEKS_STORE, 'readwrite', store => {
+      if (options.replace) {
+        store.clear();
+      }
+      Object.values(records).forEach(record => store.put({
+        ...record,
+        key: getRecordKey(record.year, record.week)
+      }));
+    });
+  } catch (error) {
+    console.error('Kunde inte importera data:', error);
+    return { success: false, imported: [], rejected, errors: [`Kunde inte spara: ${error.message}`] };
+  }
+
+  return { success: rejected.length === 0, imported: Object.keys(records), rejected, errors: [] };
+}
+
+/**
+ * Läser alla sparade veckor som perioder för App-state
+ * Äldre poster uppgraderas och skrivs tillbaka, poster som inte kan
+ * migreras lämnas orörda och redovisas i failed
+ * @returns {Promise<Object>} - {periods, migrated, failed} (se weekly_storage.loadStoredPeriods)
+ */
+export async function loadStoredPeriods() {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.loadStoredPeriods();
+  }
+
+  const result = { periods: [], migrated: [], failed: [] };
+
+  try {
+    const records = await getAllRecords();
+    const upgraded = [];
+
+    records
+      .sort((a, b) => (a.year !== b.year ? a.year - b.year : a.week - b.week))
+      .forEach(record => {
+        const read = localWeeklyStorage.readStoredRecord(record);
+
+        if (!read.success) {
+          console.error(`Kunde inte läsa vecka ${record.week} ${record.year}:`, read.errors.join('; '));
+          result.failed.push({
+            key: record.key,
+            year: record.year,
+            week: record.week,
+            version: read.fromVersion,
+            errors: read.errors
+          });
+          return;
+        }
+
+        if (read.migrated) {
+          upgraded.push(read.record);
+        }
+        result.periods.push(read.period);
+      });
+
+    if (upgraded.length > 0) {
+      try {
+        await runTransaction(WEEKS_STORE, 'readwrite', store => {
+          upgraded.forEach(record => store.put(record));
+        });
+        result.migrated = upgraded.map(record => record.key);
+      } catch (error) {
+        console.error('Kunde inte spara migrerad veckodata:', error);
+      }
+    }
+  } catch (error) {
+    console.error('Kunde inte läsa sparade veckor:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Synkar lagringen mot App-state
+ * Perioder som ändrats sedan förra synken sparas, perioder som tagits bort
+ * sedan förra synken tas bort. Övriga sparade veckor lämnas orörda.
+ * @param {Array<Object>} periods - Aktuella perioder
+ * @param {Array<Object>} previousPeriods - Perioder vid förra synken
+ * @returns {Promise<Object>} - {saved, removed, failed} med periodnycklar ("2025_41")
+ */
+export async function syncStoredPeriods(periods, previousPeriods = []) {
+  if (!hasIndexedDB()) {
+    return localWeeklyStorage.syncStoredPeriods(periods, previousPeriods);
+  }
+
+  const result = { saved: [], removed: [], failed: [] };
+
+  for (const entry of periods.filter(period => !previousPeriods.includes(period))) {
+    const key = getRecordKey(entry.year, entry.week);
+    (await saveWeekData(entry.year, entry.week, entry) ? result.saved : result.failed).push(key);
+  }
+
+  for (const { year, week } of localWeeklyStorage.getRemovedPeriods(periods, previousPeriods)) {
+    if (await removeWeekData(year, week)) {
+      result.removed.push(getRecordKey(year, week));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Tar bort en arbetsytas databas
+ * Anropas efter workspace_storage.removeWorkspace, som tar bort arbetsytans
+ * nycklar i localStorage (även veckor när IndexedDB saknas)
+ * @param {string} workspaceId
+ * @returns {Promise<boolean>} - True om borttagen
+ */
+export async function deleteWorkspaceData(workspaceId) {
+  if (!hasIndexedDB()) {
+    return true;
+  }
+
+  const name = getWorkspaceStorageKey(DB_NAME, workspaceId);
+
+  try {
+    const open = databasePromises.get(name);
+    databasePromises.delete(name);
+    if (open) {
+      (await open).close();
+    }
+  } catch (error) {
+    // Databasen gick inte att öppna – inget att stänga
+  }
+
+  return new Promise(resolve => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => {
+      console.error('Kunde inte ta bort arbetsytans databas:', request.error);
+      resolve(false);
+    };
+  });
+}
+
+function hasIndexedDB() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function getRecordKey(year, week) {
+  return `${year}_${week}`;
+}
+
+function getAllRecords() {
+  return runTransaction(WEEKS_STORE, 'readonly', store => store.getAll());
+}
+
+/**
+ * Öppnar aktiv arbetsytas databas en gång och flyttar äldre localStorage-data vid behov
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  const name = getWorkspaceStorageKey(DB_NAME, getActiveWorkspaceId());
+
+  if (!databasePromises.has(name)) {
+    databasePromises.set(name, new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(WEEKS_STORE)) {
+          db.createObjectStore(WEEKS_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })
+      .then(async db => {
+        await migrateFromLocalStorage(db);
+        return db;
+      })
+      .catch(error => {
+        // Nytt försök vid nästa anrop
+        databasePromises.delete(name);
+        throw error;
+      }));
+  }
+
+  return databasePromises.get(name);
+}
+
+/**
+ * Kör en operation i en transaktion och väntar tills den är klar
+ * @param {string} storeName
+ * @param {string} mode - 'readonly' eller 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest|void
+ * @returns {Promise<any>} - Resultatet av operationens request
+ */
+async function runTransaction(storeName, mode, operation) {
+  const db = await openDatabase();
+  return transact(db, storeName, mode, operation);
+}
+
+function transact(db, storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let request;
+
+    try {
+      request = operation(transaction.objectStore(storeName));
+    } catch (error) {
+      // Inget av operationens skrivningar får bli kvar
+      transaction.abort();
+      reject(error);
+      return;
+    }
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Flyttar arbetsytans fb_weekly_*-veckor från localStorage till IndexedDB (en gång)
+ * localStorage töms först när veckorna finns i IndexedDB
+ * @param {IDBDatabase} db
+ */
+async function migrateFromLocalStorage(db) {
+  const migrated = await transact(db, META_STORE, 'readonly', store => store.get(MIGRATION_KEY));
+  if (migrated || typeof localStorage === 'undefined') {
+    return;
+  }
+
+  const exported = localWeeklyStorage.exportAllData();
+  const records = Object.values(exported ? JSON.parse(exported) : {})
+    .map(record => ({ ...record, key: getRecordKey(record.year, record.week) }));
+
+  await transact(db, WEEKS_STORE, 'readwrite', store => {
+    records.forEach(record => store.put(record));
+  });
+  await transact(db, META_STORE, 'readwrite', store => store.put({
+    key: MIGRATION_KEY,
+    timestamp: new Date().toISOString(),
+    weekCount: records.length
+  }));
+
+  if (records.length > 0) {
+    localWeeklyStorage.clearAllWeekData();
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * ISO Week
+ *
+ * ISO-8601-veckoberäkningar med ren kalenderaritmetik i UTC
+ * Datum hanteras som YYYY-MM-DD-strängar för att undvika tidszonsförskjutning.
+ * new Date('YYYY-MM-DD') tolkas som UTC men läses i lokal tid med getMonth() –
+ * använd funktionerna här i stället för att räkna månad, kvartal och dagar.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MONTH_NAMES = [
+  'Januari', 'Februari', 'Mars', 'April', 'Maj', 'Juni',
+  'Juli', 'Augusti', 'September', 'Oktober', 'November', 'December'
+];
+
+/**
+ * Parsar YYYY-MM-DD till UTC-datum
+ * @param {string} value - Datumsträng
+ * @returns {Date|null} - null om formatet eller datumet är ogiltigt
+ */
+export function parseISODate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Avvisa datum som rullar över (t.ex. 2025-02-30)
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Formaterar UTC-datum som YYYY-MM-DD
+ * @param {Date} date - UTC-datum
+ * @returns {string}
+ */
+export function formatISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Lägger till dagar till ett UTC-datum
+ * @param {Date} date - UTC-datum
+ * @param {number} days - Antal dagar (kan vara negativt)
+ * @returns {Date}
+ */
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Veckodag enligt ISO (1 = måndag, 7 = söndag)
+ * @param {Date} date - UTC-datum
+ * @returns {number}
+ */
+export function getISODayOfWeek(date) {
+  return ((date.getUTCDay() + 6) % 7) + 1;
+}
+
+/**
+ * Beräknar ISO-vecka för ett datum
+ * @param {Date} date - UTC-datum
+ * @returns {Object} - {year, week, startDate, endDate}
+ */
+export function getISOWeekInfo(date) {
+  const monday = addDays(date, 1 - getISODayOfWeek(date));
+  const sunday = addDays(monday, 6);
+
+  // ISO-året är året som veckans torsdag ligger i
+  const isoYear = addDays(monday, 3).getUTCFullYear();
+
+  // Vecka 1 är veckan som innehåller 4 januari
+  const jan4 = new Date(Date.UTC(isoYear, 0, 4));
+  const week1Monday = addDays(jan4, 1 - getISODayOfWeek(jan4));
+  const week = 1 + Math.round((monday.getTime() - week1Monday.getTime()) / (7 * DAY_MS));
+
+  return {
+    year: isoYear,
+    week,
+    startDate: formatISODate(monday),
+    endDate: formatISODate(sunday)
+  };
+}
+
+/**
+ * Antal ISO-veckor i ett år (52 eller 53)
+ * Året har 53 veckor om 28 december ligger i vecka 53
+ * @param {number} year - ISO-år
+ * @returns {number}
+ */
+export function getISOWeeksInYear(year) {
+  return getISOWeekInfo(new Date(Date.UTC(year, 11, 28))).week;
+}
+
+/**
+ * Beräknar datumintervall för en ISO-vecka
+ * @param {number} year - ISO-år
+ * @param {number} week - Veckonummer
+ * @returns {Object|null} - {year, week, startDate, endDate}, null om veckan inte finns det året
+ */
+export function getISOWeekRange(year, week) {
+  if (!Number.isInteger(year) || !Number.isInteger(week)) return null;
+  if (week < 1 || week > getISOWeeksInYear(year)) return null;
+
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const week1Monday = addDays(jan4, 1 - getISODayOfWeek(jan4));
+  const monday = addDays(week1Monday, (week - 1) * 7);
+
+  return {
+    year,
+    week,
+    startDate: formatISODate(monday),
+    endDate: formatISODate(addDays(monday, 6))
+  };
+}
+
+/**
+ * Kontrollerar om ett ISO-år har vecka 53
+ * @param {number} year - ISO-år
+ * @returns {boolean}
+ */
+export function hasISOWeek53(year) {
+  return getISOWeeksInYear(year) === 53;
+}
+
+/**
+ * Kalendermånad för ett datum, läst direkt ur datumsträngen
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {Object|null} - {year, month, quarter, monthName, key} där key är "YYYY_MM"
+ */
+export function getCalendarMonth(dateString) {
+  const date = parseISODate(dateString);
+  if (!date) return null;
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+
+  return {
+    year,
+    month,
+    quarter: getQuarter(month),
+    monthName: MONTH_NAMES[month - 1],
+    key: getMonthKey(year, month)
+  };
+}
+
+/**
+ * Månadsnyckel för gruppering
+ * @param {number} year - Kalenderår
+ * @param {number} month - Månad (1–12)
+ * @returns {string} - T.ex. "2025_10"
+ */
+export function getMonthKey(year, month) {
+  return `${year}_${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Kvartal för en månad
+ * @param {number} month - Månad (1–12)
+ * @returns {number} - 1–4
+ */
+export function getQuarter(month) {
+  return Math.ceil(month / 3);
+}
+
+/**
+ * Antal dagar i en kalendermånad
+ * @param {number} year - Kalenderår
+ * @param {number} month - Månad (1–12)
+ * @returns {number}
+ */
+export function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Antal dagar i ett datumintervall, inklusive båda ändpunkterna
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {number|null} - null om något datum är ogiltigt eller slut före start
+ */
+export function countDaysInclusive(startDate, endDate) {
+  const start = parseISODate(startDate);
+  const end = parseISODate(endDate);
+  if (!start || !end || end < start) return null;
+
+  return Math.round((end.getTime() - start.getTime()) / DAY_MS) + 1;
+}
+
+/**
+ * Fördelar dagarna i ett intervall per kalendermånad
+ * En vecka som korsar ett månadsskifte ger två poster
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<Object>} - [{year, month, key, days}] i datumordning
+ */
+export function getDaysPerMonth(startDate, endDate) {
+  const start = parseISODate(startDate);
+  const end = parseISODate(endDate);
+  if (!start || !end || end < start) return [];
+
+  const months = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const last = months[months.length - 1];
+
+    if (last && last.year === year && last.month === month) {
+      last.days++;
+    } else {
+      months.push({ year, month, key: getMonthKey(year, month), days: 1 });
+    }
+  }
+
+  return months;
+}
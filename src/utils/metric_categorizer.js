@@ -3,8 +3,22 @@
  * 
  * Kategoriserar metrics i summerbara vs icke-summerbara
  * Definiera hur olika metrics ska hanteras och aggregeras
+ *
+ * Extra numeriska kolumner (t.ex. impressions, link_clicks) registreras vid
+ * körning i METRIC_DEFINITIONS med en kategori som användaren väljer.
+ *
+ * Härledda metrics (t.ex. engagemangsgrad = engagements / reach * 100) räknas
+ * fram per sida och vecka från en formel och har en egen aggregeringsregel.
+ *
+ * Både extra och härledda metrics sparas per arbetsyta i localStorage.
  */
 
+import { parseFormula } from './formula_engine.js';
+import { getWorkspaceStorageKey } from './workspace_storage.js';
+
+const CUSTOM_METRICS_STORAGE_KEY = 'fb_custom_metrics';
+const DERIVED_METRICS_STORAGE_KEY = 'fb_derived_metrics';
+
 /**
  * Metric-kategorier
  */
@@ -14,6 +28,21 @@ export const METRIC_CATEGORIES = {
   METADATA: 'metadata'            // Ej numeriska värden
 };
 
+/**
+ * Aggregeringsregler för härledda metrics
+ */
+export const DERIVED_AGGREGATIONS = {
+  RECOMPUTE: 'recompute', // Formeln räknas om på aggregerade komponenter (kvoter)
+  SUM: 'sum',             // Veckovärdena summeras
+  AVERAGE: 'average'      // Genomsnitt av veckovärdena
+};
+
+export const DERIVED_AGGREGATION_LABELS = {
+  [DERIVED_AGGREGATIONS.RECOMPUTE]: 'Räkna om från komponenterna (kvoter)',
+  [DERIVED_AGGREGATIONS.SUM]: 'Summera veckovärden',
+  [DERIVED_AGGREGATIONS.AVERAGE]: 'Genomsnitt av veckovärden'
+};
+
 /**
  * Metric-definitioner med alla egenskaper
  */
@@ -64,6 +93,338 @@ export const METRIC_DEFINITIONS = {
   }
 };
 
+// Inbyggda metrics kan inte skrivas över eller tas bort
+const BUILT_IN_METRICS = Object.keys(METRIC_DEFINITIONS);
+
+// Namn som antyder unika personer eller ett ögonblicksvärde (ska inte summeras)
+const NON_SUMMABLE_PATTERN = /reach|unique|followers|fans|räckvidd|följare/;
+
+/**
+ * Föreslår kategori för en ny metric utifrån kolumnnamnet
+ * @param {string} metricKey - Kolumnnamn, t.ex. "link_clicks"
+ * @returns {string} - METRIC_CATEGORIES-värde
+ */
+export function suggestMetricCategory(metricKey) {
+  return NON_SUMMABLE_PATTERN.test(metricKey)
+    ? METRIC_CATEGORIES.NON_SUMMABLE
+    : METRIC_CATEGORIES.SUMMABLE;
+}
+
+/**
+ * Registrerar en extra metric i METRIC_DEFINITIONS
+ * METADATA betyder att kolumnen ignoreras (visas inte och aggregeras inte)
+ * @param {string} metricKey - Kolumnnamn
+ * @param {string} category - METRIC_CATEGORIES-värde
+ * @param {Object} options - {displayName, persist} (persist=false vid inläsning från lagring)
+ * @returns {Object|null} - Metric-definitionen, null för inbyggda metrics
+ */
+export function registerMetric(metricKey, category, options = {}) {
+  if (BUILT_IN_METRICS.includes(metricKey) || METRIC_DEFINITIONS[metricKey]?.derived) {
+    return null;
+  }
+
+  const { displayName = formatMetricKey(metricKey), persist = true } = options;
+  const canSum = category === METRIC_CATEGORIES.SUMMABLE;
+  const isMetadata = category === METRIC_CATEGORIES.METADATA;
+
+  METRIC_DEFINITIONS[metricKey] = {
+    key: metricKey,
+    displayName,
+    category,
+    description: isMetadata ? 'Ignorerad kolumn' : `Extra kolumn "${metricKey}" från uppladdade filer`,
+    canSum,
+    aggregationMethod: isMetadata ? 'none' : (canSum ? 'sum' : 'average'),
+    unit: null,
+    formatType: isMetadata ? 'none' : 'number',
+    warningMessage: isMetadata || canSum ? null : `${displayName} kan inte summeras över veckor. Använd genomsnitt.`,
+    custom: true
+  };
+
+  if (persist) {
+    saveRegisteredMetrics();
+  }
+
+  return METRIC_DEFINITIONS[metricKey];
+}
+
+/**
+ * Tar bort en registrerad extra metric
+ * @param {string} metricKey - Metric-nyckel
+ * @returns {boolean} - True om borttagen
+ */
+export function unregisterMetric(metricKey) {
+  if (!METRIC_DEFINITIONS[metricKey]?.custom) {
+    return false;
+  }
+
+  delete METRIC_DEFINITIONS[metricKey];
+  saveRegisteredMetrics();
+
+  // Härledda metrics kan inte räknas utan sina komponenter
+  getDerivedMetrics()
+    .filter(key => METRIC_DEFINITIONS[key].variables.includes(metricKey))
+    .forEach(key => unregisterDerivedMetric(key));
+
+  return true;
+}
+
+/**
+ * Hämtar registrerade extra metrics (ej ignorerade kolumner)
+ * @returns {Array<string>} - Array med metric-nycklar
+ */
+export function getCustomMetrics() {
+  return Object.keys(METRIC_DEFINITIONS).filter(key =>
+    METRIC_DEFINITIONS[key].custom &&
+    METRIC_DEFINITIONS[key].category !== METRIC_CATEGORIES.METADATA
+  );
+}
+
+/**
+ * Kontrollerar om en kolumn har markerats som ignorerad
+ * @param {string} metricKey - Kolumnnamn
+ * @returns {boolean}
+ */
+export function isIgnoredMetric(metricKey) {
+  const metric = METRIC_DEFINITIONS[metricKey];
+  return Boolean(metric?.custom && metric.category === METRIC_CATEGORIES.METADATA);
+}
+
+/**
+ * Registrerar sparade extra metrics för aktiv arbetsyta från localStorage
+ * Tidigare registrerade extra metrics ersätts (t.ex. vid byte av arbetsyta).
+ * Anropas före loadDerivedMetrics
+ * @returns {Array<string>} - Registrerade metric-nycklar
+ */
+export function loadRegisteredMetrics() {
+  if (typeof localStorage === 'undefined') {
+    return [];
+  }
+
+  Object.keys(METRIC_DEFINITIONS)
+    .filter(key => METRIC_DEFINITIONS[key].custom)
+    .forEach(key => delete METRIC_DEFINITIONS[key]);
+
+  try {
+    const stored = localStorage.getItem(getWorkspaceStorageKey(CUSTOM_METRICS_STORAGE_KEY));
+    const saved = stored ? JSON.parse(stored) : {};
+
+    return Object.entries(saved)
+      .filter(([key, metric]) => registerMetric(key, metric.category, {
+        displayName: metric.displayName,
+        persist: false
+      }))
+      .map(([key]) => key);
+  } catch (error) {
+    console.error('Kunde inte läsa registrerade metrics:', error);
+    return [];
+  }
+}
+
+/**
+ * Sparar registrerade extra metrics till localStorage
+ * @returns {boolean} - True om lyckad lagring
+ */
+function saveRegisteredMetrics() {
+  try {
+    const custom = Object.fromEntries(
+      Object.values(METRIC_DEFINITIONS)
+        .filter(metric => metric.custom)
+        .map(metric => [metric.key, { category: metric.category, displayName: metric.displayName }])
+    );
+
+    localStorage.setItem(getWorkspaceStorageKey(CUSTOM_METRICS_STORAGE_KEY), JSON.stringify(custom));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara registrerade metrics:', error);
+    return false;
+  }
+}
+
+/**
+ * Visningsnamn från kolumnnamn ("link_clicks" → "Link clicks")
+ * @param {string} metricKey
+ * @returns {string}
+ */
+function formatMetricKey(metricKey) {
+  const text = metricKey.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Registrerar en härledd metric som räknas fram från en formel
+ * Formeln får bara använda numeriska metrics som inte själva är härledda
+ * @param {Object} definition - {key, displayName, formula, aggregation}
+ * @param {Object} options - {persist} (persist=false vid inläsning från lagring)
+ * @returns {Object} - {success, metric, errors}
+ */
+export function registerDerivedMetric(definition, options = {}) {
+  const {
+    key,
+    displayName = key ? formatMetricKey(key) : '',
+    formula,
+    aggregation = DERIVED_AGGREGATIONS.RECOMPUTE
+  } = definition;
+  const { persist = true } = options;
+  const errors = [];
+
+  if (!key || !/^[a-z][a-z0-9_]*$/.test(key) || key in Object.prototype) {
+    errors.push(`Ogiltigt namn "${key || ''}" – använd a–z, 0–9 och _`);
+  } else if (METRIC_DEFINITIONS[key] && !METRIC_DEFINITIONS[key].derived) {
+    errors.push(`Det finns redan en metric som heter "${key}"`);
+  }
+
+  if (!Object.values(DERIVED_AGGREGATIONS).includes(aggregation)) {
+    errors.push(`Okänd aggregeringsregel: ${aggregation}`);
+  }
+
+  const parsed = parseFormula(formula);
+  errors.push(...parsed.errors);
+
+  const unknown = parsed.variables.filter(variable => {
+    const metric = Object.prototype.hasOwnProperty.call(METRIC_DEFINITIONS, variable)
+      ? METRIC_DEFINITIONS[variable]
+      : null;
+    return !metric || metric.formatType !== 'number' || metric.derived;
+  });
+  if (unknown.length > 0) {
+    errors.push(`Okända metrics i formeln: ${unknown.join(', ')}`);
+  }
+
+  if (parsed.success && parsed.variables.length === 0) {
+    errors.push('Formeln måste använda minst en metric');
+  }
+
+  if (errors.length > 0) {
+    return { success: false, metric: null, errors };
+  }
+
+  const canSum = aggregation === DERIVED_AGGREGATIONS.SUM;
+
+  METRIC_DEFINITIONS[key] = {
+    key,
+    displayName,
+    category: canSum ? METRIC_CATEGORIES.SUMMABLE : METRIC_CATEGORIES.NON_SUMMABLE,
+    description: `Härledd metric: ${String(formula).trim()}`,
+    canSum,
+    aggregationMethod: aggregation,
+    unit: null,
+    formatType: 'number',
+    warningMessage: aggregation === DERIVED_AGGREGATIONS.AVERAGE
+      ? `${displayName} är ett genomsnitt av veckovärden, inte omräknat från totaler.`
+      : null,
+    derived: true,
+    formula: String(formula).trim(),
+    variables: parsed.variables,
+    ast: parsed.ast
+  };
+
+  if (persist) {
+    saveDerivedMetrics();
+  }
+
+  return { success: true, metric: METRIC_DEFINITIONS[key], errors: [] };
+}
+
+/**
+ * Tar bort en härledd metric
+ * @param {string} metricKey - Metric-nyckel
+ * @returns {boolean} - True om borttagen
+ */
+export function unregisterDerivedMetric(metricKey) {
+  if (!METRIC_DEFINITIONS[metricKey]?.derived) {
+    return false;
+  }
+
+  delete METRIC_DEFINITIONS[metricKey];
+  saveDerivedMetrics();
+  return true;
+}
+
+/**
+ * Hämtar registrerade härledda metrics
+ * @returns {Array<string>} - Array med metric-nycklar
+ */
+export function getDerivedMetrics() {
+  return Object.keys(METRIC_DEFINITIONS).filter(key => METRIC_DEFINITIONS[key].derived);
+}
+
+/**
+ * Kontrollerar om en metric är härledd
+ * @param {string} metricKey - Metric-nyckel
+ * @returns {boolean}
+ */
+export function isDerivedMetric(metricKey) {
+  return Boolean(METRIC_DEFINITIONS[metricKey]?.derived);
+}
+
+/**
+ * Skapar en metric-nyckel från ett visningsnamn ("Engagemangsgrad %" → "engagemangsgrad")
+ * @param {string} displayName
+ * @returns {string}
+ */
+export function createMetricKey(displayName) {
+  return String(displayName ?? '')
+    .toLowerCase()
+    .replace(/[åä]/g, 'a')
+    .replace(/ö/g, 'o')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '');
+}
+
+/**
+ * Registrerar sparade härledda metrics för aktiv arbetsyta från localStorage
+ * Tidigare registrerade härledda metrics ersätts (t.ex. vid byte av arbetsyta).
+ * Anropas efter loadRegisteredMetrics så att extra metrics i formlerna finns
+ * @returns {Array<string>} - Registrerade metric-nycklar
+ */
+export function loadDerivedMetrics() {
+  if (typeof localStorage === 'undefined') {
+    return [];
+  }
+
+  getDerivedMetrics().forEach(key => delete METRIC_DEFINITIONS[key]);
+
+  try {
+    const stored = localStorage.getItem(getWorkspaceStorageKey(DERIVED_METRICS_STORAGE_KEY));
+    const saved = stored ? JSON.parse(stored) : {};
+
+    return Object.entries(saved)
+      .filter(([key, metric]) => registerDerivedMetric({ key, ...metric }, { persist: false }).success)
+      .map(([key]) => key);
+  } catch (error) {
+    console.error('Kunde inte läsa härledda metrics:', error);
+    return [];
+  }
+}
+
+/**
+ * Sparar härledda metrics till localStorage
+ * @returns {boolean} - True om lyckad lagring
+ */
+function saveDerivedMetrics() {
+  try {
+    const derived = Object.fromEntries(
+      Object.values(METRIC_DEFINITIONS)
+        .filter(metric => metric.derived)
+        .map(metric => [metric.key, {
+          displayName: metric.displayName,
+          formula: metric.formula,
+          aggregation: metric.aggregationMethod
+        }])
+    );
+
+    localStorage.setItem(getWorkspaceStorageKey(DERIVED_METRICS_STORAGE_KEY), JSON.stringify(derived));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara härledda metrics:', error);
+    return false;
+  }
+}
+
+// Sparade registreringar finns tillgängliga direkt när modulen laddas
+loadRegisteredMetrics();
+loadDerivedMetrics();
+
 /**
  * Hämtar alla summerbara metrics
  * @returns {Array<string>} - Array med metric-nycklar
@@ -1,22 +1,38 @@
 /**
  * Period Validator
  * 
- * Validerar filformat week_XX.csv och CSV-innehåll
+ * Validerar filformat week_XX.csv / YYYY_week_XX.csv (eller .xlsx/.xls) och CSV-innehåll
  * Säkerställer korrekt struktur med 10 kolumner
  */
 
-import { extractWeekFromFilename, isValidWeek, isValidYear } from '../core/period_extractor.js';
+import {
+  extractPeriodFromFilename,
+  isValidWeek,
+  isValidYear,
+  createStandardFilename
+} from '../core/period_extractor.js';
 import { EXPECTED_COLUMNS } from '../core/csv_processor.js';
+import { REQUIRED_COLUMNS } from '../core/column_schema.js';
+import { parseISODate, getISOWeekInfo, getISOWeekRange, getISOWeeksInYear } from './iso_week.js';
 
 // Validerings-konstanter
 const VALIDATION_CONFIG = {
-  REQUIRED_FILE_EXTENSION: '.csv',
-  REQUIRED_COLUMNS_COUNT: 10,
+  ACCEPTED_FILE_EXTENSIONS: ['.csv', '.xlsx', '.xls', '.json'],
   MIN_ROWS: 1,
   MAX_ROWS: 200, // Rimlig gräns för antal Facebook-sidor
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB max filstorlek
   ACCEPTED_FILENAME_PATTERNS: [
-    /^week[_-]?\d{1,2}\.csv$/i,  // week_41.csv, week-41.csv, week41.csv
+    /^week[_-]?\d{1,2}\.(csv|xlsx|xls|json)$/i,                 // week_41.csv, week-41.csv, week41.xlsx
+    /^\d{4}[_-]week[_-]?\d{1,2}\.(csv|xlsx|xls|json)$/i,        // 2025_week_41.csv
+    /^week[_-]?\d{1,2}[_-]\d{4}\.(csv|xlsx|xls|json)$/i,        // week_41_2025.csv
+    /^\d{4}-?W\d{1,2}\.(csv|xlsx|xls|json)$/i                   // 2025-W41.csv (ISO 8601)
+  ],
+  ACCEPTED_MIME_TYPES: [
+    'csv',
+    'text',
+    'spreadsheetml',  // .xlsx
+    'ms-excel',       // .xls
+    'json'            // Graph API-svar
   ]
 };
 
@@ -26,7 +42,8 @@ const ERROR_TYPES = {
   FILE_FORMAT: 'file_format_error',
   CSV_STRUCTURE: 'csv_structure_error',
   DATA_CONTENT: 'data_content_error',
-  PERIOD_CONFLICT: 'period_conflict_error'
+  PERIOD_CONFLICT: 'period_conflict_error',
+  CALENDAR: 'calendar_error'
 };
 
 /**
@@ -67,6 +84,7 @@ export async function validateFile(file, existingPeriods = []) {
       return result;
     }
     
+    result.warnings.push(...filenameValidation.warnings);
     result.period = filenameValidation.period;
 
     // 3. Dublettskontroll mot befintliga perioder
@@ -125,10 +143,10 @@ function validateBasicFileProperties(file) {
   }
 
   // Kontrollera filtyp
-  if (file.type && !file.type.includes('csv') && !file.type.includes('text')) {
+  if (file.type && !VALIDATION_CONFIG.ACCEPTED_MIME_TYPES.some(type => file.type.includes(type))) {
     warnings.push({
       type: ERROR_TYPES.FILE_FORMAT,
-      message: `Ovanlig filtyp: ${file.type} (förväntat: text/csv)`,
+      message: `Ovanlig filtyp: ${file.type} (förväntat: text/csv eller Excel)`,
       severity: 'warning'
     });
   }
@@ -147,47 +165,53 @@ function validateBasicFileProperties(file) {
  */
 function validateFilenameAndExtractPeriod(file) {
   const errors = [];
+  const warnings = [];
 
   // Kontrollera filändelse
-  if (!file.name.toLowerCase().endsWith(VALIDATION_CONFIG.REQUIRED_FILE_EXTENSION)) {
+  const lowerName = file.name.toLowerCase();
+  if (!VALIDATION_CONFIG.ACCEPTED_FILE_EXTENSIONS.some(ext => lowerName.endsWith(ext))) {
     errors.push({
       type: ERROR_TYPES.FILENAME,
-      message: `Fel filändelse: ${file.name} (förväntat: .csv)`,
+      message: `Fel filändelse: ${file.name} (förväntat: ${VALIDATION_CONFIG.ACCEPTED_FILE_EXTENSIONS.join(', ')})`,
       severity: 'error'
     });
   }
 
-  // Kontrollera filnamnsmönster
+  // Kontrollera filnamnsmönster. Filer utan vecka i namnet (t.ex. kvartalsexporter
+  // med flera veckor) tillåts, perioderna läses då från filinnehållet
   const matchesPattern = VALIDATION_CONFIG.ACCEPTED_FILENAME_PATTERNS.some(pattern =>
     pattern.test(file.name)
   );
 
-  if (!matchesPattern) {
-    errors.push({
+  // Extrahera år (om det finns) och veckonummer
+  const filenamePeriod = extractPeriodFromFilename(file.name);
+
+  if (!matchesPattern || filenamePeriod === null) {
+    warnings.push({
       type: ERROR_TYPES.FILENAME,
-      message: `Ogiltigt filnamnsformat: ${file.name} (förväntat: week_XX.csv)`,
-      severity: 'error'
+      message: `Inget veckonummer i filnamnet ${file.name} – perioder läses från filens year/week-kolumner`,
+      severity: 'warning'
     });
+    
+    return { isValid: errors.length === 0, errors, warnings, period: null };
   }
 
-  // Extrahera veckonummer
-  const week = extractWeekFromFilename(file.name);
+  const { year, week } = filenamePeriod;
 
-  if (week === null) {
+  // Validera veckonummer
+  if (!isValidWeek(week)) {
     errors.push({
       type: ERROR_TYPES.FILENAME,
-      message: `Kunde inte extrahera veckonummer från ${file.name} (förväntat format: week_41.csv)`,
+      message: `Ogiltigt veckonummer: ${week} (måste vara 1-53)`,
       severity: 'error'
     });
-    
-    return { isValid: false, errors, period: null };
   }
 
-  // Validera veckonummer
-  if (!isValidWeek(week)) {
+  // Validera årtal (om det finns i filnamnet)
+  if (year !== null && !isValidYear(year)) {
     errors.push({
       type: ERROR_TYPES.FILENAME,
-      message: `Ogiltigt veckonummer: ${week} (måste vara 1-53)`,
+      message: `Ogiltigt årtal: ${year} (måste vara 2000-2100)`,
       severity: 'error'
     });
   }
@@ -195,7 +219,8 @@ function validateFilenameAndExtractPeriod(file) {
   return {
     isValid: errors.length === 0,
     errors,
-    period: { week, filename: file.name }
+    warnings,
+    period: { year, week, filename: file.name }
   };
 }
 
@@ -212,12 +237,20 @@ function checkForPeriodDuplicate(period, existingPeriods) {
     return { isValid: true, warnings };
   }
 
-  const duplicate = existingPeriods.find(p => p.week === period.week);
+  // Samma vecka olika år är olika perioder. Saknas år i filnamnet kan vi
+  // bara jämföra veckonummer och varnar då för en möjlig dublett
+  const duplicate = existingPeriods.find(p =>
+    p.week === period.week && (period.year === null || p.year === period.year)
+  );
 
   if (duplicate) {
+    const message = period.year !== null
+      ? `Vecka ${period.week} ${period.year} finns redan uppladdad`
+      : `Vecka ${period.week} finns redan uppladdad för ${duplicate.year} (filnamnet saknar år)`;
+
     warnings.push({
       type: ERROR_TYPES.PERIOD_CONFLICT,
-      message: `Vecka ${period.week} finns redan uppladdad`,
+      message,
       severity: 'warning',
       conflictingPeriod: duplicate
     });
@@ -230,27 +263,21 @@ function checkForPeriodDuplicate(period, existingPeriods) {
  * Validerar CSV-struktur (används efter parsning)
  * @param {Array<string>} columns - CSV-kolumner
  * @param {number} rowCount - Antal rader
+ * @param {Array<string>} metricColumns - Extra kolumner som lästs som metrics (detectMetricColumns)
  * @returns {Object} - Valideringsresultat
  */
-export function validateCSVStructure(columns, rowCount) {
+export function validateCSVStructure(columns, rowCount, metricColumns = []) {
   const errors = [];
   const warnings = [];
 
-  // Kontrollera antal kolumner
-  if (columns.length !== VALIDATION_CONFIG.REQUIRED_COLUMNS_COUNT) {
-    errors.push({
-      type: ERROR_TYPES.CSV_STRUCTURE,
-      message: `Fel antal kolumner: ${columns.length} (förväntat: ${VALIDATION_CONFIG.REQUIRED_COLUMNS_COUNT})`,
-      severity: 'error'
-    });
-  }
-
-  // Kontrollera kolumnnamn
+  // Kontrollera kolumnnamn (valfria kolumner som datum får saknas)
   const normalizedActual = columns.map(col => col.trim().toLowerCase());
   const normalizedExpected = EXPECTED_COLUMNS.map(col => col.trim().toLowerCase());
 
-  const missingColumns = normalizedExpected.filter(exp => !normalizedActual.includes(exp));
-  const extraColumns = normalizedActual.filter(act => !normalizedExpected.includes(act));
+  const missingColumns = REQUIRED_COLUMNS.filter(req => !normalizedActual.includes(req));
+  const extraColumns = normalizedActual.filter(act =>
+    !normalizedExpected.includes(act) && !metricColumns.includes(act)
+  );
 
   if (missingColumns.length > 0) {
     errors.push({
@@ -300,13 +327,8 @@ export function validateCSVStructure(columns, rowCount) {
 export function validateDateFormat(dateString) {
   if (!dateString) return false;
 
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(dateString)) {
-    return false;
-  }
-
-  const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date);
+  // Avvisar även datum som inte finns (t.ex. 2025-02-30)
+  return parseISODate(dateString) !== null;
 }
 
 /**
@@ -320,21 +342,186 @@ export function validateDateRange(startDate, endDate) {
     return false;
   }
 
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  return parseISODate(startDate) <= parseISODate(endDate);
+}
+
+/**
+ * Kontrollerar att perioder i en fil stämmer med ISO-8601-kalendern
+ * - start_date/end_date ska vara måndag/söndag i radens år och vecka
+ *   (saknade datum har beräknats vid tolkningen och rapporteras som varning)
+ * - alla rader för samma vecka ska ha samma datum
+ * - vecka (och år) i filnamnet ska finnas i filens data
+ * Felen innehåller en föreslagen korrekt period (suggestion)
+ * @param {WeeklyDataset} dataset - Tolkad data
+ * @param {Object|null} filenamePeriod - {year|null, week} från filnamnet
+ * @param {string} filename - Filnamn för förslag på nytt namn
+ * @returns {Object} - {isValid, errors, warnings}
+ */
+export function validateCalendarConsistency(dataset, filenamePeriod = null, filename = '') {
+  const errors = [];
+  const warnings = [];
+
+  if (!dataset || dataset.isEmpty()) {
+    return { isValid: true, errors, warnings };
+  }
+
+  // Gruppera rader per vecka och datumpar: {periodKey: {year, week, dates: Map}}
+  const periods = new Map();
+  const derivedPeriods = new Map();
+
+  dataset.data.forEach(item => {
+    // Beräknade datum stämmer per definition – rapportera dem separat
+    if (item.period.datesDerived) {
+      const derivedKey = item.period.getShortString();
+      derivedPeriods.set(derivedKey, (derivedPeriods.get(derivedKey) || 0) + 1);
+    }
+
+    const { year, week, startDate, endDate } = item.period;
+    const key = `${year}_${week}`;
+
+    if (!periods.has(key)) {
+      periods.set(key, { year, week, dates: new Map() });
+    }
+
+    const datesKey = `${startDate || ''}|${endDate || ''}`;
+    const dates = periods.get(key).dates;
+    dates.set(datesKey, (dates.get(datesKey) || 0) + 1);
+  });
+
+  periods.forEach(({ year, week, dates }) => {
+    const label = `Vecka ${week} ${year}`;
+    const expected = getISOWeekRange(year, week);
+
+    if (!expected) {
+      errors.push({
+        type: ERROR_TYPES.CALENDAR,
+        message: `${label} finns inte – ${year} har ${getISOWeeksInYear(year)} ISO-veckor`,
+        severity: 'error',
+        suggestion: null
+      });
+      return;
+    }
+
+    // Olika datum för samma vecka inom filen
+    if (dates.size > 1) {
+      const variants = [...dates.entries()]
+        .map(([datesKey, count]) => `${datesKey.replace('|', ' – ')} (${count} rader)`)
+        .join(', ');
+
+      errors.push({
+        type: ERROR_TYPES.CALENDAR,
+        message: `${label} har olika datum i filen: ${variants}`,
+        severity: 'error',
+        suggestion: expected
+      });
+    }
+
+    dates.forEach((count, datesKey) => {
+      const [startDate, endDate] = datesKey.split('|');
+      const mismatches = [];
+
+      if (startDate && startDate !== expected.startDate) {
+        mismatches.push(`angivet start_date ${startDate} skiljer sig från beräknat ${expected.startDate}`);
+      }
+      if (endDate && endDate !== expected.endDate) {
+        mismatches.push(`angivet end_date ${endDate} skiljer sig från beräknat ${expected.endDate}`);
+      }
+
+      if (mismatches.length === 0) return;
+
+      // Föreslå veckan som datumen faktiskt motsvarar
+      const actual = suggestPeriodFromDates(startDate, endDate);
+      const hint = actual && (actual.year !== year || actual.week !== week)
+        ? ` Datumen motsvarar vecka ${actual.week} ${actual.year} (${actual.startDate} – ${actual.endDate}).`
+        : '';
+
+      errors.push({
+        type: ERROR_TYPES.CALENDAR,
+        message: `${label} (${count} rader): ${mismatches.join(', ')}.${hint}`,
+        severity: 'error',
+        suggestion: actual || expected
+      });
+    });
+  });
+
+  // Veckan i filnamnet måste finnas i filens data
+  if (filenamePeriod?.week) {
+    const dataPeriods = [...periods.values()];
+    const matches = dataPeriods.some(period =>
+      period.week === filenamePeriod.week &&
+      (filenamePeriod.year === null || filenamePeriod.year === undefined || period.year === filenamePeriod.year)
+    );
+
+    if (!matches) {
+      const filenameLabel = filenamePeriod.year
+        ? `vecka ${filenamePeriod.week} ${filenamePeriod.year}`
+        : `vecka ${filenamePeriod.week}`;
+      const dataLabel = dataPeriods.map(period => `vecka ${period.week} ${period.year}`).join(', ');
+      const suggestion = dataPeriods.length === 1 ? getISOWeekRange(dataPeriods[0].year, dataPeriods[0].week) : null;
+      const renameHint = suggestion
+        ? ` Byt namn till ${renameWithPeriod(filename, suggestion)}.`
+        : '';
+
+      errors.push({
+        type: ERROR_TYPES.CALENDAR,
+        message: `Filnamnet anger ${filenameLabel} men filen innehåller ${dataLabel}.${renameHint}`,
+        severity: 'error',
+        suggestion
+      });
+    }
+  }
+
+  if (derivedPeriods.size > 0) {
+    const total = [...derivedPeriods.values()].reduce((sum, count) => sum + count, 0);
+    warnings.push({
+      type: ERROR_TYPES.CALENDAR,
+      message: `Datum saknas för ${total} rader – beräknade från år och vecka (${[...derivedPeriods.keys()].join(', ')})`,
+      severity: 'warning'
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Föreslår ISO-vecka utifrån ett datumpar
+ * @param {string} startDate - YYYY-MM-DD eller tom
+ * @param {string} endDate - YYYY-MM-DD eller tom
+ * @returns {Object|null} - {year, week, startDate, endDate}
+ */
+function suggestPeriodFromDates(startDate, endDate) {
+  const date = parseISODate(startDate) || parseISODate(endDate);
+  if (!date) return null;
+
+  return getISOWeekInfo(date);
+}
 
-  return start <= end;
+/**
+ * Skapar standardfilnamn för en period med filens ändelse
+ * @param {string} filename - Ursprungligt filnamn
+ * @param {Object} period - {year, week}
+ * @returns {string}
+ */
+function renameWithPeriod(filename, period) {
+  const standard = createStandardFilename(period.week, period.year);
+  const extension = /\.[^.]+$/.exec(filename || '')?.[0];
+  return extension ? standard.replace(/\.csv$/, extension.toLowerCase()) : standard;
 }
 
 /**
  * Validerar flera filer samtidigt
  * @param {FileList|Array<File>} files - Lista med filer
+ * @param {Array<Object>} existingPeriods - Befintliga perioder för dublettskontroll
  * @returns {Promise<Object>} - Sammanfattat valideringsresultat
  */
-export async function validateMultipleFiles(files) {
+export async function validateMultipleFiles(files, existingPeriods = []) {
   const filesArray = Array.from(files);
   const results = await Promise.all(
-    filesArray.map(file => validateFile(file, []))
+    filesArray.map(file => validateFile(file, existingPeriods))
   );
 
   const summary = {
@@ -349,6 +536,49 @@ export async function validateMultipleFiles(files) {
   return summary;
 }
 
+/**
+ * Skapar rapport per fil för en batch-uppladdning (validering + bearbetning)
+ * @param {Array<Object>} entries - [{source, validation, result}] där result saknas för ogiltiga filer
+ * @param {Array<Object>} extractionErrors - [{source, message}] från uppackning av arkiv
+ * @returns {Object} - {files: [{source, status, errors, warnings, weekCount}], summary}
+ */
+export function createBatchReport(entries, extractionErrors = []) {
+  const files = entries.map(({ source, validation, result }) => {
+    const errors = validation.errors.map(e => e.message);
+    const warnings = validation.warnings.map(w => w.message);
+    let weekCount = 0;
+
+    if (result) {
+      errors.push(...(result.errors || []));
+      warnings.push(...(result.warnings || []));
+      weekCount = result.success ? result.dataset.getUniquePeriods().length : 0;
+    }
+
+    const succeeded = validation.isValid && result?.success;
+    // Radfel i en fil som ändå importerades räknas som varning
+    const status = !succeeded
+      ? 'error'
+      : warnings.length > 0 || errors.length > 0 ? 'warning' : 'success';
+
+    return { source, status, errors, warnings, weekCount };
+  });
+
+  extractionErrors.forEach(({ source, message }) => {
+    files.push({ source, status: 'error', errors: [message], warnings: [], weekCount: 0 });
+  });
+
+  return {
+    files,
+    summary: {
+      totalFiles: files.length,
+      successCount: files.filter(f => f.status === 'success').length,
+      warningCount: files.filter(f => f.status === 'warning').length,
+      errorCount: files.filter(f => f.status === 'error').length,
+      weekCount: files.reduce((sum, f) => sum + f.weekCount, 0)
+    }
+  };
+}
+
 /**
  * Skapar användarv vänligt felmeddelande
  * @param {Array<Object>} errors - Lista med fel-objekt
@@ -0,0 +1,82 @@
+/**
+ * Saved Views
+ *
+ * Namngivna urval i trendvyn: metric, sidor, perioder och om luckor tas med.
+ * Sparas per arbetsyta i localStorage.
+ */
+
+import { getWorkspaceStorageKey } from './workspace_storage.js';
+
+const SAVED_VIEWS_STORAGE_KEY = 'fb_saved_views';
+
+/**
+ * Hämtar sparade vyer för aktiv arbetsyta
+ * @returns {Array<Object>} - [{name, metric, pages, periods, includeGaps, savedAt}], sorterade på namn
+ */
+export function loadSavedViews() {
+  try {
+    const stored = localStorage.getItem(getWorkspaceStorageKey(SAVED_VIEWS_STORAGE_KEY));
+    const views = stored ? JSON.parse(stored) : [];
+    return Array.isArray(views) ? views : [];
+  } catch (error) {
+    console.error('Kunde inte läsa sparade vyer:', error);
+    return [];
+  }
+}
+
+/**
+ * Sparar ett urval som vy; en vy med samma namn ersätts
+ * @param {string} name - Vyns namn
+ * @param {Object} view - {metric, pages, periods, includeGaps}
+ * @returns {Object} - {success, views, errors}
+ */
+export function saveView(name, view) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    return { success: false, views: loadSavedViews(), errors: ['Vyn måste ha ett namn'] };
+  }
+
+  const views = [
+    ...loadSavedViews().filter(existing => existing.name !== trimmed),
+    {
+      name: trimmed,
+      metric: view.metric,
+      pages: [...view.pages],
+      periods: [...view.periods],
+      includeGaps: Boolean(view.includeGaps),
+      savedAt: new Date().toISOString()
+    }
+  ].sort((a, b) => a.name.localeCompare(b.name));
+
+  if (!saveViews(views)) {
+    return { success: false, views: loadSavedViews(), errors: ['Kunde inte spara vyn'] };
+  }
+
+  return { success: true, views, errors: [] };
+}
+
+/**
+ * Tar bort en sparad vy
+ * @param {string} name - Vyns namn
+ * @returns {Array<Object>} - Kvarvarande vyer
+ */
+export function removeView(name) {
+  const views = loadSavedViews().filter(view => view.name !== name);
+  saveViews(views);
+  return views;
+}
+
+/**
+ * Sparar vyerna till localStorage
+ * @returns {boolean} - True om lyckad lagring
+ */
+function saveViews(views) {
+  try {
+    localStorage.setItem(getWorkspaceStorageKey(SAVED_VIEWS_STORAGE_KEY), JSON.stringify(views));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara vyer:', error);
+    return false;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Storage Migrations
+ *
+ * Versionshantering av sparade veckor. Varje post har ett versionsnummer;
+ * vid inläsning uppgraderas äldre poster steg för steg till STORAGE_VERSION.
+ *
+ * Ny version av datamodellen:
+ * 1. Höj STORAGE_VERSION
+ * 2. Lägg till ett steg i MIGRATIONS från föregående version
+ * Steg får kasta Error med en förklaring när en post inte kan uppgraderas.
+ */
+
+export const STORAGE_VERSION = '2.0';
+
+// Poster utan versionsfält skrevs av första versionen
+const INITIAL_VERSION = '1.0';
+
+/**
+ * Migreringssteg i ordning: {from, to, description, migrate(record) → record}
+ */
+const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '2.0',
+    description: 'Sid-ID som text, status och datumflagga på varje rad',
+    migrate: migrateV1ToV2
+  }
+];
+
+/**
+ * Uppgraderar en sparad post till aktuell version
+ * @param {Object} record - {version, timestamp, year, week, data}
+ * @returns {Object} - {success, record, migrated, fromVersion, errors}
+ */
+export function migrateRecord(record) {
+  const fromVersion = record?.version || INITIAL_VERSION;
+  let current = { ...record, version: fromVersion };
+
+  if (compareVersions(fromVersion, STORAGE_VERSION) > 0) {
+    return {
+      success: false,
+      record: null,
+      migrated: false,
+      fromVersion,
+      errors: [`Sparad med nyare version ${fromVersion} (appen läser ${STORAGE_VERSION})`]
+    };
+  }
+
+  while (current.version !== STORAGE_VERSION) {
+    const step = MIGRATIONS.find(migration => migration.from === current.version);
+
+    if (!step) {
+      return {
+        success: false,
+        record: null,
+        migrated: false,
+        fromVersion,
+        errors: [`Ingen migrering från version ${current.version}`]
+      };
+    }
+
+    try {
+      current = { ...step.migrate(current), version: step.to };
+    } catch (error) {
+      return {
+        success: false,
+        record: null,
+        migrated: false,
+        fromVersion,
+        errors: [`Migrering ${step.from} → ${step.to} misslyckades: ${error.message}`]
+      };
+    }
+  }
+
+  return {
+    success: true,
+    record: current,
+    migrated: fromVersion !== STORAGE_VERSION,
+    fromVersion,
+    errors: []
+  };
+}
+
+/**
+ * Jämför versionsnummer ("1.0" < "1.10" < "2.0")
+ * @returns {number} - Negativt, 0 eller positivt
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+
+  return 0;
+}
+
+/**
+ * 1.0 → 2.0: sid-ID blir alltid text, saknad status blir UNKNOWN och
+ * datesDerived anges explicit
+ */
+function migrateV1ToV2(record) {
+  const entry = record.data;
+
+  if (!entry || !Array.isArray(entry.data)) {
+    throw new Error('veckan saknar siddata');
+  }
+
+  return {
+    ...record,
+    data: {
+      ...entry,
+      datesDerived: Boolean(entry.datesDerived),
+      data: entry.data.map(item => ({
+        ...item,
+        page: { ...item.page, pageId: migratePageId(item.page?.pageId) },
+        period: { ...item.period, datesDerived: Boolean(item.period?.datesDerived) },
+        metrics: item.metrics || { reach: 0, engagements: 0 },
+        status: item.status || 'UNKNOWN',
+        comment: item.comment ?? null
+      }))
+    }
+  };
+}
+
+/**
+ * Sid-ID som text – ID:n sparade som tal över MAX_SAFE_INTEGER har redan avrundats
+ */
+function migratePageId(pageId) {
+  if (pageId === null || pageId === undefined || pageId === '') {
+    throw new Error('sid-ID saknas');
+  }
+
+  if (typeof pageId === 'number' && !Number.isSafeInteger(pageId)) {
+    throw new Error(`sid-ID ${pageId} sparades som tal och har förlorat precision`);
+  }
+
+  return String(pageId);
+}
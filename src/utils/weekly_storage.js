@@ -1,12 +1,52 @@
 /**
  * Weekly Storage
  * 
- * Enkel lagring av veckodata i localStorage (valfritt att använda)
- * För en förenklad app kan denna vara minimal
+ * Lagring av uppladdade veckor i localStorage
+ * Sparad JSON uppgraderas till aktuell version (storage_migrations.js) och
+ * återskapas till WeeklyPageData/WeekPeriod-instanser.
+ *
+ * App använder indexed_db_storage.js (samma funktioner, asynkront). Denna modul
+ * är reserv när IndexedDB saknas och källan vid flytt av äldre data.
+ *
+ * Alla funktioner arbetar i aktiv arbetsytas namnområde (workspace_storage.js).
+ * Exporterad JSON använder nycklar utan arbetsyta och kan importeras i vilken
+ * arbetsyta som helst.
  */
 
+import { WeeklyPageData } from '../core/weekly_models.js';
+import { STORAGE_VERSION, migrateRecord } from './storage_migrations.js';
+import { getWorkspaceStorageKey, getBaseStorageKey } from './workspace_storage.js';
+import { parseISODate } from './iso_week.js';
+
+export { STORAGE_VERSION };
+
 const STORAGE_KEY_PREFIX = 'fb_weekly_';
-const STORAGE_VERSION = '1.0';
+
+// Bara veckonycklar ("fb_weekly_2025_41") – inte t.ex. kalenderinställningen "fb_weekly_calendar"
+const WEEK_KEY_PATTERN = /^fb_weekly_\d+_\d+$/;
+
+// Antal radfel per vecka som redovisas vid validering
+const MAX_RECORD_ERRORS = 5;
+
+/**
+ * Nyckel för en vecka utan arbetsyta (används i exporterad JSON)
+ * @param {number} year - År
+ * @param {number} week - Vecka
+ * @returns {string} - T.ex. "fb_weekly_2025_41"
+ */
+export function getWeekKey(year, week) {
+  return `${STORAGE_KEY_PREFIX}${year}_${week}`;
+}
+
+/**
+ * Lagringsnyckel för en vecka i aktiv arbetsyta
+ * @param {number} year - År
+ * @param {number} week - Vecka
+ * @returns {string} - T.ex. "fb_weekly_2025_41" eller "fb_weekly_2025_41@ws_abc"
+ */
+export function getWeekStorageKey(year, week) {
+  return getWorkspaceStorageKey(getWeekKey(year, week));
+}
 
 /**
  * Sparar veckodata till localStorage
@@ -17,7 +57,7 @@ const STORAGE_VERSION = '1.0';
  */
 export function saveWeekData(year, week, data) {
   try {
-    const key = `${STORAGE_KEY_PREFIX}${year}_${week}`;
+    const key = getWeekStorageKey(year, week);
     const storageData = {
       version: STORAGE_VERSION,
       timestamp: new Date().toISOString(),
@@ -35,22 +75,27 @@ export function saveWeekData(year, week, data) {
 }
 
 /**
- * Hämtar veckodata från localStorage
+ * Hämtar veckodata från localStorage, uppgraderad till aktuell version
  * @param {number} year - År
  * @param {number} week - Vecka
- * @returns {Object|null} - Sparad data eller null
+ * @returns {Object|null} - Sparad data eller null (även om den inte kan migreras)
  */
 export function loadWeekData(year, week) {
   try {
-    const key = `${STORAGE_KEY_PREFIX}${year}_${week}`;
+    const key = getWeekStorageKey(year, week);
     const stored = localStorage.getItem(key);
     
     if (!stored) {
       return null;
     }
     
-    const parsed = JSON.parse(stored);
-    return parsed.data;
+    const migration = migrateRecord(JSON.parse(stored));
+    if (!migration.success) {
+      console.error(`Kunde inte läsa vecka ${week} ${year}:`, migration.errors.join('; '));
+      return null;
+    }
+
+    return migration.record.data;
   } catch (error) {
     console.error('Kunde inte läsa veckodata:', error);
     return null;
@@ -65,7 +110,7 @@ export function loadWeekData(year, week) {
  */
 export function removeWeekData(year, week) {
   try {
-    const key = `${STORAGE_KEY_PREFIX}${year}_${week}`;
+    const key = getWeekStorageKey(year, week);
     localStorage.removeItem(key);
     return true;
   } catch (error) {
@@ -76,29 +121,18 @@ export function removeWeekData(year, week) {
 
 /**
  * Hämtar alla sparade veckor
- * @returns {Array<Object>} - Lista med {year, week, timestamp}
+ * Veckor som inte går att tolka listas ändå (år och vecka från nyckeln) så att de kan tas bort
+ * @returns {Array<Object>} - Lista med {year, week, version, timestamp, filename, pageCount}
  */
 export function getAllStoredWeeks() {
-  const weeks = [];
-  
-  try {
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      
-      if (key && key.startsWith(STORAGE_KEY_PREFIX)) {
-        const stored = localStorage.getItem(key);
-        const parsed = JSON.parse(stored);
-        
-        weeks.push({
-          year: parsed.year,
-          week: parsed.week,
-          timestamp: parsed.timestamp
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Kunde inte hämta sparade veckor:', error);
-  }
+  const weeks = readStoredWeeks().map(({ year, week, record }) => ({
+    year: record?.year ?? year,
+    week: record?.week ?? week,
+    version: record?.version || null,
+    timestamp: record?.timestamp ?? null,
+    filename: record?.data?.filename || null,
+    pageCount: record?.data?.data?.length || 0
+  }));
   
   return weeks.sort((a, b) => {
     if (a.year !== b.year) return a.year - b.year;
@@ -112,16 +146,7 @@ export function getAllStoredWeeks() {
  */
 export function clearAllWeekData() {
   try {
-    const keysToRemove = [];
-    
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(STORAGE_KEY_PREFIX)) {
-        keysToRemove.push(key);
-      }
-    }
-    
-    keysToRemove.forEach(key => localStorage.removeItem(key));
+    getStoredWeekKeys().forEach(key => localStorage.removeItem(key));
     return true;
   } catch (error) {
     console.error('Kunde inte rensa veckodata:', error);
@@ -160,8 +185,8 @@ export function checkStorageSpace() {
 }
 
 /**
- * Exporterar all veckodata som JSON
- * @returns {string} - JSON-string med all data
+ * Exporterar all veckodata i aktiv arbetsyta som JSON
+ * @returns {string} - JSON-string med all data, nycklar utan arbetsyta
  */
 export function exportAllData() {
   try {
@@ -170,9 +195,9 @@ export function exportAllData() {
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
       
-      if (key && key.startsWith(STORAGE_KEY_PREFIX)) {
+      if (isStoredWeekKey(key)) {
         const stored = localStorage.getItem(key);
-        allData[key] = JSON.parse(stored);
+        allData[getBaseStorageKey(key)] = JSON.parse(stored);
       }
     }
     
@@ -184,23 +209,371 @@ export function exportAllData() {
 }
 
 /**
- * Importerar veckodata från JSON
- * @param {string} jsonString - JSON-string att importera
- * @returns {boolean} - True om lyckad import
+ * Importerar veckodata från JSON till aktiv arbetsyta
+ * Varje vecka valideras (validateStoredRecord); ogiltiga veckor skrivs inte.
+ * Importen är allt eller inget: misslyckas en skrivning återställs veckorna
+ * som de var före importen.
+ * @param {string} jsonString - JSON-string att importera (format som exportAllData)
+ * @param {Object} options - {replace} för att ta bort alla sparade veckor först
+ * @returns {Object} - {success, imported, rejected: [{key, errors}], errors}
  */
-export function importData(jsonString) {
+export function importData(jsonString, options = {}) {
+  const { records, rejected, errors } = parseImportData(jsonString);
+
+  if (errors.length > 0) {
+    console.error('Kunde inte importera data:', errors.join('; '));
+    return { success: false, imported: [], rejected, errors };
+  }
+
+  let snapshot = null;
+
   try {
-    const data = JSON.parse(jsonString);
-    
-    for (const key in data) {
-      if (key.startsWith(STORAGE_KEY_PREFIX)) {
-        localStorage.setItem(key, JSON.stringify(data[key]));
-      }
+    snapshot = getStoredWeekKeys().map(key => [key, localStorage.getItem(key)]);
+
+    if (options.replace) {
+      snapshot.forEach(([key]) => localStorage.removeItem(key));
     }
-    
-    return true;
+
+    Object.entries(records).forEach(([key, record]) => {
+      localStorage.setItem(getWorkspaceStorageKey(key), JSON.stringify(record));
+    });
   } catch (error) {
     console.error('Kunde inte importera data:', error);
-    return false;
+    if (snapshot) {
+      restoreWeekSnapshot(snapshot);
+    }
+    return { success: false, imported: [], rejected, errors: [`Kunde inte spara: ${error.message}`] };
+  }
+
+  return { success: rejected.length === 0, imported: Object.keys(records), rejected, errors: [] };
+}
+
+/**
+ * Läser och validerar JSON i exportAllData-format
+ * @param {string} jsonString
+ * @returns {Object} - {records: {nyckel: post}, rejected: [{key, errors}], errors}
+ */
+export function parseImportData(jsonString) {
+  let data;
+
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { records: {}, rejected: [], errors: [`Ogiltig JSON: ${error.message}`] };
+  }
+
+  return validateImportRecords(data);
+}
+
+/**
+ * Validerar veckorna i ett inläst exportAllData-objekt
+ * @param {Object} data - {"fb_weekly_2025_41": post}
+ * @returns {Object} - {records, rejected: [{key, errors}], errors}
+ */
+export function validateImportRecords(data) {
+  if (!isPlainObject(data)) {
+    return { records: {}, rejected: [], errors: ['Förväntade ett objekt med veckor'] };
+  }
+
+  const records = {};
+  const rejected = [];
+
+  Object.entries(data).forEach(([key, record]) => {
+    const errors = validateStoredRecord(key, record);
+    if (errors.length > 0) {
+      rejected.push({ key, errors });
+    } else {
+      records[key] = record;
+    }
+  });
+
+  return { records, rejected, errors: [] };
+}
+
+/**
+ * Validerar en sparad vecka mot lagringsformatet
+ * Posten uppgraderas (utan att sparas) och varje rad kontrolleras
+ * @param {string} key - Nyckel utan arbetsyta ("fb_weekly_2025_41")
+ * @param {Object} record - {version, timestamp, year, week, data}
+ * @returns {Array<string>} - Fel, tom om posten är giltig
+ */
+export function validateStoredRecord(key, record) {
+  if (!isWeekKey(key)) {
+    return [`Okänd nyckel "${key}"`];
+  }
+
+  if (!isPlainObject(record)) {
+    return ['Posten är inte ett objekt'];
+  }
+
+  if (!Number.isInteger(record.year) || !Number.isInteger(record.week) || record.week < 1 || record.week > 53) {
+    return [`Ogiltigt år eller vecka (${record.year}, ${record.week})`];
+  }
+
+  if (getWeekKey(record.year, record.week) !== key) {
+    return [`V${record.week} ${record.year} stämmer inte med nyckeln ${key}`];
+  }
+
+  if (!isPlainObject(record.data) || !Array.isArray(record.data.data)) {
+    return ['Siddata saknas'];
+  }
+
+  const migration = migrateRecord(record);
+  if (!migration.success) {
+    return migration.errors;
+  }
+
+  const errors = [];
+
+  migration.record.data.data.forEach((item, index) => {
+    const rowErrors = validateStoredRow(item, record);
+    if (rowErrors.length > 0) {
+      errors.push(`Rad ${index + 1}: ${rowErrors.join(', ')}`);
+    }
+  });
+
+  if (errors.length > MAX_RECORD_ERRORS) {
+    return [...errors.slice(0, MAX_RECORD_ERRORS), `… och ${errors.length - MAX_RECORD_ERRORS} rader till`];
+  }
+
+  return errors;
+}
+
+/**
+ * Läser alla sparade veckor som perioder för App-state
+ * Äldre poster uppgraderas och skrivs tillbaka. Poster som inte kan
+ * migreras lämnas orörda i lagringen och redovisas i failed.
+ * @returns {Object} - {periods, migrated, failed}
+ *   periods: [{year, week, month, startDate, endDate, datesDerived, filename, data: WeeklyPageData[]}]
+ *   migrated: periodnycklar ("2025_41") som uppgraderades
+ *   failed: [{key, year, week, version, errors}]
+ */
+export function loadStoredPeriods() {
+  const result = { periods: [], migrated: [], failed: [] };
+
+  if (typeof localStorage === 'undefined') {
+    return result;
+  }
+
+  const storedWeeks = readStoredWeeks()
+    .sort((a, b) => (a.year !== b.year ? a.year - b.year : a.week - b.week));
+
+  storedWeeks.forEach(({ storageKey, year, week, record, error }) => {
+    const key = `${year}_${week}`;
+
+    if (error) {
+      console.error(`Kunde inte läsa vecka ${week} ${year}:`, error);
+      result.failed.push({ key, year, week, version: null, errors: [error] });
+      return;
+    }
+
+    const read = readStoredRecord(record);
+
+    if (!read.success) {
+      console.error(`Kunde inte läsa vecka ${week} ${year}:`, read.errors.join('; '));
+      result.failed.push({ key, year, week, version: read.fromVersion, errors: read.errors });
+      return;
+    }
+
+    if (read.migrated) {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(read.record));
+        result.migrated.push(key);
+      } catch (error) {
+        console.error('Kunde inte spara migrerad veckodata:', error);
+      }
+    }
+
+    result.periods.push(read.period);
+  });
+
+  return result;
+}
+
+/**
+ * Uppgraderar en sparad post och återskapar perioden
+ * @param {Object} record - {version, timestamp, year, week, data}
+ * @returns {Object} - {success, period, record, migrated, fromVersion, errors}
+ */
+export function readStoredRecord(record) {
+  const migration = migrateRecord(record);
+
+  if (!migration.success) {
+    return { ...migration, period: null };
+  }
+
+  try {
+    return { ...migration, period: rehydratePeriodEntry(migration.record.data) };
+  } catch (error) {
+    return {
+      ...migration,
+      success: false,
+      period: null,
+      errors: [`Kunde inte återskapa veckan: ${error.message}`]
+    };
   }
 }
+
+/**
+ * Synkar lagringen mot App-state
+ * Perioder som ändrats sedan förra synken sparas, perioder som tagits bort
+ * sedan förra synken tas bort. Övriga sparade veckor (t.ex. sådana som inte
+ * kunde migreras) lämnas orörda.
+ * @param {Array<Object>} periods - Aktuella perioder
+ * @param {Array<Object>} previousPeriods - Perioder vid förra synken
+ * @returns {Object} - {saved, removed, failed} med periodnycklar ("2025_41")
+ */
+export function syncStoredPeriods(periods, previousPeriods = []) {
+  const result = { saved: [], removed: [], failed: [] };
+
+  periods
+    .filter(entry => !previousPeriods.includes(entry))
+    .forEach(entry => {
+      const key = `${entry.year}_${entry.week}`;
+      (saveWeekData(entry.year, entry.week, entry) ? result.saved : result.failed).push(key);
+    });
+
+  getRemovedPeriods(periods, previousPeriods).forEach(({ year, week }) => {
+    if (removeWeekData(year, week)) {
+      result.removed.push(`${year}_${week}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Perioder som fanns vid förra synken men inte längre
+ * @param {Array<Object>} periods
+ * @param {Array<Object>} previousPeriods
+ * @returns {Array<Object>}
+ */
+export function getRemovedPeriods(periods, previousPeriods) {
+  const currentKeys = new Set(periods.map(entry => `${entry.year}_${entry.week}`));
+  return previousPeriods.filter(entry => !currentKeys.has(`${entry.year}_${entry.week}`));
+}
+
+/**
+ * Återskapar en sparad period med WeeklyPageData-instanser
+ * @param {Object} entry - Period från JSON.parse
+ * @returns {Object}
+ */
+export function rehydratePeriodEntry(entry) {
+  return {
+    ...entry,
+    data: (entry.data || []).map(item => WeeklyPageData.fromJSON(item))
+  };
+}
+
+/**
+ * Kontrollerar om en nyckel utan arbetsyta är en vecka ("fb_weekly_2025_41")
+ * @param {string|null} key
+ * @returns {boolean}
+ */
+export function isWeekKey(key) {
+  return Boolean(key) && WEEK_KEY_PATTERN.test(key);
+}
+
+/**
+ * Kontrollerar om en lagringsnyckel är en sparad vecka i aktiv arbetsyta
+ */
+function isStoredWeekKey(storageKey) {
+  return isWeekKey(getBaseStorageKey(storageKey));
+}
+
+/**
+ * Läser aktiv arbetsytas sparade veckor, var och en för sig
+ * En post som inte går att tolka stoppar inte läsningen av de övriga
+ * @returns {Array<Object>} - [{storageKey, year, week, record, error}], year/week från nyckeln
+ */
+function readStoredWeeks() {
+  let storageKeys = [];
+
+  try {
+    storageKeys = getStoredWeekKeys();
+  } catch (error) {
+    console.error('Kunde inte hämta sparade veckor:', error);
+  }
+
+  return storageKeys.map(storageKey => {
+    const [year, week] = getBaseStorageKey(storageKey).slice(STORAGE_KEY_PREFIX.length).split('_').map(Number);
+    const entry = { storageKey, year, week, record: null, error: null };
+
+    try {
+      entry.record = JSON.parse(localStorage.getItem(storageKey));
+      if (!isPlainObject(entry.record)) {
+        entry.error = 'Posten är inte ett objekt';
+      }
+    } catch (error) {
+      entry.error = `Ogiltig JSON: ${error.message}`;
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Lagringsnycklar för aktiv arbetsytas sparade veckor
+ * @returns {Array<string>}
+ */
+function getStoredWeekKeys() {
+  const keys = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (isStoredWeekKey(key)) {
+      keys.push(key);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Återställer veckorna till ett tidigare läge efter en misslyckad import
+ * Alla veckor tas bort först så att det finns plats för ögonblicksbilden
+ * @param {Array<Array<string>>} snapshot - [[lagringsnyckel, JSON-string]]
+ */
+function restoreWeekSnapshot(snapshot) {
+  try {
+    getStoredWeekKeys().forEach(key => localStorage.removeItem(key));
+    snapshot.forEach(([key, value]) => localStorage.setItem(key, value));
+  } catch (error) {
+    console.error('Kunde inte återställa veckodata efter misslyckad import:', error);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fel i en rad (WeeklyPageData som JSON) efter migrering
+ */
+function validateStoredRow(item, record) {
+  const errors = [];
+
+  if (!isPlainObject(item?.page) || typeof item.page.pageName !== 'string') {
+    errors.push('sidnamn saknas');
+  }
+
+  const period = item?.period;
+  if (!isPlainObject(period) || period.year !== record.year || period.week !== record.week) {
+    errors.push('perioden stämmer inte med veckan');
+  } else if (!parseISODate(period.startDate) || !parseISODate(period.endDate)) {
+    errors.push('ogiltigt start- eller slutdatum');
+  }
+
+  if (!isPlainObject(item?.metrics)) {
+    errors.push('metrics saknas');
+  } else {
+    const invalid = Object.entries(item.metrics)
+      .filter(([, value]) => value !== null && typeof value !== 'number')
+      .map(([metricKey]) => metricKey);
+    if (invalid.length > 0) {
+      errors.push(`ej numeriska metrics: ${invalid.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,365 @@
+/**
+ * Workspace Storage
+ *
+ * Arbetsytor: namngivna, åtskilda dataset (t.ex. en per kund) med egna
+ * veckor, inställningar och sparade vyer.
+ *
+ * Varje arbetsyta har ett eget lagringsnamnområde. Standardarbetsytan
+ * använder nycklarna utan tillägg, så data från före arbetsytorna hamnar där.
+ * Övriga arbetsytor lägger till "@<id>" ("fb_weekly_2025_41@ws_abc").
+ *
+ * Listan och aktiv arbetsyta ligger på modulnivå och sparas i localStorage.
+ */
+
+const WORKSPACES_STORAGE_KEY = 'fb_workspaces';
+const WORKSPACE_KEY_SEPARATOR = '@';
+const WORKSPACE_EXPORT_FORMAT = 'fb_weekly_workspace';
+const WORKSPACE_EXPORT_VERSION = 1;
+
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+// Inställningar per arbetsyta (veckorna exporteras via weekly_storage/indexed_db_storage)
+export const WORKSPACE_SETTING_KEYS = [
+  'fb_weekly_calendar',
+  'fb_page_registry',
+  'fb_custom_metrics',
+  'fb_derived_metrics',
+  'fb_saved_views',
+  'fb_column_mappings'
+];
+
+const state = {
+  activeId: DEFAULT_WORKSPACE_ID,
+  workspaces: []
+};
+
+/**
+ * Hämtar alla arbetsytor
+ * @returns {Array<Object>} - [{id, name, createdAt}], standardarbetsytan först
+ */
+export function getWorkspaces() {
+  return state.workspaces.map(workspace => ({ ...workspace }));
+}
+
+/**
+ * ID för aktiv arbetsyta
+ * @returns {string}
+ */
+export function getActiveWorkspaceId() {
+  return state.activeId;
+}
+
+/**
+ * Aktiv arbetsyta
+ * @returns {Object} - {id, name, createdAt}
+ */
+export function getActiveWorkspace() {
+  return { ...findWorkspace(state.activeId) };
+}
+
+/**
+ * Byter aktiv arbetsyta
+ * Anroparen läser sedan in arbetsytans veckor och inställningar
+ * @param {string} workspaceId
+ * @returns {Object} - {success, workspace, errors}
+ */
+export function setActiveWorkspace(workspaceId) {
+  const workspace = findWorkspace(workspaceId);
+
+  if (!workspace) {
+    return { success: false, workspace: null, errors: [`Arbetsytan "${workspaceId}" finns inte`] };
+  }
+
+  state.activeId = workspace.id;
+  saveWorkspaces();
+  return { success: true, workspace: { ...workspace }, errors: [] };
+}
+
+/**
+ * Skapar en ny, tom arbetsyta (blir inte aktiv)
+ * @param {string} name - Namn, unikt bland arbetsytorna
+ * @returns {Object} - {success, workspace, errors}
+ */
+export function createWorkspace(name) {
+  const errors = validateWorkspaceName(name);
+
+  if (errors.length > 0) {
+    return { success: false, workspace: null, errors };
+  }
+
+  const workspace = {
+    id: createWorkspaceId(),
+    name: name.trim(),
+    createdAt: new Date().toISOString()
+  };
+
+  state.workspaces.push(workspace);
+  saveWorkspaces();
+  return { success: true, workspace: { ...workspace }, errors: [] };
+}
+
+/**
+ * Byter namn på en arbetsyta
+ * @param {string} workspaceId
+ * @param {string} name
+ * @returns {Object} - {success, workspace, errors}
+ */
+export function renameWorkspace(workspaceId, name) {
+  const workspace = findWorkspace(workspaceId);
+
+  if (!workspace) {
+    return { success: false, workspace: null, errors: [`Arbetsytan "${workspaceId}" finns inte`] };
+  }
+
+  const errors = validateWorkspaceName(name, workspaceId);
+  if (errors.length > 0) {
+    return { success: false, workspace: { ...workspace }, errors };
+  }
+
+  workspace.name = name.trim();
+  saveWorkspaces();
+  return { success: true, workspace: { ...workspace }, errors: [] };
+}
+
+/**
+ * Tar bort en arbetsyta och dess nycklar i localStorage
+ * Var den aktiv blir standardarbetsytan aktiv. IndexedDB-databasen tas bort
+ * separat (indexed_db_storage.deleteWorkspaceData).
+ * @param {string} workspaceId
+ * @returns {Object} - {success, errors}
+ */
+export function removeWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE_ID) {
+    return { success: false, errors: ['Standardarbetsytan kan inte tas bort'] };
+  }
+
+  if (!findWorkspace(workspaceId)) {
+    return { success: false, errors: [`Arbetsytan "${workspaceId}" finns inte`] };
+  }
+
+  try {
+    const keysToRemove = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (getBaseStorageKey(key, workspaceId) !== null) {
+        keysToRemove.push(key);
+      }
+    }
+
+    keysToRemove.forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.error('Kunde inte ta bort arbetsytans data:', error);
+  }
+
+  state.workspaces = state.workspaces.filter(workspace => workspace.id !== workspaceId);
+  if (state.activeId === workspaceId) {
+    state.activeId = DEFAULT_WORKSPACE_ID;
+  }
+
+  saveWorkspaces();
+  return { success: true, errors: [] };
+}
+
+/**
+ * Lagringsnyckel i en arbetsytas namnområde
+ * @param {string} baseKey - Nyckel utan arbetsyta (t.ex. "fb_weekly_calendar")
+ * @param {string} workspaceId - Standard: aktiv arbetsyta
+ * @returns {string} - T.ex. "fb_weekly_calendar@ws_abc"
+ */
+export function getWorkspaceStorageKey(baseKey, workspaceId = state.activeId) {
+  return workspaceId === DEFAULT_WORKSPACE_ID
+    ? baseKey
+    : `${baseKey}${WORKSPACE_KEY_SEPARATOR}${workspaceId}`;
+}
+
+/**
+ * Nyckel utan arbetsyta, om lagringsnyckeln hör till arbetsytan
+ * @param {string|null} storageKey
+ * @param {string} workspaceId - Standard: aktiv arbetsyta
+ * @returns {string|null} - Nyckel utan arbetsyta, null om den hör till en annan
+ */
+export function getBaseStorageKey(storageKey, workspaceId = state.activeId) {
+  if (!storageKey) {
+    return null;
+  }
+
+  if (workspaceId === DEFAULT_WORKSPACE_ID) {
+    return storageKey.includes(WORKSPACE_KEY_SEPARATOR) ? null : storageKey;
+  }
+
+  const suffix = `${WORKSPACE_KEY_SEPARATOR}${workspaceId}`;
+  return storageKey.endsWith(suffix) ? storageKey.slice(0, -suffix.length) : null;
+}
+
+/**
+ * Exporterar aktiv arbetsyta: namn, inställningar och veckor
+ * @param {string|null} weeksJson - Från exportAllData i aktiv arbetsyta
+ * @returns {string} - JSON-string
+ */
+export function exportWorkspace(weeksJson) {
+  const settings = {};
+
+  WORKSPACE_SETTING_KEYS.forEach(key => {
+    try {
+      const stored = localStorage.getItem(getWorkspaceStorageKey(key));
+      if (stored !== null) {
+        settings[key] = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error(`Kunde inte läsa inställningen ${key}:`, error);
+    }
+  });
+
+  return JSON.stringify({
+    format: WORKSPACE_EXPORT_FORMAT,
+    version: WORKSPACE_EXPORT_VERSION,
+    name: findWorkspace(state.activeId).name,
+    exportedAt: new Date().toISOString(),
+    settings,
+    weeks: weeksJson ? JSON.parse(weeksJson) : {}
+  }, null, 2);
+}
+
+/**
+ * Importerar en exporterad arbetsyta som en ny arbetsyta
+ * Inställningarna skrivs direkt. Veckorna returneras som weeksJson och
+ * importeras av anroparen (importData) när arbetsytan har aktiverats.
+ * @param {string} jsonString - Från exportWorkspace
+ * @returns {Object} - {success, workspace, weeksJson, errors}
+ */
+export function importWorkspace(jsonString) {
+  let data;
+
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { success: false, workspace: null, weeksJson: null, errors: [`Filen är inte giltig JSON: ${error.message}`] };
+  }
+
+  if (data?.format !== WORKSPACE_EXPORT_FORMAT) {
+    return { success: false, workspace: null, weeksJson: null, errors: ['Filen är inte en exporterad arbetsyta'] };
+  }
+
+  if (data.version > WORKSPACE_EXPORT_VERSION) {
+    return {
+      success: false,
+      workspace: null,
+      weeksJson: null,
+      errors: [`Exporten har version ${data.version} (appen läser ${WORKSPACE_EXPORT_VERSION})`]
+    };
+  }
+
+  const created = createWorkspace(getUniqueWorkspaceName(String(data.name || 'Importerad arbetsyta')));
+  if (!created.success) {
+    return { ...created, weeksJson: null };
+  }
+
+  try {
+    Object.entries(data.settings || {})
+      .filter(([key]) => WORKSPACE_SETTING_KEYS.includes(key))
+      .forEach(([key, value]) => {
+        localStorage.setItem(getWorkspaceStorageKey(key, created.workspace.id), JSON.stringify(value));
+      });
+  } catch (error) {
+    console.error('Kunde inte spara arbetsytans inställningar:', error);
+  }
+
+  return {
+    success: true,
+    workspace: created.workspace,
+    weeksJson: JSON.stringify(data.weeks || {}),
+    errors: []
+  };
+}
+
+/**
+ * Läser arbetsytorna från localStorage
+ * @returns {Array<Object>} - Inlästa arbetsytor
+ */
+export function loadWorkspaces() {
+  let saved = null;
+
+  if (typeof localStorage !== 'undefined') {
+    try {
+      const stored = localStorage.getItem(WORKSPACES_STORAGE_KEY);
+      saved = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Kunde inte läsa arbetsytor:', error);
+    }
+  }
+
+  const workspaces = (saved?.workspaces || []).filter(workspace => workspace.id !== DEFAULT_WORKSPACE_ID);
+  const defaultWorkspace = saved?.workspaces?.find(workspace => workspace.id === DEFAULT_WORKSPACE_ID);
+
+  state.workspaces = [
+    defaultWorkspace || { id: DEFAULT_WORKSPACE_ID, name: 'Standard', createdAt: null },
+    ...workspaces
+  ];
+  state.activeId = findWorkspace(saved?.activeId) ? saved.activeId : DEFAULT_WORKSPACE_ID;
+
+  return getWorkspaces();
+}
+
+/**
+ * Sparar arbetsytorna till localStorage
+ * @returns {boolean} - True om lyckad lagring
+ */
+function saveWorkspaces() {
+  try {
+    localStorage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify({
+      activeId: state.activeId,
+      workspaces: state.workspaces
+    }));
+    return true;
+  } catch (error) {
+    console.error('Kunde inte spara arbetsytor:', error);
+    return false;
+  }
+}
+
+function findWorkspace(workspaceId) {
+  return state.workspaces.find(workspace => workspace.id === workspaceId) || null;
+}
+
+function validateWorkspaceName(name, workspaceId = null) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    return ['Arbetsytan måste ha ett namn'];
+  }
+
+  const duplicate = state.workspaces.find(workspace =>
+    workspace.id !== workspaceId && workspace.name.toLowerCase() === trimmed.toLowerCase()
+  );
+
+  return duplicate ? [`Det finns redan en arbetsyta som heter "${duplicate.name}"`] : [];
+}
+
+/**
+ * "Kund A" → "Kund A (2)" om namnet redan används
+ */
+function getUniqueWorkspaceName(name) {
+  const base = name.trim() || 'Importerad arbetsyta';
+  let candidate = base;
+
+  for (let i = 2; validateWorkspaceName(candidate).length > 0; i++) {
+    candidate = `${base} (${i})`;
+  }
+
+  return candidate;
+}
+
+// Id:t ingår i lagringsnycklar och databasnamn – bara [a-z0-9_]
+function createWorkspaceId() {
+  let id;
+
+  do {
+    id = `ws_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  } while (findWorkspace(id));
+
+  return id;
+}
+
+// Arbetsytorna finns tillgängliga direkt när modulen laddas
+loadWorkspaces();